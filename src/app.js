@@ -10,6 +10,13 @@ const authRoutes = require('./routes/authRoutes');
 const propertyRoutes = require('./routes/propertyRoutes');
 const investmentRoutes = require('./routes/investmentRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
+const marketplaceRoutes = require('./routes/marketplaceRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const blockchainRoutes = require('./routes/blockchainRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 
 class App {
   constructor() {
@@ -22,7 +29,12 @@ class App {
 
   initializeMiddlewares() {
     this.app.use(cors());
-    this.app.use(express.json());
+    this.app.use(express.json({
+      // Webhook signatures are computed over the exact bytes received
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true }));
   }
 
@@ -31,6 +43,13 @@ class App {
     this.app.use('/api/properties', propertyRoutes);
     this.app.use('/api/investments', investmentRoutes);
     this.app.use('/api/transactions', transactionRoutes);
+    this.app.use('/api/marketplace', marketplaceRoutes);
+    this.app.use('/api/admin', adminRoutes);
+    this.app.use('/api/kyc', kycRoutes);
+    this.app.use('/api/notifications', notificationRoutes);
+    this.app.use('/api/blockchain', blockchainRoutes);
+    this.app.use('/api/wallets', walletRoutes);
+    this.app.use('/api/payments', paymentRoutes);
 
     // Health check route
     this.app.get('/health', (req, res) => {
@@ -5,16 +5,97 @@ module.exports = {
   PORT: process.env.PORT || 5000,
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/theboost',
   JWT_SECRET: process.env.JWT_SECRET || 'your_jwt_secret',
-  JWT_EXPIRATION: process.env.JWT_EXPIRATION || '7d',
+  JWT_EXPIRATION: process.env.JWT_EXPIRATION || '15m',
+  JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'your_jwt_refresh_secret',
+  JWT_REFRESH_EXPIRATION: process.env.JWT_REFRESH_EXPIRATION || '30d',
+  JWT_ISSUER: process.env.JWT_ISSUER || 'theboost',
+  JWT_ACCESS_AUDIENCE: process.env.JWT_ACCESS_AUDIENCE || 'theboost:access',
+  JWT_REFRESH_AUDIENCE: process.env.JWT_REFRESH_AUDIENCE || 'theboost:refresh',
+  JWT_2FA_AUDIENCE: process.env.JWT_2FA_AUDIENCE || 'theboost:2fa',
+  JWT_2FA_EXPIRATION: process.env.JWT_2FA_EXPIRATION || '5m',
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'TheBoost',
   
   // Blockchain configurations
   BLOCKCHAIN_NETWORK: process.env.BLOCKCHAIN_NETWORK || 'mainnet',
+  // 32-byte hex key wrapping the encryption keys of custodial wallets
+  WALLET_MASTER_KEY: process.env.WALLET_MASTER_KEY,
+  // Overrides the node URL derived from BLOCKCHAIN_NETWORK
+  BLOCKCHAIN_RPC_URL: process.env.BLOCKCHAIN_RPC_URL,
+  INFURA_API_KEY: process.env.INFURA_API_KEY,
+  REGISTRY_CONTRACT_ADDRESS: process.env.REGISTRY_CONTRACT_ADDRESS,
+  PLATFORM_PRIVATE_KEY: process.env.PLATFORM_PRIVATE_KEY,
+  BLOCKCHAIN_GAS_MULTIPLIER: parseFloat(process.env.BLOCKCHAIN_GAS_MULTIPLIER) || 1.2,
+  BLOCKCHAIN_TX_TIMEOUT: parseInt(process.env.BLOCKCHAIN_TX_TIMEOUT, 10) || 300,
+  // Blocks on top of a transaction before it counts as final
+  BLOCKCHAIN_CONFIRMATIONS: parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS, 10) ||
+    (process.env.BLOCKCHAIN_NETWORK === 'local' ? 1 : 12),
+  BLOCKCHAIN_TRACKER_INTERVAL: parseInt(process.env.BLOCKCHAIN_TRACKER_INTERVAL, 10) || 15 * 1000,
+  BLOCKCHAIN_RECONCILE_INTERVAL: parseInt(process.env.BLOCKCHAIN_RECONCILE_INTERVAL, 10) || 6 * 60 * 60 * 1000,
+  // Minutes a transaction may be unknown to the node before it is marked dropped
+  BLOCKCHAIN_DROP_AFTER: parseInt(process.env.BLOCKCHAIN_DROP_AFTER, 10) || 30,
+  // ERC-20 stablecoin accepted for crypto deposits besides ether
+  USDC_CONTRACT_ADDRESS: process.env.USDC_CONTRACT_ADDRESS,
+  USDC_DECIMALS: parseInt(process.env.USDC_DECIMALS, 10) || 6,
+  
+  // Exchange rates: static (reads FX_RATES_FILE) or http (fetches FX_RATES_URL)
+  FX_PROVIDER: process.env.FX_PROVIDER || 'static',
+  FX_RATES_FILE: process.env.FX_RATES_FILE || 'src/config/fxRates.json',
+  FX_RATES_URL: process.env.FX_RATES_URL,
+  // Seconds fetched rates are reused before being refreshed
+  FX_RATES_TTL: parseInt(process.env.FX_RATES_TTL, 10) || 60,
+  // Convert confirmed crypto deposits to USD instead of holding the crypto
+  FX_AUTO_CONVERT_DEPOSITS: process.env.FX_AUTO_CONVERT_DEPOSITS !== 'false',
+  
+  // Payment processing
+  // fake (local, for development and tests) or stripe
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'fake',
+  PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || 'your_payment_webhook_secret',
+  // Seconds a signed webhook stays valid
+  PAYMENT_WEBHOOK_TOLERANCE: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE, 10) || 300,
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
+  STRIPE_API_URL: process.env.STRIPE_API_URL || 'https://api.stripe.com/v1',
+  
+  // Daily and monthly withdrawal limits in USD per investor type, as JSON
+  WITHDRAWAL_LIMITS: process.env.WITHDRAWAL_LIMITS || JSON.stringify({
+    individual: { daily: 10000, monthly: 50000 },
+    accredited: { daily: 50000, monthly: 250000 },
+    institutional: { daily: 250000, monthly: 1000000 }
+  }),
+  
+  // Investments allowed per rolling 12 months in USD per investor type, as JSON; unlisted types have no limit
+  ANNUAL_INVESTMENT_LIMITS: process.env.ANNUAL_INVESTMENT_LIMITS || JSON.stringify({
+    individual: 10000
+  }),
+  
+  // Hours a client may retry a request with the same Idempotency-Key
+  IDEMPOTENCY_KEY_TTL: parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 24,
+  
+  // How often ended funding rounds are closed or refunded
+  FUNDING_WORKER_INTERVAL: parseInt(process.env.FUNDING_WORKER_INTERVAL, 10) || 60 * 1000,
   
   // Email configurations
   EMAIL_HOST: process.env.EMAIL_HOST,
   EMAIL_PORT: process.env.EMAIL_PORT,
   EMAIL_USER: process.env.EMAIL_USER,
   EMAIL_PASS: process.env.EMAIL_PASS,
+  EMAIL_SECURE: process.env.EMAIL_SECURE === 'true',
+  EMAIL_FROM: process.env.EMAIL_FROM || 'TheBoost <no-reply@theboost.io>',
+  // smtp, file (writes .eml files) or memory (keeps messages in process)
+  EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'file'),
+  EMAIL_FILE_DIR: process.env.EMAIL_FILE_DIR || 'mail',
+  EMAIL_MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  EMAIL_WORKER_INTERVAL: parseInt(process.env.EMAIL_WORKER_INTERVAL, 10) || 30 * 1000,
+  APP_URL: process.env.APP_URL || 'http://localhost:3000',
+  
+  // File uploads
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  KYC_MAX_FILE_SIZE: parseInt(process.env.KYC_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024,
+  
+  // Admin seeding
+  ADMIN_EMAIL: process.env.ADMIN_EMAIL,
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+  ADMIN_NAME: process.env.ADMIN_NAME,
   
   // Application environment
   NODE_ENV: process.env.NODE_ENV || 'development'
@@ -0,0 +1,353 @@
+// src/controllers/adminController.js
+const AdminService = require('../services/adminService');
+const KycService = require('../services/kycService');
+const ChainTrackerService = require('../services/chainTrackerService');
+const ReconciliationService = require('../services/reconciliationService');
+
+class AdminController {
+  // List users
+  static async getUsers(req, res, next) {
+    try {
+      const { users, pagination } = await AdminService.listUsers(
+        {
+          role: req.query.role,
+          verificationStatus: req.query.verificationStatus,
+          investorType: req.query.investorType,
+          search: req.query.search
+        },
+        {
+          page: parseInt(req.query.page, 10) || 1,
+          limit: parseInt(req.query.limit, 10) || 20
+        }
+      );
+
+      res.status(200).json({
+        status: 'success',
+        results: users.length,
+        pagination,
+        data: {
+          users
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get user by ID
+  static async getUser(req, res, next) {
+    try {
+      const user = await AdminService.getUser(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Change user's role
+  static async updateUserRole(req, res, next) {
+    try {
+      const user = await AdminService.updateUserRole(req.params.id, req.body.role, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Change user's investor type
+  static async updateInvestorType(req, res, next) {
+    try {
+      const user = await AdminService.updateInvestorType(req.params.id, req.body.investorType);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set the account a user's withdrawals are paid out to
+  static async setPayoutAccount(req, res, next) {
+    try {
+      const user = await AdminService.setPayoutAccount(req.params.id, req.body.payoutAccountId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get KYC review queue
+  static async getKycQueue(req, res, next) {
+    try {
+      const users = await KycService.getReviewQueue();
+
+      res.status(200).json({
+        status: 'success',
+        results: users.length,
+        data: {
+          users
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve or reject a KYC document
+  static async reviewKycDocument(req, res, next) {
+    try {
+      const { user, document } = await KycService.reviewDocument(
+        req.params.userId,
+        req.params.documentId,
+        {
+          decision: req.body.decision,
+          reason: req.body.reason,
+          investorType: req.body.investorType
+        },
+        req.user.id
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          verificationStatus: user.verificationStatus,
+          document
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Download a KYC document image
+  static async getKycDocumentFile(req, res, next) {
+    try {
+      const file = await KycService.getDocumentFile(
+        req.params.userId,
+        req.params.documentId,
+        req.params.side
+      );
+
+      res.type(file.mimeType);
+      res.sendFile(file.path);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List transactions
+  static async getTransactions(req, res, next) {
+    try {
+      const { transactions, pagination } = await AdminService.listTransactions(req.query);
+
+      res.status(200).json({
+        status: 'success',
+        results: transactions.length,
+        pagination,
+        data: {
+          transactions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Confirm pending transaction
+  static async confirmTransaction(req, res, next) {
+    try {
+      const transaction = await AdminService.confirmTransaction(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          transaction
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Refund completed transaction
+  static async refundTransaction(req, res, next) {
+    try {
+      const refund = await AdminService.refundTransaction(req.params.id, req.body, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          transaction: refund
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Withdrawal approval queue, oldest first
+  static async getWithdrawalQueue(req, res, next) {
+    try {
+      const { transactions, pagination } = await AdminService.getWithdrawalQueue({
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: transactions.length,
+        pagination,
+        data: {
+          transactions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve withdrawal
+  static async approveWithdrawal(req, res, next) {
+    try {
+      const { transaction, payout } = await AdminService.approveWithdrawal(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          transaction,
+          payout
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reject withdrawal
+  static async rejectWithdrawal(req, res, next) {
+    try {
+      const transaction = await AdminService.rejectWithdrawal(req.params.id, req.user.id, req.body.reason);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          transaction
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Feature property
+  static async featureProperty(req, res, next) {
+    try {
+      const property = await AdminService.setPropertyFeatured(req.params.id, true);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          property
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Unfeature property
+  static async unfeatureProperty(req, res, next) {
+    try {
+      const property = await AdminService.setPropertyFeatured(req.params.id, false);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          property
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List blockchain transactions that failed or were dropped
+  static async getFlaggedChainTransactions(req, res, next) {
+    try {
+      const transactions = await ChainTrackerService.getFlaggedTransactions();
+
+      res.status(200).json({
+        status: 'success',
+        results: transactions.length,
+        data: {
+          transactions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List token reconciliation reports
+  static async getReconciliationReports(req, res, next) {
+    try {
+      const reports = await ReconciliationService.getReports({
+        property: req.query.property,
+        status: req.query.status
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: reports.length,
+        data: {
+          reports
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reconcile token balances now
+  static async runReconciliation(req, res, next) {
+    try {
+      const reports = req.body.property ?
+        [await ReconciliationService.reconcileProperty(req.body.property)] :
+        await ReconciliationService.reconcileAll();
+
+      res.status(200).json({
+        status: 'success',
+        results: reports.length,
+        data: {
+          reports
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -1,7 +1,11 @@
 // src/controllers/authController.js
 const User = require('../models/User');
+const AuthService = require('../services/authService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const EmailService = require('../services/emailService');
 const JWTService = require('../utils/jwt');
-const crypto = require('crypto');
+const env = require('../config/env');
 
 class AuthController {
   // User Registration
@@ -21,13 +25,14 @@ class AuthController {
         name: req.body.name,
         email: req.body.email,
         password: req.body.password,
-        phoneNumber: req.body.phoneNumber,
-        investorType: req.body.investorType || 'individual'
+        phoneNumber: req.body.phoneNumber
       });
 
-      // 3) Generate tokens
-      const accessToken = JWTService.createAccessToken(newUser);
-      const refreshToken = JWTService.createRefreshToken(newUser);
+      // 3) Start a session and generate its tokens
+      const { accessToken, refreshToken } = await SessionService.createSession(
+        newUser,
+        SessionService.contextFromRequest(req)
+      );
 
       // 4) Remove password from output
       newUser.password = undefined;
@@ -69,18 +74,29 @@ class AuthController {
         });
       }
 
-      // 3) Generate tokens
-      const accessToken = JWTService.createAccessToken(user);
-      const refreshToken = JWTService.createRefreshToken(user);
+      // 3) Ask for the second factor before issuing tokens
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return res.status(200).json({
+          status: 'success',
+          twoFactorRequired: true,
+          challengeToken: JWTService.createTwoFactorChallenge(user)
+        });
+      }
 
-      // 4) Update last login
+      // 4) Start a session and generate its tokens
+      const { accessToken, refreshToken } = await SessionService.createSession(
+        user,
+        SessionService.contextFromRequest(req)
+      );
+
+      // 5) Update last login
       user.lastLogin = new Date();
       await user.save({ validateBeforeSave: false });
 
-      // 5) Remove password from output
+      // 6) Remove password from output
       user.password = undefined;
 
-      // 6) Send response
+      // 7) Send response
       res.status(200).json({
         status: 'success',
         token: accessToken,
@@ -94,40 +110,144 @@ class AuthController {
     }
   }
 
-  // Refresh Token
-  static async refreshToken(req, res, next) {
+  // Complete a two-factor login
+  static async verifyTwoFactorLogin(req, res, next) {
     try {
-      const { refreshToken } = req.body;
+      const { challengeToken, code } = req.body;
+
+      // 1) Verify the challenge issued after the password check
+      const decoded = challengeToken && JWTService.verifyTwoFactorChallenge(challengeToken);
 
-      // 1) Verify refresh token
-      const decoded = JWTService.verifyToken(refreshToken);
-      
       if (!decoded) {
         return res.status(401).json({
           status: 'error',
-          message: 'Invalid refresh token'
+          message: 'Login challenge is invalid or has expired. Please log in again.'
         });
       }
 
-      // 2) Find user
+      // 2) Check the authenticator or backup code
+      await TwoFactorService.verify(decoded.id, code);
+
       const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return res.status(401).json({
+
+      // 3) Start a session and generate its tokens
+      const { accessToken, refreshToken } = await SessionService.createSession(
+        user,
+        SessionService.contextFromRequest(req)
+      );
+
+      // 4) Update last login
+      user.lastLogin = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      // 5) Send response
+      res.status(200).json({
+        status: 'success',
+        token: accessToken,
+        refreshToken,
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Refresh Token
+  static async refreshToken(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
           status: 'error',
-          message: 'User no longer exists'
+          message: 'Please provide a refresh token'
         });
       }
 
-      // 3) Generate new tokens
-      const newAccessToken = JWTService.createAccessToken(user);
-      const newRefreshToken = JWTService.createRefreshToken(user);
+      // 1) Rotate the session, rejecting revoked or reused tokens
+      const tokens = await SessionService.rotateSession(
+        refreshToken,
+        SessionService.contextFromRequest(req)
+      );
+
+      // 2) Send response
+      res.status(200).json({
+        status: 'success',
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Logout of the current session
+  static async logout(req, res, next) {
+    try {
+      if (req.sessionId) {
+        await SessionService.revokeSession(req.sessionId, req.user.id, 'logout');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Logged out'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Logout of every session
+  static async logoutAll(req, res, next) {
+    try {
+      // 1) Revoke all sessions
+      const revoked = await SessionService.revokeAllSessions(req.user.id, 'logout_all');
+
+      // 2) Invalidate any outstanding refresh token
+      await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Logged out of all sessions',
+        data: {
+          revoked
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List active sessions
+  static async getSessions(req, res, next) {
+    try {
+      const sessions = await SessionService.listSessions(req.user.id);
 
-      // 4) Send response
       res.status(200).json({
         status: 'success',
-        token: newAccessToken,
-        refreshToken: newRefreshToken
+        results: sessions.length,
+        data: {
+          sessions: sessions.map(session => ({
+            ...session.toJSON(),
+            current: session._id.toString() === String(req.sessionId)
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Revoke a single session
+  static async revokeSession(req, res, next) {
+    try {
+      await SessionService.revokeSession(req.params.id, req.user.id, 'revoked');
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Session revoked'
       });
     } catch (error) {
       next(error);
@@ -151,22 +271,23 @@ class AuthController {
       const resetToken = user.createPasswordResetToken();
       await user.save({ validateBeforeSave: false });
 
-      // 3) Send reset token via email (placeholder for actual email service)
-      // You would typically use a service like SendGrid, Mailgun, etc.
-      const resetURL = `${req.protocol}://${req.get('host')}/api/v1/users/resetPassword/${resetToken}`;
+      // 3) Queue reset link email; delivery is retried from the outbox
+      const resetURL = `${env.APP_URL}/reset-password/${resetToken}`;
 
       try {
-        // Send email with reset token
-        // await sendResetPasswordEmail(user.email, resetURL);
+        await EmailService.queue('resetPassword', user, {
+          resetURL,
+          expiresInMinutes: 10
+        });
 
         res.status(200).json({
           status: 'success',
           message: 'Token sent to email!'
         });
-      } catch (err) {
-        // If email fails, remove reset token
-        user.passwordResetToken = undefined;
-        user.passwordResetExpire = undefined;
+      } catch {
+        // If email cannot be queued, remove reset token
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
         await user.save({ validateBeforeSave: false });
 
         return res.status(500).json({
@@ -182,66 +303,65 @@ class AuthController {
   // Reset Password
   static async resetPassword(req, res, next) {
     try {
-      // 1) Get user based on the token
-      const hashedToken = crypto
-        .createHash('sha256')
-        .update(req.params.token)
-        .digest('hex');
-
-      const user = await User.findOne({
-        passwordResetToken: hashedToken,
-        passwordResetExpire: { $gt: Date.now() }
-      });
-
-      // 2) If token has not expired, and there is user, set the new password
-      if (!user) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Token is invalid or has expired'
+      const result = await AuthService.resetPassword(
+        req.params.token,
+        req.body.password,
+        SessionService.contextFromRequest(req)
+      );
+
+      // A reset link alone must not get past the second factor
+      if (result.twoFactorRequired) {
+        return res.status(200).json({
+          status: 'success',
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken
         });
       }
 
-      // 3) Update password
-      user.password = req.body.password;
-      user.passwordResetToken = undefined;
-      user.passwordResetExpire = undefined;
-      await user.save();
-
-      // 4) Log the user in, send JWT
-      const accessToken = JWTService.createAccessToken(user);
-      const refreshToken = JWTService.createRefreshToken(user);
-
       res.status(200).json({
         status: 'success',
-        token: accessToken,
-        refreshToken
+        token: result.accessToken,
+        refreshToken: result.refreshToken
       });
     } catch (error) {
       next(error);
     }
   }
 
-  // Update Password (for logged-in users)
-  static async updatePassword(req, res, next) {
+  // Update display preferences of the logged-in user
+  static async updatePreferences(req, res, next) {
     try {
-      // 1) Get user from collection
-      const user = await User.findById(req.user.id).select('+password');
+      const updates = {};
 
-      // 2) Check if POSTed current password is correct
-      if (!(await user.correctPassword(req.body.currentPassword, user.password))) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Your current password is wrong.'
-        });
+      if (req.body.displayCurrency !== undefined) {
+        updates.displayCurrency = req.body.displayCurrency;
       }
 
-      // 3) If so, update password
-      user.password = req.body.newPassword;
-      await user.save();
+      const user = await User.findByIdAndUpdate(req.user.id, updates, {
+        new: true,
+        runValidators: true
+      });
 
-      // 4) Log user in, send JWT
-      const accessToken = JWTService.createAccessToken(user);
-      const refreshToken = JWTService.createRefreshToken(user);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update Password (for logged-in users)
+  static async updatePassword(req, res, next) {
+    try {
+      const { accessToken, refreshToken } = await AuthService.updatePassword(
+        req.user.id,
+        req.body.currentPassword,
+        req.body.newPassword,
+        SessionService.contextFromRequest(req)
+      );
 
       res.status(200).json({
         status: 'success',
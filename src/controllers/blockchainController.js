@@ -0,0 +1,23 @@
+// src/controllers/blockchainController.js
+const ChainTrackerService = require('../services/chainTrackerService');
+
+class BlockchainController {
+  // Get status of a blockchain transaction
+  static async getTransaction(req, res, next) {
+    try {
+      const { tracked, transaction } = await ChainTrackerService.getTransaction(req.params.hash);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          tracked,
+          transaction
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = BlockchainController;
@@ -0,0 +1,62 @@
+// src/controllers/kycController.js
+const fs = require('fs');
+const AuthService = require('../services/authService');
+const KycService = require('../services/kycService');
+const AppError = require('../utils/appError');
+
+class KycController {
+  // Submit a KYC document with its images
+  static async submitDocument(req, res, next) {
+    try {
+      const files = KycService.toDocumentFiles(req.files);
+
+      // 1) Require at least the front image
+      if (!files.some(file => file.side === 'front')) {
+        throw new AppError('Please upload the front image of your document');
+      }
+
+      // 2) Add document and move user to pending review
+      const user = await AuthService.submitKycDocuments(req.user.id, [{
+        type: req.body.type,
+        documentNumber: req.body.documentNumber,
+        country: req.body.country,
+        files
+      }]);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          verificationStatus: user.verificationStatus,
+          document: user.kycDocuments[user.kycDocuments.length - 1]
+        }
+      });
+    } catch (error) {
+      // Remove every uploaded file, as none was attached to a document
+      await KycController.removeUploads(req.files);
+      next(error);
+    }
+  }
+
+  // Delete files multer wrote for a rejected submission
+  static async removeUploads(uploadedFiles = {}) {
+    const paths = Object.values(uploadedFiles).flat().map(file => file.path);
+
+    await Promise.all(paths.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+  }
+
+  // Get current user's KYC status
+  static async getStatus(req, res, next) {
+    try {
+      const kyc = await KycService.getKycStatus(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: kyc
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = KycController;
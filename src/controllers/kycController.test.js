@@ -0,0 +1,58 @@
+// src/controllers/kycController.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const AuthService = require('../services/authService');
+const KycController = require('./kycController');
+
+describe('KycController.submitDocument', () => {
+  let directory;
+
+  // A file as multer wrote it to disk
+  const uploaded = (name) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, 'image');
+
+    return { path: filePath, originalname: name, mimetype: 'image/png', size: 5 };
+  };
+
+  const requestWith = (files) => ({
+    user: { id: new mongoose.Types.ObjectId().toString() },
+    body: { type: 'Passport', documentNumber: 'X1234567', country: 'GB' },
+    files
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('removes the back image when the front image is missing', async () => {
+    const back = uploaded('back.png');
+    const next = jest.fn();
+
+    await KycController.submitDocument(requestWith({ back: [back] }), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    expect(fs.existsSync(back.path)).toBe(false);
+  });
+
+  test('removes every image when the document is rejected', async () => {
+    const front = uploaded('front.png');
+    const back = uploaded('back.png');
+    const next = jest.fn();
+
+    jest.spyOn(AuthService, 'submitKycDocuments').mockRejectedValue(new Error('Document already under review'));
+
+    await KycController.submitDocument(requestWith({ front: [front], back: [back] }), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Document already under review' }));
+    expect(fs.existsSync(front.path)).toBe(false);
+    expect(fs.existsSync(back.path)).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+// src/controllers/marketplaceController.js
+const MarketplaceService = require('../services/marketplaceService');
+
+class MarketplaceController {
+  // Get order book for a property
+  static async getOrderBook(req, res, next) {
+    try {
+      const orderBook = await MarketplaceService.getOrderBook(req.params.propertyId);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          orderBook
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get recent trades for a property
+  static async getPropertyTrades(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const trades = await MarketplaceService.getPropertyTrades(req.params.propertyId, limit);
+
+      res.status(200).json({
+        status: 'success',
+        results: trades.length,
+        data: {
+          trades
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get open sell orders
+  static async getSellOrders(req, res, next) {
+    try {
+      const sellOrders = await MarketplaceService.getOpenSellOrders(req.query.property);
+
+      res.status(200).json({
+        status: 'success',
+        results: sellOrders.length,
+        data: {
+          sellOrders
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create sell order
+  static async createSellOrder(req, res, next) {
+    try {
+      const { sellOrder, trades } = await MarketplaceService.createSellOrder(req.body, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          sellOrder,
+          trades
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get current user's buy orders
+  static async getMyBuyOrders(req, res, next) {
+    try {
+      const buyOrders = await MarketplaceService.getUserBuyOrders(req.user.id, {
+        status: req.query.status,
+        property: req.query.property
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: buyOrders.length,
+        data: {
+          buyOrders
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create buy order
+  static async createBuyOrder(req, res, next) {
+    try {
+      const { buyOrder, trades } = await MarketplaceService.createBuyOrder(req.body, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          buyOrder,
+          trades
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel buy order
+  static async cancelBuyOrder(req, res, next) {
+    try {
+      const buyOrder = await MarketplaceService.cancelBuyOrder(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          buyOrder
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MarketplaceController;
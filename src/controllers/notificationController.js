@@ -0,0 +1,46 @@
+// src/controllers/notificationController.js
+const NotificationService = require('../services/notificationService');
+
+class NotificationController {
+  // Get current user's notifications
+  static async getMyNotifications(req, res, next) {
+    try {
+      const { notifications, unreadCount } = await NotificationService.getUserNotifications(
+        req.user.id,
+        {
+          unreadOnly: req.query.unread === 'true',
+          limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+        }
+      );
+
+      res.status(200).json({
+        status: 'success',
+        results: notifications.length,
+        unreadCount,
+        data: {
+          notifications
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Mark notification as read
+  static async markAsRead(req, res, next) {
+    try {
+      const notification = await NotificationService.markAsRead(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          notification
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = NotificationController;
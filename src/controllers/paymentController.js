@@ -0,0 +1,39 @@
+// src/controllers/paymentController.js
+const PaymentService = require('../services/paymentService');
+const TransactionService = require('../services/transactionService');
+
+class PaymentController {
+  // Receive a signed event from a payment provider
+  static async handleWebhook(req, res, next) {
+    try {
+      const event = PaymentService.parseWebhook(req.params.provider, req.rawBody, req.headers);
+      const { handled } = await TransactionService.applyPaymentEvent(event);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          received: true,
+          handled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get processing fees of the configured provider
+  static async getFees(req, res, next) {
+    try {
+      const feeSchedule = PaymentService.getFeeSchedule();
+
+      res.status(200).json({
+        status: 'success',
+        data: feeSchedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PaymentController;
@@ -1,51 +1,22 @@
 // src/controllers/propertyController.js
 const Property = require('../models/Property');
 const Investment = require('../models/Investment');
+const DistributionService = require('../services/distributionService');
+const ValuationService = require('../services/valuationService');
+const PropertyService = require('../services/propertyService');
+const EligibilityService = require('../services/eligibilityService');
 
 class PropertyController {
-  // Get all properties
+  // Get all properties (?field[op]=value&sort=&fields=&page=&limit=)
   static async getAllProperties(req, res, next) {
     try {
-      // Build query
-      const queryObj = { ...req.query };
-      const excludedFields = ['page', 'sort', 'limit', 'fields'];
-      excludedFields.forEach(el => delete queryObj[el]);
-
-      // Advanced filtering
-      let queryStr = JSON.stringify(queryObj);
-      queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
-      
-      let query = Property.find(JSON.parse(queryStr));
-
-      // Sorting
-      if (req.query.sort) {
-        const sortBy = req.query.sort.split(',').join(' ');
-        query = query.sort(sortBy);
-      } else {
-        query = query.sort('-createdAt');
-      }
-
-      // Field limiting
-      if (req.query.fields) {
-        const fields = req.query.fields.split(',').join(' ');
-        query = query.select(fields);
-      } else {
-        query = query.select('-__v');
-      }
-
-      // Pagination
-      const page = parseInt(req.query.page, 10) || 1;
-      const limit = parseInt(req.query.limit, 10) || 10;
-      const skip = (page - 1) * limit;
-      query = query.skip(skip).limit(limit);
-
-      // Execute query
-      const properties = await query;
+      const { properties, pagination } = await PropertyService.getProperties(req.query);
 
       // Send response
       res.status(200).json({
         status: 'success',
         results: properties.length,
+        pagination,
         data: {
           properties
         }
@@ -55,6 +26,26 @@ class PropertyController {
     }
   }
 
+  // Search properties by text, location and filters with cursor pagination
+  static async searchProperties(req, res, next) {
+    try {
+      const { properties, total, facets, nextCursor } = await PropertyService.searchProperties(req.query);
+
+      res.status(200).json({
+        status: 'success',
+        results: properties.length,
+        total,
+        nextCursor,
+        data: {
+          properties,
+          facets
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get property by ID
   static async getProperty(req, res, next) {
     try {
@@ -100,31 +91,7 @@ class PropertyController {
   // Update property
   static async updateProperty(req, res, next) {
     try {
-      const property = await Property.findById(req.params.id);
-
-      if (!property) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'No property found with that ID'
-        });
-      }
-
-      // Check if user is the owner or has admin role
-      if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission to update this property'
-        });
-      }
-
-      const updatedProperty = await Property.findByIdAndUpdate(
-        req.params.id, 
-        req.body, 
-        { 
-          new: true, 
-          runValidators: true 
-        }
-      );
+      const updatedProperty = await PropertyService.updateProperty(req.params.id, req.body, req.user);
 
       res.status(200).json({
         status: 'success',
@@ -289,6 +256,7 @@ class PropertyController {
         'Active': ['Funding', 'Closed'],
         'Funding': ['Closed', 'Sold'],
         'Closed': ['Sold'],
+        'Failed': [],
         'Sold': []
       };
 
@@ -299,12 +267,24 @@ class PropertyController {
         });
       }
 
+      // Rounds that miss their soft cap are refunded when they end, not closed
+      if (property.status === 'Funding' && req.body.status === 'Closed' && !property.softCapReached()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This round has not reached its soft cap yet'
+        });
+      }
+
       property.status = req.body.status;
       
-      // If transitioning to Funding, set the investment window
+      // If transitioning to Funding, set the investment window and targets
       if (req.body.status === 'Funding') {
         property.investmentWindowStart = req.body.investmentWindowStart || new Date();
         property.investmentWindowEnd = req.body.investmentWindowEnd;
+
+        if (req.body.fundingTarget) {
+          property.fundingTarget = req.body.fundingTarget;
+        }
       }
 
       await property.save();
@@ -319,6 +299,169 @@ class PropertyController {
       next(error);
     }
   }
+
+  // Check whether the current user may invest in a property, optionally for a number of tokens
+  static async getEligibility(req, res, next) {
+    try {
+      const property = await Property.findById(req.params.id);
+
+      if (!property) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No property found with that ID'
+        });
+      }
+
+      const tokens = req.query.tokens !== undefined ? Number(req.query.tokens) : null;
+
+      if (tokens !== null && (!Number.isInteger(tokens) || tokens <= 0)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'tokens must be a positive whole number'
+        });
+      }
+
+      const eligibility = await EligibilityService.check(
+        req.user,
+        property,
+        tokens !== null ? { tokens, amount: tokens * property.tokenPrice } : null
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          eligibility
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get funding and trading analytics for the owner
+  static async getPropertyMetrics(req, res, next) {
+    try {
+      const metrics = await PropertyService.getPropertyMetrics(req.params.id, req.user.id, {
+        from: req.query.from,
+        to: req.query.to,
+        granularity: req.query.granularity
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          metrics
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Deploy the property's token contract
+  static async tokenizeProperty(req, res, next) {
+    try {
+      const { property, transactionHash } = await PropertyService.tokenizeProperty(
+        req.params.id,
+        req.user.id
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          property,
+          transactionHash
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Distribute a payout across all investments of a property
+  static async createDistribution(req, res, next) {
+    try {
+      const { distribution, replayed } = await DistributionService.createDistribution(
+        req.params.id,
+        {
+          amount: req.body.amount,
+          type: req.body.type,
+          idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+        },
+        req.user.id
+      );
+
+      res.status(replayed ? 200 : 201).json({
+        status: 'success',
+        replayed,
+        data: {
+          distribution
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get distributions made for a property
+  static async getDistributions(req, res, next) {
+    try {
+      const distributions = await DistributionService.getPropertyDistributions(
+        req.params.id,
+        req.user.id
+      );
+
+      res.status(200).json({
+        status: 'success',
+        results: distributions.length,
+        data: {
+          distributions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Record a new property valuation
+  static async createValuation(req, res, next) {
+    try {
+      const valuation = await ValuationService.recordValuation(
+        req.params.id,
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          valuation
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get property valuation history
+  static async getValuations(req, res, next) {
+    try {
+      const valuations = await ValuationService.getValuationHistory(req.params.id, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.status(200).json({
+        status: 'success',
+        results: valuations.length,
+        data: {
+          valuations
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
-module.exports = PropertyController;
\ No newline at end of file
+module.exports = PropertyController;
@@ -1,53 +1,26 @@
 // src/controllers/transactionController.js
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const TransactionService = require('../services/transactionService');
+const CryptoDepositService = require('../services/cryptoDepositService');
+const StatementService = require('../services/statementService');
+const AppError = require('../utils/appError');
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
 
 class TransactionController {
   // Get all transactions for current user
   static async getMyTransactions(req, res, next) {
     try {
-      // Build query with filters
-      const queryObj = { ...req.query, user: req.user.id };
-      const excludedFields = ['page', 'sort', 'limit', 'fields'];
-      excludedFields.forEach(el => delete queryObj[el]);
-
-      // Advanced filtering
-      let queryStr = JSON.stringify(queryObj);
-      queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
-      
-      let query = Transaction.find(JSON.parse(queryStr));
-
-      // Sorting
-      if (req.query.sort) {
-        const sortBy = req.query.sort.split(',').join(' ');
-        query = query.sort(sortBy);
-      } else {
-        query = query.sort('-createdAt');
-      }
-
-      // Field limiting
-      if (req.query.fields) {
-        const fields = req.query.fields.split(',').join(' ');
-        query = query.select(fields);
-      } else {
-        query = query.select('-__v');
-      }
-
-      // Pagination
-      const page = parseInt(req.query.page, 10) || 1;
-      const limit = parseInt(req.query.limit, 10) || 20;
-      const skip = (page - 1) * limit;
-      query = query.skip(skip).limit(limit);
-
-      // Execute query
-      const transactions = await query;
-
-      // Get transaction summary
-      const summary = await Transaction.getUserTransactionSummary(req.user.id);
+      const { transactions, summary, pagination } = await TransactionService.getUserTransactions(
+        req.user._id,
+        req.query
+      );
 
       res.status(200).json({
         status: 'success',
         results: transactions.length,
+        pagination,
         summary,
         data: {
           transactions
@@ -93,33 +66,32 @@ class TransactionController {
   // Create deposit transaction
   static async createDeposit(req, res, next) {
     try {
-      // Validate deposit amount
-      if (!req.body.amount || req.body.amount <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Invalid deposit amount'
-        });
-      }
+      const { transaction, payment } = await TransactionService.createDeposit(req.body, req.user.id);
 
-      // Create pending deposit transaction
-      const transaction = await Transaction.create({
-        user: req.user.id,
-        type: 'Deposit',
-        amount: req.body.amount,
-        currency: req.body.currency || 'USD',
-        status: 'Pending',
-        description: req.body.description || 'Wallet deposit',
-        paymentMethod: req.body.paymentMethod,
-        metadata: req.body.metadata || {}
+      res.status(201).json({
+        status: 'success',
+        data: {
+          transaction,
+          payment
+        }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Note: In a real application, this would integrate with a payment processor
-      // and the status would be updated asynchronously
+  // Get the address the user sends crypto deposits to
+  static async getDepositAddress(req, res, next) {
+    try {
+      const depositAddress = await CryptoDepositService.getDepositAddress(
+        req.user.id,
+        req.query.currency
+      );
 
-      res.status(201).json({
+      res.status(200).json({
         status: 'success',
         data: {
-          transaction
+          depositAddress
         }
       });
     } catch (error) {
@@ -127,41 +99,41 @@ class TransactionController {
     }
   }
 
-  // Create withdrawal transaction
-  static async createWithdrawal(req, res, next) {
+  // Get the user's withdrawal limits and what is left of them
+  static async getWithdrawalLimits(req, res, next) {
     try {
-      // Validate withdrawal amount
-      if (!req.body.amount || req.body.amount <= 0) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Invalid withdrawal amount'
-        });
-      }
-
-      // Check user's wallet balance
       const user = await User.findById(req.user.id);
-      
-      if (user.walletBalance < req.body.amount) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Insufficient wallet balance'
-        });
-      }
+      const limits = await TransactionService.getWithdrawalAllowance(user);
 
-      // Create pending withdrawal transaction
-      const transaction = await Transaction.create({
-        user: req.user.id,
-        type: 'Withdrawal',
-        amount: req.body.amount,
-        currency: req.body.currency || 'USD',
-        status: 'Pending',
-        description: req.body.description || 'Wallet withdrawal',
-        paymentMethod: req.body.paymentMethod,
-        metadata: req.body.withdrawalDetails || {}
+      res.status(200).json({
+        status: 'success',
+        data: {
+          limits
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the user's balance in every currency
+  static async getBalances(req, res, next) {
+    try {
+      const balances = await TransactionService.getBalances(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: balances
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Note: In a real application, this would integrate with a payment processor
-      // and the status would be updated asynchronously
+  // Convert funds between two of the user's currency wallets
+  static async convertCurrency(req, res, next) {
+    try {
+      const transaction = await TransactionService.convertCurrency(req.user.id, req.body);
 
       res.status(201).json({
         status: 'success',
@@ -174,54 +146,30 @@ class TransactionController {
     }
   }
 
-  // Confirm transaction (For admin/system use)
-  static async confirmTransaction(req, res, next) {
+  // Create withdrawal transaction; the funds are held until an admin reviews it
+  static async createWithdrawal(req, res, next) {
     try {
-      const transaction = await Transaction.findById(req.params.id);
-
-      if (!transaction) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'No transaction found with that ID'
-        });
-      }
-
-      // Check if user has admin role or system permission
-      if (req.user.role !== 'admin' && req.user.role !== 'system') {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission to confirm transactions'
-        });
-      }
+      const transaction = await TransactionService.createWithdrawal(req.body, req.user.id);
 
-      // Check if transaction is already completed
-      if (transaction.status === 'Completed') {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Transaction is already completed'
-        });
-      }
+      res.status(201).json({
+        status: 'success',
+        data: {
+          transaction
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Update transaction status
-      transaction.status = 'Completed';
-      transaction.completedAt = new Date();
-      
-      if (req.body.blockchainTransactionHash) {
-        transaction.blockchainTransactionHash = req.body.blockchainTransactionHash;
-      }
-      
-      await transaction.save();
-
-      // Update user's wallet balance
-      const user = await User.findById(transaction.user);
-      
-      if (transaction.type === 'Deposit') {
-        user.walletBalance += transaction.amount;
-      } else if (transaction.type === 'Withdrawal') {
-        user.walletBalance -= transaction.amount;
-      }
-      
-      await user.save();
+  // Confirm transaction (For admin/system use)
+  static async confirmTransaction(req, res, next) {
+    try {
+      const transaction = await TransactionService.confirmTransaction(
+        req.params.id,
+        req.body,
+        req.user.id
+      );
 
       res.status(200).json({
         status: 'success',
@@ -234,6 +182,74 @@ class TransactionController {
     }
   }
 
+  // Send a report as JSON or as a CSV or PDF download
+  static async sendReport(res, format, report, renderers, filename) {
+    if (format === 'json') {
+      return res.status(200).json({
+        status: 'success',
+        data: report
+      });
+    }
+
+    const body = format === 'csv' ? renderers.csv(report) : await renderers.pdf(report);
+
+    res.status(200)
+      .type(format === 'csv' ? 'text/csv' : 'application/pdf')
+      .attachment(`${filename}.${format}`)
+      .send(body);
+  }
+
+  // Get a wallet statement for a period (?from=&to=&currency=&format=json|csv|pdf)
+  static async getStatement(req, res, next) {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!REPORT_FORMATS.includes(format)) {
+        throw new AppError(`format must be one of ${REPORT_FORMATS.join(', ')}`);
+      }
+
+      const statement = await StatementService.getStatement(req.user.id, {
+        from: req.query.from,
+        to: req.query.to,
+        currency: req.query.currency
+      });
+
+      const filename = [
+        'statement',
+        statement.currency.toLowerCase(),
+        statement.period.from.toISOString().slice(0, 10),
+        new Date(statement.period.to.getTime() - 1).toISOString().slice(0, 10)
+      ].join('-');
+
+      await TransactionController.sendReport(res, format, statement, {
+        csv: StatementService.statementToCsv,
+        pdf: StatementService.statementToPdf
+      }, filename);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the annual tax report (?year=&format=json|csv|pdf), the previous year by default
+  static async getTaxReport(req, res, next) {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!REPORT_FORMATS.includes(format)) {
+        throw new AppError(`format must be one of ${REPORT_FORMATS.join(', ')}`);
+      }
+
+      const report = await StatementService.getTaxReport(req.user.id, req.query.year);
+
+      await TransactionController.sendReport(res, format, report, {
+        csv: StatementService.taxReportToCsv,
+        pdf: StatementService.taxReportToPdf
+      }, `tax-report-${report.year}`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get transaction summary
   static async getTransactionSummary(req, res, next) {
     try {
@@ -300,37 +316,14 @@ class TransactionController {
     }
   }
 
-  // Cancel transaction
+  // Cancel pending transaction, releasing any funds on hold
   static async cancelTransaction(req, res, next) {
     try {
-      const transaction = await Transaction.findById(req.params.id);
-
-      if (!transaction) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'No transaction found with that ID'
-        });
-      }
-
-      // Check if user owns the transaction or has admin role
-      if (transaction.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission to cancel this transaction'
-        });
-      }
-
-      // Check if transaction can be cancelled
-      if (transaction.status !== 'Pending') {
-        return res.status(400).json({
-          status: 'error',
-          message: `Cannot cancel transaction with status: ${transaction.status}`
-        });
-      }
-
-      // Update transaction status
-      transaction.status = 'Failed';
-      await transaction.save();
+      const transaction = await TransactionService.cancelTransaction(
+        req.params.id,
+        req.user.id,
+        req.user.role === 'admin'
+      );
 
       res.status(200).json({
         status: 'success',
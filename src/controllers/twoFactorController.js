@@ -0,0 +1,89 @@
+// src/controllers/twoFactorController.js
+const TwoFactorService = require('../services/twoFactorService');
+
+class TwoFactorController {
+  // Get two-factor status
+  static async getStatus(req, res, next) {
+    try {
+      const twoFactor = await TwoFactorService.getStatus(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          twoFactor
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Generate a secret and provisioning URI for the authenticator app
+  static async setup(req, res, next) {
+    try {
+      const { secret, otpauthUrl } = await TwoFactorService.setup(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          secret,
+          otpauthUrl
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Confirm the first code and turn two-factor on
+  static async enable(req, res, next) {
+    try {
+      const { backupCodes } = await TwoFactorService.enable(req.user.id, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+        data: {
+          backupCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Turn two-factor off
+  static async disable(req, res, next) {
+    try {
+      await TwoFactorService.disable(req.user.id, req.body.password, req.body.code);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Replace backup codes
+  static async regenerateBackupCodes(req, res, next) {
+    try {
+      const { backupCodes } = await TwoFactorService.regenerateBackupCodes(
+        req.user.id,
+        req.body.code
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          backupCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TwoFactorController;
@@ -0,0 +1,64 @@
+// src/controllers/walletController.js
+const WalletService = require('../services/walletService');
+
+class WalletController {
+  // Get current user's wallet and token balances
+  static async getMyWallet(req, res, next) {
+    try {
+      const { wallet, balances } = await WalletService.getUserWallet(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          wallet,
+          balances
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the message to sign for an external address
+  static async getOwnershipMessage(req, res, next) {
+    try {
+      if (!req.query.address) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please provide the address to link'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          message: WalletService.getOwnershipMessage(req.user.id, req.query.address)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Link a self-custody address
+  static async registerExternalAddress(req, res, next) {
+    try {
+      const wallet = await WalletService.registerExternalAddress(
+        req.user.id,
+        req.body.address,
+        req.body.signature
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          wallet
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WalletController;
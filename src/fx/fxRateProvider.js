@@ -0,0 +1,28 @@
+// src/fx/fxRateProvider.js
+
+// Base class for FX rate providers. Subclasses implement fetchRates, resolving
+// to the USD price of each currency they quote.
+class FxRateProvider {
+  constructor({ name }) {
+    this.name = name;
+  }
+
+  // Fetch and check the USD prices of all quoted currencies
+  async getUsdRates() {
+    const rates = await this.fetchRates();
+
+    if (!rates || typeof rates !== 'object') {
+      throw new Error(`FX provider ${this.name} returned no rates`);
+    }
+
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!(Number(rate) > 0)) {
+        throw new Error(`FX provider ${this.name} returned an invalid ${currency} rate`);
+      }
+    }
+
+    return { ...rates, USD: 1 };
+  }
+}
+
+module.exports = FxRateProvider;
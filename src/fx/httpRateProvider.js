@@ -0,0 +1,30 @@
+// src/fx/httpRateProvider.js
+const env = require('../config/env');
+const FxRateProvider = require('./fxRateProvider');
+
+// Rates fetched from an HTTP endpoint returning the same JSON as the static file
+class HttpRateProvider extends FxRateProvider {
+  constructor() {
+    super({ name: 'http' });
+  }
+
+  async fetchRates() {
+    if (!env.FX_RATES_URL) {
+      throw new Error('FX_RATES_URL is not configured');
+    }
+
+    const response = await fetch(env.FX_RATES_URL, {
+      headers: { Accept: 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`FX rate endpoint responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    return body.rates;
+  }
+}
+
+module.exports = HttpRateProvider;
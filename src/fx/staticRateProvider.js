@@ -0,0 +1,28 @@
+// src/fx/staticRateProvider.js
+const fs = require('fs/promises');
+const path = require('path');
+const env = require('../config/env');
+const FxRateProvider = require('./fxRateProvider');
+
+// Rates read from a JSON file, for development and offline use
+class StaticRateProvider extends FxRateProvider {
+  constructor() {
+    super({ name: 'static' });
+    this.file = path.resolve(env.FX_RATES_FILE);
+  }
+
+  // The file holds { "rates": { "<currency>": <USD price> } }
+  async fetchRates() {
+    let contents;
+
+    try {
+      contents = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read FX rates from ${this.file}: ${error.message}`);
+    }
+
+    return contents.rates;
+  }
+}
+
+module.exports = StaticRateProvider;
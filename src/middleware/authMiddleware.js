@@ -1,6 +1,8 @@
 // src/middleware/authMiddleware.js
 const JWTService = require('../utils/jwt');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
 
 class AuthMiddleware {
   // Middleware to protect routes
@@ -23,7 +25,7 @@ class AuthMiddleware {
       }
 
       // 2) Verify token
-      const decoded = JWTService.verifyToken(token);
+      const decoded = JWTService.verifyAccessToken(token);
       
       if (!decoded) {
         return res.status(401).json({
@@ -32,6 +34,14 @@ class AuthMiddleware {
         });
       }
 
+      // Reject tokens whose session was logged out or revoked
+      if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Your session has ended. Please log in again.'
+        });
+      }
+
       // 3) Check if user still exists
       const currentUser = await User.findById(decoded.id);
       
@@ -43,15 +53,16 @@ class AuthMiddleware {
       }
 
       // 4) Check if user changed password after token was issued
-      // This would be implemented if you add a passwordChangedAt field to the User model
-      // if (currentUser.changedPasswordAfter(decoded.iat)) {
-      //   return next(
-      //     new AppError('User recently changed password! Please log in again.', 401)
-      //   );
-      // }
+      if (currentUser.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'User recently changed password. Please log in again.'
+        });
+      }
 
       // GRANT ACCESS TO PROTECTED ROUTE
       req.user = currentUser;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       next(error);
@@ -72,6 +83,38 @@ class AuthMiddleware {
     };
   }
 
+  // Middleware to confirm sensitive actions with a two-factor code
+  static requireTwoFactor(options = {}) {
+    return async (req, res, next) => {
+      try {
+        if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+          if (options.mandatory) {
+            return res.status(403).json({
+              status: 'error',
+              message: 'Enable two-factor authentication to perform this action.'
+            });
+          }
+          return next();
+        }
+
+        const code = req.get('X-2FA-Code') || (req.body && req.body.twoFactorCode);
+
+        if (!code) {
+          return res.status(401).json({
+            status: 'error',
+            message: 'Please provide your two-factor code.',
+            twoFactorRequired: true
+          });
+        }
+
+        await TwoFactorService.verify(req.user.id, code);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
   // Middleware to check investor verification status
   static async requireVerifiedInvestor(req, res, next) {
     try {
@@ -2,6 +2,11 @@
 const env = require('../config/env');
 
 const errorHandler = (err, req, res, next) => {
+  // Invalid input caught by Mongoose is the client's mistake, not a server error
+  if (!err.statusCode && ['ValidationError', 'CastError'].includes(err.name)) {
+    err.statusCode = 400;
+  }
+
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -41,10 +46,11 @@ const errorHandler = (err, req, res, next) => {
       });
     }
 
-    // Default error response
+    // Default error response, with the reasons behind a rejection when there are any
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message || 'Something went wrong!'
+      message: err.message || 'Something went wrong!',
+      reasons: err.reasons
     });
   }
 };
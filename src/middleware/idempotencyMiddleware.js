@@ -0,0 +1,136 @@
+// src/middleware/idempotencyMiddleware.js
+const crypto = require('crypto');
+const env = require('../config/env');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+// A request still processing after this long is assumed to have crashed
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+class IdempotencyMiddleware {
+  // Hash identifying a request; the two-factor code changes between retries so it is left out
+  static fingerprint(req) {
+    const body = { ...req.body };
+    delete body.twoFactorCode;
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([req.method, req.baseUrl + req.path, body]))
+      .digest('hex');
+  }
+
+  // Middleware replaying the stored response when a request is retried with the same
+  // Idempotency-Key. Must run after AuthMiddleware.protect; requests without the header pass through.
+  static async idempotent(req, res, next) {
+    try {
+      const key = req.get('Idempotency-Key');
+
+      if (key === undefined) {
+        return next();
+      }
+
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      const fingerprint = IdempotencyMiddleware.fingerprint(req);
+      let record;
+
+      try {
+        record = await IdempotencyKey.create({
+          user: req.user._id,
+          key,
+          fingerprint,
+          expiresAt: new Date(Date.now() + env.IDEMPOTENCY_KEY_TTL * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+        // Expired between the insert and the lookup; let the client retry
+        if (!existing) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'Idempotency-Key could not be claimed, please retry'
+          });
+        }
+
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            status: 'error',
+            message: 'Idempotency-Key was already used for a different request'
+          });
+        }
+
+        if (existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        // Take over the key of a request that never finished
+        record = await IdempotencyKey.findOneAndUpdate(
+          {
+            _id: existing._id,
+            status: 'processing',
+            lockedAt: { $lt: new Date(Date.now() - PROCESSING_LOCK_MS) }
+          },
+          { $set: { lockedAt: new Date() } },
+          { new: true }
+        );
+
+        if (!record) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+      }
+
+      // Store the outcome before the client can see it, so an immediate retry replays it.
+      // Only client errors release the key: they are rejected before any money moves, while
+      // a server error may come after the ledger transaction committed and is replayed as is.
+      let settled = false;
+
+      const settle = (statusCode, body) => {
+        settled = true;
+
+        const update = statusCode >= 400 && statusCode < 500
+          ? IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+          : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: 'completed', response: { statusCode, body } } }
+          );
+
+        return update.catch(error => {
+          console.error(`Failed to store idempotent response for key ${record.key}:`, error.message);
+        });
+      };
+
+      const json = res.json.bind(res);
+
+      res.json = (body) => {
+        settle(res.statusCode, body).then(() => json(body));
+        return res;
+      };
+
+      // Responses sent without res.json. A connection aborted before the response never
+      // finishes, so its key stays processing until the route's own res.json stores it.
+      res.on('finish', () => {
+        if (!settled) {
+          settle(res.statusCode, null);
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = IdempotencyMiddleware;
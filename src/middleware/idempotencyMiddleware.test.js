@@ -0,0 +1,234 @@
+// src/middleware/idempotencyMiddleware.test.js
+process.env.NODE_ENV = 'production';
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const IdempotencyMiddleware = require('./idempotencyMiddleware');
+const errorHandler = require('./errorHandler');
+const TransactionController = require('../controllers/transactionController');
+
+const userId = new mongoose.Types.ObjectId();
+
+const requestWith = (key, body = { amount: 100 }) => ({
+  method: 'POST',
+  baseUrl: '/api/transactions',
+  path: '/deposit',
+  body,
+  user: { _id: userId },
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+// Response recording what reached the client
+const response = () => {
+  const res = new EventEmitter();
+
+  res.statusCode = 200;
+  res.headers = {};
+  res.sent = null;
+  res.status = jest.fn((statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.sent = { statusCode: res.statusCode, body };
+    return res;
+  });
+
+  return res;
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('IdempotencyMiddleware.idempotent', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes requests without a key through', async () => {
+    const next = jest.fn();
+    jest.spyOn(IdempotencyKey, 'create');
+
+    await IdempotencyMiddleware.idempotent(requestWith(undefined), response(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('stores the response before sending it', async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), key: 'deposit-1' };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+
+    let stored = false;
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async () => {
+      // The client must not see the response until it can be replayed
+      expect(res.sent).toBeNull();
+      stored = true;
+    });
+
+    const res = response();
+    const next = jest.fn();
+
+    await IdempotencyMiddleware.idempotent(requestWith('deposit-1'), res, next);
+    res.status(201).json({ status: 'success' });
+    await flush();
+
+    expect(next).toHaveBeenCalled();
+    expect(stored).toBe(true);
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: record._id },
+      { $set: { status: 'completed', response: { statusCode: 201, body: { status: 'success' } } } }
+    );
+    expect(res.sent).toEqual({ statusCode: 201, body: { status: 'success' } });
+  });
+
+  test('replays a completed request', async () => {
+    const req = requestWith('deposit-1');
+
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      status: 'completed',
+      fingerprint: IdempotencyMiddleware.fingerprint(req),
+      response: { statusCode: 201, body: { status: 'success', data: { id: 'tx1' } } }
+    });
+
+    const res = response();
+    const next = jest.fn();
+
+    await IdempotencyMiddleware.idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.sent).toEqual({ statusCode: 201, body: { status: 'success', data: { id: 'tx1' } } });
+  });
+
+  test('ignores the two-factor code when comparing retries', () => {
+    expect(IdempotencyMiddleware.fingerprint(requestWith('k', { amount: 100, twoFactorCode: '123456' })))
+      .toBe(IdempotencyMiddleware.fingerprint(requestWith('k', { amount: 100, twoFactorCode: '654321' })));
+  });
+
+  test('rejects a key reused for a different request', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      status: 'completed',
+      fingerprint: IdempotencyMiddleware.fingerprint(requestWith('deposit-1', { amount: 100 }))
+    });
+
+    const res = response();
+
+    await IdempotencyMiddleware.idempotent(requestWith('deposit-1', { amount: 200 }), res, jest.fn());
+
+    expect(res.sent.statusCode).toBe(422);
+  });
+
+  test('rejects a retry while the original is still processing', async () => {
+    const req = requestWith('deposit-1');
+
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      status: 'processing',
+      fingerprint: IdempotencyMiddleware.fingerprint(req)
+    });
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = response();
+    const next = jest.fn();
+
+    await IdempotencyMiddleware.idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.sent.statusCode).toBe(409);
+  });
+
+  test('releases the key of a rejected request', async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), key: 'deposit-1' };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'updateOne');
+
+    const res = response();
+
+    await IdempotencyMiddleware.idempotent(requestWith('deposit-1'), res, jest.fn());
+    res.status(400).json({ status: 'error', message: 'Invalid amount' });
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: record._id, status: 'processing' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('keeps the key of a server error for replay', async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), key: 'deposit-1' };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    jest.spyOn(IdempotencyKey, 'deleteOne');
+    jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({});
+
+    const res = response();
+
+    await IdempotencyMiddleware.idempotent(requestWith('deposit-1'), res, jest.fn());
+    res.status(500).json({ status: 'error', message: 'Something went wrong' });
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: record._id },
+      { $set: { status: 'completed', response: { statusCode: 500, body: { status: 'error', message: 'Something went wrong' } } } }
+    );
+  });
+});
+
+describe('IdempotencyMiddleware on the deposit route', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: userId, id: userId.toString() };
+      next();
+    });
+    app.post('/api/transactions/deposit', IdempotencyMiddleware.idempotent, TransactionController.createDeposit);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('releases the key when the service rejects the deposit', async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), key: 'deposit-1' };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(IdempotencyKey, 'updateOne');
+
+    const response = await fetch(`${baseUrl}/api/transactions/deposit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'deposit-1' },
+      body: JSON.stringify({ amount: 0, paymentMethod: 'Credit Card' })
+    });
+    await flush();
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ message: 'Invalid deposit amount' });
+    // The corrected request can be retried under the same key
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: record._id, status: 'processing' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+// src/middleware/uploadMiddleware.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const env = require('../config/env');
+const AppError = require('../utils/appError');
+
+const KYC_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+class UploadMiddleware {
+  // Absolute directory for a user's KYC files
+  static kycDirectory(userId) {
+    return path.resolve(env.UPLOAD_DIR, 'kyc', userId.toString());
+  }
+
+  // Middleware to accept front/back images of a KYC document
+  static kycDocument() {
+    const storage = multer.diskStorage({
+      destination: (req, file, cb) => {
+        const directory = UploadMiddleware.kycDirectory(req.user.id);
+
+        fs.mkdir(directory, { recursive: true }, error => cb(error, directory));
+      },
+      filename: (req, file, cb) => {
+        // Never trust client file names on disk
+        const name = crypto.randomBytes(16).toString('hex');
+        cb(null, `${name}${KYC_MIME_TYPES[file.mimetype]}`);
+      }
+    });
+
+    const upload = multer({
+      storage,
+      limits: {
+        fileSize: env.KYC_MAX_FILE_SIZE,
+        files: 2
+      },
+      fileFilter: (req, file, cb) => {
+        if (!KYC_MIME_TYPES[file.mimetype]) {
+          return cb(new AppError('Only JPEG, PNG, WEBP or PDF files are allowed'));
+        }
+        cb(null, true);
+      }
+    }).fields([
+      { name: 'front', maxCount: 1 },
+      { name: 'back', maxCount: 1 }
+    ]);
+
+    return (req, res, next) => {
+      upload(req, res, error => {
+        if (error instanceof multer.MulterError) {
+          return next(new AppError(error.message));
+        }
+        next(error);
+      });
+    };
+  }
+}
+
+module.exports = UploadMiddleware;
@@ -31,10 +31,7 @@ class ValidationMiddleware {
         .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
       body('phoneNumber')
         .optional()
-        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/).withMessage('Please provide a valid phone number'),
-      body('investorType')
-        .optional()
-        .isIn(['individual', 'institutional', 'accredited']).withMessage('Invalid investor type')
+        .matches(/^(\+\d{1,3}[- ]?)?\d{10}$/).withMessage('Please provide a valid phone number')
     ];
   }
 
@@ -95,12 +92,71 @@ class ValidationMiddleware {
         .isNumeric().withMessage('Number of tokens must be a number')
         .isInt({ min: 1 }).withMessage('Must purchase at least 1 token'),
       body('investmentAmount')
-        .notEmpty().withMessage('Investment amount is required')
+        .optional()
         .isNumeric().withMessage('Investment amount must be a number')
         .isFloat({ min: 0 }).withMessage('Investment amount cannot be negative')
     ];
   }
 
+  // Marketplace buy order validation rules
+  static buyOrderValidation() {
+    return [
+      body('property')
+        .notEmpty().withMessage('Property ID is required'),
+      body('quantity')
+        .notEmpty().withMessage('Number of tokens is required')
+        .isInt({ min: 1 }).withMessage('Must buy at least 1 token'),
+      body('price')
+        .notEmpty().withMessage('Price is required')
+        .isFloat({ gt: 0 }).withMessage('Price must be greater than zero')
+    ];
+  }
+
+  // Marketplace sell order validation rules
+  static sellOrderValidation() {
+    return [
+      body('investment')
+        .notEmpty().withMessage('Investment ID is required'),
+      body('quantity')
+        .notEmpty().withMessage('Number of tokens is required')
+        .isInt({ min: 1 }).withMessage('Must sell at least 1 token'),
+      body('price')
+        .notEmpty().withMessage('Price is required')
+        .isFloat({ gt: 0 }).withMessage('Price must be greater than zero')
+    ];
+  }
+
+  // Property distribution validation rules
+  static distributionValidation() {
+    return [
+      body('amount')
+        .notEmpty().withMessage('Distribution amount is required')
+        .isFloat({ gt: 0 }).withMessage('Distribution amount must be greater than zero'),
+      body('type')
+        .notEmpty().withMessage('Distribution type is required')
+        .isIn(['Rental', 'Appreciation', 'Other']).withMessage('Invalid distribution type')
+    ];
+  }
+
+  // Property valuation validation rules
+  static valuationValidation() {
+    return [
+      body('totalValue')
+        .notEmpty().withMessage('Total value is required')
+        .isFloat({ gt: 0 }).withMessage('Total value must be greater than zero'),
+      body('source')
+        .notEmpty().withMessage('Valuation source is required')
+        .isIn(['Appraisal', 'Market Comparison', 'Owner Estimate', 'Other'])
+        .withMessage('Invalid valuation source'),
+      body('valuationDate')
+        .optional()
+        .isISO8601().withMessage('Valuation date must be a valid date'),
+      body('appraisalDocument')
+        .optional()
+        .isURL().withMessage('Appraisal document must be a valid URL')
+    ];
+  }
+
   // Transaction creation validation rules
   static transactionValidation() {
     return [
@@ -0,0 +1,57 @@
+// src/models/BuyOrder.js
+const mongoose = require('mongoose');
+
+const buyOrderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Buy order must belong to a user']
+  },
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Buy order must be associated with a property']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Number of tokens must be specified'],
+    min: [1, 'Must buy at least 1 token']
+  },
+  filledQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Filled quantity cannot be negative']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Token price must be specified'],
+    min: [0, 'Token price cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Filled', 'Cancelled'],
+    default: 'Open'
+  },
+  cancelReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  filledAt: Date
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for building the order book (price-time priority)
+buyOrderSchema.index({ property: 1, status: 1, price: -1, createdAt: 1 });
+buyOrderSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for tokens still waiting to be filled
+buyOrderSchema.virtual('remainingQuantity').get(function() {
+  return this.quantity - this.filledQuantity;
+});
+
+const BuyOrder = mongoose.model('BuyOrder', buyOrderSchema);
+
+module.exports = BuyOrder;
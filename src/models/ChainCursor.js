@@ -0,0 +1,23 @@
+// src/models/ChainCursor.js
+const mongoose = require('mongoose');
+
+// Last block processed by a chain listener, so scans resume after a restart
+const chainCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Cursor must have a name'],
+    unique: true
+  },
+  blockNumber: {
+    type: Number,
+    required: [true, 'Cursor must have a block number']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ChainCursor = mongoose.model('ChainCursor', chainCursorSchema);
+
+module.exports = ChainCursor;
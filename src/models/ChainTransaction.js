@@ -0,0 +1,69 @@
+// src/models/ChainTransaction.js
+const mongoose = require('mongoose');
+
+const chainTransactionSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: [true, 'Chain transaction must have a hash'],
+    unique: true,
+    lowercase: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Chain transaction type must be specified'],
+    enum: ['token_creation', 'token_transfer', 'crypto_deposit', 'other']
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Confirmed', 'Failed', 'Dropped', 'Replaced'],
+    default: 'Pending'
+  },
+  from: String,
+  to: String,
+  nonce: Number,
+  // Signed payload kept so a dropped transaction can be broadcast again
+  rawTransaction: {
+    type: String,
+    select: false
+  },
+  relatedEntity: {
+    entityType: {
+      type: String,
+      enum: ['Investment', 'Transaction', 'Property']
+    },
+    entityId: mongoose.Schema.ObjectId
+  },
+  blockNumber: Number,
+  gasUsed: Number,
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  requiredConfirmations: {
+    type: Number,
+    required: true
+  },
+  rebroadcasts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  // Set when an operator has to look at the transaction
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastCheckedAt: Date,
+  confirmedAt: Date
+});
+
+chainTransactionSchema.index({ status: 1, lastCheckedAt: 1 });
+chainTransactionSchema.index({ 'relatedEntity.entityType': 1, 'relatedEntity.entityId': 1 });
+
+const ChainTransaction = mongoose.model('ChainTransaction', chainTransactionSchema);
+
+module.exports = ChainTransaction;
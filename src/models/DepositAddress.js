@@ -0,0 +1,45 @@
+// src/models/DepositAddress.js
+const mongoose = require('mongoose');
+
+const depositAddressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Deposit address must belong to a user'],
+    unique: true
+  },
+  address: {
+    type: String,
+    required: [true, 'Deposit address must have an address'],
+    unique: true,
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid address']
+  },
+  // Envelope-encrypted private key so received funds can be swept
+  encryptedKey: {
+    type: {
+      ciphertext: String,
+      iv: String,
+      authTag: String,
+      encryptedDataKey: String,
+      dataKeyIv: String,
+      dataKeyAuthTag: String,
+      masterKeyId: String
+    },
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.encryptedKey;
+      return ret;
+    }
+  }
+});
+
+const DepositAddress = mongoose.model('DepositAddress', depositAddressSchema);
+
+module.exports = DepositAddress;
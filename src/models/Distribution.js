@@ -0,0 +1,77 @@
+// src/models/Distribution.js
+const mongoose = require('mongoose');
+
+const distributionSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Distribution must be associated with a property']
+  },
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Distribution must have an idempotency key'],
+    trim: true
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Distribution amount must be specified'],
+    min: [0.01, 'Distribution amount must be greater than zero']
+  },
+  type: {
+    type: String,
+    required: [true, 'Distribution type must be specified'],
+    enum: {
+      values: ['Rental', 'Appreciation', 'Other'],
+      message: 'Invalid distribution type'
+    }
+  },
+  totalTokens: {
+    type: Number,
+    required: [true, 'Total tokens must be specified']
+  },
+  payouts: [{
+    investment: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Investment'
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    tokens: Number,
+    amount: Number,
+    transaction: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Transaction'
+    }
+  }],
+  ledgerEntry: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'JournalEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Distribution must have a creator']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A retried request with the same key must not pay twice
+distributionSchema.index({ property: 1, idempotencyKey: 1 }, { unique: true });
+distributionSchema.index({ property: 1, createdAt: -1 });
+
+// Virtual for number of investments paid
+distributionSchema.virtual('payoutCount').get(function() {
+  return this.payouts ? this.payouts.length : 0;
+});
+
+const Distribution = mongoose.model('Distribution', distributionSchema);
+
+module.exports = Distribution;
@@ -0,0 +1,56 @@
+// src/models/EmailOutbox.js
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: [true, 'Email must have a recipient'],
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: [true, 'Email must have a template']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Email must have a subject']
+  },
+  text: {
+    type: String,
+    required: [true, 'Email must have a text body']
+  },
+  html: String,
+  status: {
+    type: String,
+    enum: ['Pending', 'Sending', 'Sent', 'Failed'],
+    default: 'Pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Worker picks due pending emails
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
@@ -0,0 +1,51 @@
+// src/models/IdempotencyKey.js
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Idempotency key must belong to a user']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key must be specified']
+  },
+  // Hash of the method, path and body the key was first used with
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Response replayed to retries once the request completed
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Keys are scoped to the user sending them
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Remove keys once clients can no longer retry with them
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
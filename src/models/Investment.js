@@ -15,7 +15,13 @@ const investmentSchema = new mongoose.Schema({
   tokensPurchased: {
     type: Number,
     required: [true, 'Number of tokens purchased must be specified'],
-    min: [1, 'Must purchase at least 1 token']
+    validate: {
+      // Fully sold investments keep their record with zero tokens
+      validator: function(v) {
+        return this.status === 'Sold' ? v >= 0 : v >= 1;
+      },
+      message: 'Must purchase at least 1 token'
+    }
   },
   investmentAmount: {
     type: Number,
@@ -32,7 +38,7 @@ const investmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Active', 'Sold', 'Pending'],
+    enum: ['Active', 'Sold', 'Pending', 'Refunded'],
     default: 'Active'
   },
   currentValue: {
@@ -46,6 +52,17 @@ const investmentSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // On-chain delivery of purchased tokens for tokenized properties
+  settlement: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    lockedAt: Date,
+    lastError: String
+  },
   dividends: [{
     amount: Number,
     date: Date,
@@ -56,8 +73,13 @@ const investmentSchema = new mongoose.Schema({
   }],
   sellOrders: [{
     quantity: Number,
+    filledQuantity: {
+      type: Number,
+      default: 0
+    },
     price: Number,
     date: Date,
+    filledAt: Date,
     status: {
       type: String,
       enum: ['Open', 'Filled', 'Cancelled']
@@ -70,6 +92,8 @@ const investmentSchema = new mongoose.Schema({
 
 // Compound index for performance
 investmentSchema.index({ user: 1, property: 1 });
+investmentSchema.index({ property: 1, 'sellOrders.status': 1 });
+investmentSchema.index({ status: 1, 'settlement.nextAttemptAt': 1 });
 
 // Virtual to calculate total return
 investmentSchema.virtual('totalReturn').get(function() {
@@ -81,6 +105,15 @@ investmentSchema.virtual('returnPercentage').get(function() {
   return ((this.currentValue - this.investmentAmount) / this.investmentAmount) * 100;
 });
 
+// Virtual to calculate tokens not committed to open sell orders
+investmentSchema.virtual('availableToSell').get(function() {
+  const committed = (this.sellOrders || [])
+    .filter(order => order.status === 'Open')
+    .reduce((sum, order) => sum + (order.quantity - (order.filledQuantity || 0)), 0);
+
+  return this.tokensPurchased - committed;
+});
+
 // Populate middleware
 investmentSchema.pre(/^find/, function(next) {
   this.populate({
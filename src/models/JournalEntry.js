@@ -0,0 +1,90 @@
+// src/models/JournalEntry.js
+const mongoose = require('mongoose');
+
+const journalEntrySchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Journal entry must have a description'],
+    trim: true
+  },
+  // Amounts are stored in minor units (cents)
+  lines: {
+    type: [{
+      account: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'LedgerAccount',
+        required: [true, 'Journal line must reference an account']
+      },
+      debit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Debit cannot be negative']
+      },
+      credit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credit cannot be negative']
+      }
+    }],
+    validate: {
+      validator: function(lines) {
+        return lines.length >= 2;
+      },
+      message: 'Journal entry must have at least two lines'
+    }
+  },
+  transactions: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+journalEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+journalEntrySchema.index({ transactions: 1 });
+
+// Debits must equal credits
+journalEntrySchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((sum, line) => ({
+    debit: sum.debit + line.debit,
+    credit: sum.credit + line.credit
+  }), { debit: 0, credit: 0 });
+
+  if (totals.debit !== totals.credit) {
+    return next(new Error('Journal entry is not balanced'));
+  }
+
+  next();
+});
+
+// Journal entries are immutable once posted
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries cannot be modified'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  journalEntrySchema.pre(operation, function(next) {
+    next(new Error('Journal entries cannot be modified'));
+  });
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
@@ -0,0 +1,66 @@
+// src/models/LedgerAccount.js
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/money');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Ledger account must have a code'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Ledger account must have a name'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Ledger account type must be specified'],
+    enum: {
+      values: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+      message: 'Invalid ledger account type'
+    }
+  },
+  kind: {
+    type: String,
+    required: [true, 'Ledger account kind must be specified'],
+    enum: ['wallet', 'hold', 'cash', 'funding', 'distributions', 'opening', 'fx']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property'
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: CURRENCIES
+  },
+  // Balance in minor units of the currency, signed by the account's normal side
+  balance: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ledgerAccountSchema.index({ user: 1, kind: 1, currency: 1 });
+
+// Virtual for the side that increases the account
+ledgerAccountSchema.virtual('normalBalance').get(function() {
+  return ['asset', 'expense'].includes(this.type) ? 'debit' : 'credit';
+});
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+module.exports = LedgerAccount;
@@ -0,0 +1,57 @@
+// src/models/Notification.js
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must belong to a user']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type must be specified'],
+    enum: {
+      values: [
+        'kyc_decision',
+        'deposit_confirmed',
+        'dividend_paid',
+        'sell_order_filled',
+        'funding_closed',
+        'funding_refunded'
+      ],
+      message: 'Invalid notification type'
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification must have a title'],
+    trim: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification must have a message'],
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual to check if notification was read
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
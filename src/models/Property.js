@@ -117,7 +117,7 @@ const propertySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Draft', 'Active', 'Funding', 'Closed', 'Sold'],
+    enum: ['Draft', 'Active', 'Funding', 'Closed', 'Failed', 'Sold'],
     default: 'Draft'
   },
   owner: {
@@ -135,7 +135,54 @@ const propertySchema = new mongoose.Schema({
     default: Date.now
   },
   investmentWindowStart: Date,
-  investmentWindowEnd: Date
+  investmentWindowEnd: Date,
+  // Amounts a funding round must raise (soft cap) and may raise at most (hard cap)
+  fundingTarget: {
+    softCap: {
+      type: Number,
+      min: [0, 'Soft cap cannot be negative']
+    },
+    hardCap: {
+      type: Number,
+      min: [0, 'Hard cap cannot be negative']
+    }
+  },
+  // Who may invest; empty lists and unset limits leave the offering open to everyone
+  offeringRules: {
+    investorTypes: [{
+      type: String,
+      enum: ['individual', 'institutional', 'accredited']
+    }],
+    allowedCountries: [{
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{2}$/, 'Countries must be two-letter ISO codes']
+    }],
+    blockedCountries: [{
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{2}$/, 'Countries must be two-letter ISO codes']
+    }],
+    maxTokensPerInvestor: {
+      type: Number,
+      min: [1, 'Maximum tokens per investor must be at least 1']
+    },
+    maxPercentPerInvestor: {
+      type: Number,
+      min: [0, 'Maximum percentage per investor cannot be negative'],
+      max: [100, 'Maximum percentage per investor cannot exceed 100']
+    }
+  },
+  // Outcome of the last funding round
+  fundingRound: {
+    outcome: {
+      type: String,
+      enum: ['Succeeded', 'Failed']
+    },
+    amountRaised: Number,
+    closedAt: Date,
+    refundsCompletedAt: Date
+  }
 }, {
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
@@ -156,6 +203,75 @@ propertySchema.index({
   fundingPercentage: 1 
 });
 
+// Full-text search, ranked by where the terms match
+propertySchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    'location.city': 'text',
+    'location.country': 'text'
+  },
+  {
+    name: 'property_text_search',
+    weights: { title: 10, 'location.city': 5, 'location.country': 3, description: 1 }
+  }
+);
+
+// Amount raised by the tokens sold so far
+propertySchema.virtual('amountRaised').get(function() {
+  return Math.round((this.totalTokens - this.availableTokens) * this.tokenPrice * 100) / 100;
+});
+
+// Check funding targets against each other and the property's value in tokens
+propertySchema.statics.checkFundingTarget = function(target, property) {
+  const { softCap, hardCap } = target || {};
+  const maxRaise = property.totalTokens * property.tokenPrice;
+
+  if (softCap != null && hardCap != null && softCap > hardCap) {
+    return 'Soft cap cannot exceed the hard cap';
+  }
+
+  if ((hardCap != null && hardCap > maxRaise) || (softCap != null && softCap > maxRaise)) {
+    return `Funding targets cannot exceed the value of all tokens (${maxRaise})`;
+  }
+
+  return null;
+};
+
+// Condition for reservations that keeps the tokens sold within the hard cap
+propertySchema.statics.withinHardCap = function(tokens) {
+  return {
+    $or: [
+      { 'fundingTarget.hardCap': null },
+      {
+        $expr: {
+          $lte: [
+            {
+              $round: [{
+                $multiply: [
+                  { $add: [{ $subtract: ['$totalTokens', '$availableTokens'] }, tokens] },
+                  '$tokenPrice'
+                ]
+              }, 2]
+            },
+            '$fundingTarget.hardCap'
+          ]
+        }
+      }
+    ]
+  };
+};
+
+propertySchema.pre('validate', function(next) {
+  const error = this.constructor.checkFundingTarget(this.fundingTarget, this);
+
+  if (error) {
+    this.invalidate('fundingTarget', error);
+  }
+
+  next();
+});
+
 // Add method to check if investment is currently open
 propertySchema.methods.isInvestmentOpen = function() {
   const now = new Date();
@@ -164,6 +280,32 @@ propertySchema.methods.isInvestmentOpen = function() {
          (!this.investmentWindowEnd || now <= this.investmentWindowEnd);
 };
 
+// Tokens that can still be sold before the round reaches its hard cap
+propertySchema.methods.tokensUntilHardCap = function() {
+  const hardCap = this.fundingTarget && this.fundingTarget.hardCap;
+
+  if (hardCap == null) {
+    return this.availableTokens;
+  }
+
+  // Tolerate floating point error when the cap is a multiple of the token price
+  const capTokens = Math.floor(hardCap / this.tokenPrice + 1e-9);
+
+  return Math.max(0, Math.min(this.availableTokens, capTokens - (this.totalTokens - this.availableTokens)));
+};
+
+// Rounds without a soft cap always succeed
+propertySchema.methods.softCapReached = function() {
+  const softCap = this.fundingTarget && this.fundingTarget.softCap;
+
+  return softCap == null || this.amountRaised >= softCap;
+};
+
+// Tokens trade once their round can no longer be refunded
+propertySchema.methods.isTradable = function() {
+  return this.status === 'Closed' || (this.status === 'Funding' && this.softCapReached());
+};
+
 const Property = mongoose.model('Property', propertySchema);
 
 module.exports = Property;
\ No newline at end of file
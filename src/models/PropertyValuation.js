@@ -0,0 +1,70 @@
+// src/models/PropertyValuation.js
+const mongoose = require('mongoose');
+
+const propertyValuationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Valuation must be associated with a property']
+  },
+  valuationDate: {
+    type: Date,
+    default: Date.now
+  },
+  totalValue: {
+    type: Number,
+    required: [true, 'Valuation must have a total value'],
+    min: [0, 'Total value cannot be negative']
+  },
+  previousValue: Number,
+  // Value of a single token at this valuation
+  tokenValue: {
+    type: Number,
+    required: [true, 'Valuation must have a token value']
+  },
+  source: {
+    type: String,
+    required: [true, 'Valuation source must be specified'],
+    enum: {
+      values: ['Appraisal', 'Market Comparison', 'Owner Estimate', 'Other'],
+      message: 'Invalid valuation source'
+    }
+  },
+  appraisalDocument: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+\.(pdf|doc|docx)$/i.test(v);
+      },
+      message: 'Please provide a valid document URL'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Valuation must record who entered it']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+propertyValuationSchema.index({ property: 1, valuationDate: -1 });
+
+// Virtual to calculate change from previous valuation
+propertyValuationSchema.virtual('changePercentage').get(function() {
+  if (!this.previousValue) return null;
+  return ((this.totalValue - this.previousValue) / this.previousValue) * 100;
+});
+
+const PropertyValuation = mongoose.model('PropertyValuation', propertyValuationSchema);
+
+module.exports = PropertyValuation;
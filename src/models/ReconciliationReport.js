@@ -0,0 +1,46 @@
+// src/models/ReconciliationReport.js
+const mongoose = require('mongoose');
+
+const reconciliationReportSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Report must belong to a property']
+  },
+  tokenAddress: String,
+  status: {
+    type: String,
+    enum: ['Matched', 'Mismatched', 'Error'],
+    required: true
+  },
+  holdersChecked: {
+    type: Number,
+    default: 0
+  },
+  mismatches: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    address: String,
+    expectedTokens: Number,
+    onChainTokens: Number,
+    difference: Number
+  }],
+  // Holders whose tokens cannot be checked because they have no address
+  missingAddresses: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  errorMessage: String,
+  runAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reconciliationReportSchema.index({ property: 1, runAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,52 @@
+// src/models/Session.js
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  // ID (jti) of the only refresh token currently valid for this session
+  tokenId: {
+    type: String,
+    required: [true, 'Session must have a token ID']
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session must have an expiry date']
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_changed']
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,79 @@
+// src/models/Trade.js
+const mongoose = require('mongoose');
+
+const tradeSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Trade must be associated with a property']
+  },
+  buyer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Trade must have a buyer']
+  },
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Trade must have a seller']
+  },
+  buyOrder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BuyOrder',
+    required: [true, 'Trade must reference a buy order']
+  },
+  sellOrder: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Trade must reference a sell order']
+  },
+  sellerInvestment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Investment'
+  },
+  buyerInvestment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Investment'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Trade quantity must be specified'],
+    min: [1, 'Trade quantity must be at least 1 token']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Trade price must be specified']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Trade amount must be specified']
+  },
+  // Seller's original purchase cost of the tokens sold, used for realized gains
+  costBasis: {
+    type: Number,
+    default: 0
+  },
+  sellerTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  buyerTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for trade history per property and per user
+tradeSchema.index({ property: 1, executedAt: -1 });
+tradeSchema.index({ seller: 1, executedAt: -1 });
+tradeSchema.index({ buyer: 1, executedAt: -1 });
+
+const Trade = mongoose.model('Trade', tradeSchema);
+
+module.exports = Trade;
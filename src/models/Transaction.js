@@ -1,5 +1,6 @@
 // src/models/Transaction.js
 const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/money');
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -17,7 +18,8 @@ const transactionSchema = new mongoose.Schema({
         'Investment Purchase', 
         'Investment Sale', 
         'Dividend', 
-        'Token Transfer'
+        'Token Transfer',
+        'Conversion'
       ],
       message: 'Invalid transaction type'
     }
@@ -29,7 +31,7 @@ const transactionSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'USD',
-    enum: ['USD', 'BTC', 'ETH', 'USDC']
+    enum: CURRENCIES
   },
   status: {
     type: String,
@@ -58,11 +60,42 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     enum: ['Bank Transfer', 'Credit Card', 'Debit Card', 'Cryptocurrency']
   },
+  // One transaction can carry several transfers, so crypto deposits are keyed by transfer below
   blockchainTransactionHash: {
     type: String,
-    unique: true,
+    index: true,
     sparse: true
   },
+  // Admin review of withdrawals, whose funds are on hold until paid out
+  review: {
+    status: {
+      type: String,
+      enum: ['Awaiting', 'Approved', 'Rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reason: String
+  },
+  // Provider handling the money movement of card and bank deposits and payouts
+  payment: {
+    provider: String,
+    id: String,
+    reference: String
+  },
+  // Exchange of `amount` in `currency` into another currency, at the quoted rate
+  fx: {
+    to: {
+      type: String,
+      enum: CURRENCIES
+    },
+    rate: Number,
+    convertedAmount: Number,
+    provider: String,
+    quotedAt: Date
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed
   },
@@ -71,6 +104,10 @@ const transactionSchema = new mongoose.Schema({
     default: Date.now
   },
   completedAt: Date,
+  ledgerEntries: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'JournalEntry'
+  }],
   fee: {
     type: Number,
     default: 0
@@ -82,6 +119,15 @@ const transactionSchema = new mongoose.Schema({
 
 // Compound index for performance
 transactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, 'review.status': 1, createdAt: 1 });
+transactionSchema.index(
+  { 'payment.provider': 1, 'payment.id': 1 },
+  { unique: true, partialFilterExpression: { 'payment.id': { $exists: true } } }
+);
+transactionSchema.index(
+  { blockchainTransactionHash: 1, currency: 1, 'metadata.to': 1, 'metadata.logIndex': 1 },
+  { unique: true, partialFilterExpression: { type: 'Deposit', paymentMethod: 'Cryptocurrency' } }
+);
 
 // Populate middleware
 transactionSchema.pre(/^find/, function(next) {
@@ -101,7 +147,7 @@ transactionSchema.pre(/^find/, function(next) {
 // Static method to calculate user's transaction summary
 transactionSchema.statics.getUserTransactionSummary = async function(userId) {
   const summary = await this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
     {
       $group: {
         _id: '$type',
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const { CURRENCIES } = require('../utils/money');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin', 'system'],
+    default: 'user'
+  },
   investorType: {
     type: String,
     enum: ['individual', 'institutional', 'accredited'],
@@ -44,35 +50,121 @@ const userSchema = new mongoose.Schema({
   },
   verificationStatus: {
     type: String,
-    enum: ['unverified', 'pending', 'verified'],
+    enum: ['unverified', 'pending', 'verified', 'rejected'],
     default: 'unverified'
   },
+  // ISO 3166-1 alpha-2 country taken from the user's approved identity document
+  country: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO code']
+  },
   kycDocuments: [{
     type: {
       type: String,
       enum: ['passport', 'driver_license', 'national_id']
     },
     documentNumber: String,
+    // Issuing country, as an ISO 3166-1 alpha-2 code
+    country: String,
     uploadDate: Date,
+    files: [{
+      side: {
+        type: String,
+        enum: ['front', 'back']
+      },
+      // Path relative to the upload directory
+      path: String,
+      originalName: String,
+      mimeType: String,
+      size: Number
+    }],
     verificationStatus: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
       default: 'pending'
+    },
+    rejectionReason: String,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
     }
   }],
+  kycVerifiedAt: Date,
   totalInvestments: {
     type: Number,
     default: 0
   },
+  // On-chain address holding the user's property tokens
+  walletAddress: {
+    type: String,
+    trim: true,
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid wallet address']
+  },
+  // Account at the payment provider that receives the user's withdrawals (a Stripe connected account)
+  payoutAccountId: String,
+  // Mirror of the USD wallet ledger account, only updated by LedgerService
   walletBalance: {
     type: Number,
     default: 0
   },
+  // Mirror of every wallet ledger account by currency, only updated by LedgerService
+  walletBalances: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Currency portfolio values are reported in
+  displayCurrency: {
+    type: String,
+    enum: CURRENCIES,
+    default: 'USD'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   lastLogin: Date,
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      select: false
+    },
+    lockedUntil: Date,
+    enabledAt: Date
+  },
+  // Incremented to invalidate every refresh token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date
 }, {
@@ -87,6 +179,12 @@ userSchema.pre('save', async function(next) {
 
   // Hash the password
   this.password = await bcrypt.hash(this.password, 12);
+
+  // Backdated a second so tokens issued right after saving stay valid
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+  }
+
   next();
 });
 
@@ -98,6 +196,16 @@ userSchema.methods.correctPassword = async function(
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Method to check if password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+    return JWTTimestamp < changedTimestamp;
+  }
+
+  return false;
+};
+
 // Method to generate password reset token
 userSchema.methods.createPasswordResetToken = function() {
   const resetToken = crypto.randomBytes(32).toString('hex');
@@ -0,0 +1,54 @@
+// src/models/Wallet.js
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Wallet must belong to a user'],
+    unique: true
+  },
+  address: {
+    type: String,
+    required: [true, 'Wallet must have an address'],
+    unique: true,
+    match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid wallet address']
+  },
+  type: {
+    type: String,
+    enum: ['custodial', 'external'],
+    required: [true, 'Wallet type must be specified']
+  },
+  // Envelope-encrypted private key, only for custodial wallets
+  encryptedKey: {
+    type: {
+      ciphertext: String,
+      iv: String,
+      authTag: String,
+      encryptedDataKey: String,
+      dataKeyIv: String,
+      dataKeyAuthTag: String,
+      masterKeyId: String
+    },
+    select: false
+  },
+  // When the user proved control of an external address
+  verifiedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.encryptedKey;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+module.exports = Wallet;
@@ -0,0 +1,87 @@
+// src/payments/fakeProvider.js
+const crypto = require('crypto');
+const env = require('../config/env');
+const PaymentProvider = require('./paymentProvider');
+
+// Local provider for development and tests; nothing leaves the process
+class FakePaymentProvider extends PaymentProvider {
+  constructor() {
+    super({
+      name: 'fake',
+      fees: {
+        card: { percent: 2.9, fixed: 0.3 },
+        bank_transfer: { percent: 0, fixed: 0 }
+      },
+      webhookSecret: env.PAYMENT_WEBHOOK_SECRET,
+      signatureHeader: 'x-fake-signature'
+    });
+  }
+
+  async createCardPayment({ amount, currency }) {
+    const id = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      id,
+      method: 'card',
+      amount,
+      currency,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'requires_confirmation'
+    };
+  }
+
+  async createBankTransfer({ amount, currency }) {
+    const reference = `TB${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+    return {
+      id: `fake_bt_${crypto.randomBytes(12).toString('hex')}`,
+      method: 'bank_transfer',
+      amount,
+      currency,
+      reference,
+      instructions: {
+        bankName: 'Fake Bank',
+        accountHolder: 'TheBoost Client Funds',
+        iban: 'XX00FAKE0000000000000000',
+        reference
+      },
+      status: 'awaiting_transfer'
+    };
+  }
+
+  async createPayout({ amount, currency, method }) {
+    return {
+      id: `fake_po_${crypto.randomBytes(12).toString('hex')}`,
+      method,
+      amount,
+      currency,
+      status: 'in_transit'
+    };
+  }
+
+  // Build a signed webhook as the provider would send it
+  createWebhook(type, paymentId, data = {}) {
+    const body = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: { paymentId, ...data }
+    });
+
+    return {
+      body,
+      headers: { [this.signatureHeader]: this.sign(body) }
+    };
+  }
+
+  toPaymentEvent(event) {
+    return {
+      id: event.id,
+      type: event.type,
+      paymentId: event.data && event.data.paymentId,
+      amount: event.data && event.data.amount,
+      failureReason: event.data && event.data.failureReason
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
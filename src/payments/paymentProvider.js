@@ -0,0 +1,90 @@
+// src/payments/paymentProvider.js
+const crypto = require('crypto');
+const env = require('../config/env');
+const AppError = require('../utils/appError');
+const { roundCurrency } = require('../utils/money');
+
+// Base class for payment providers. Subclasses implement createCardPayment,
+// createBankTransfer, createPayout and toPaymentEvent.
+class PaymentProvider {
+  constructor({ name, fees, webhookSecret, signatureHeader, payoutAccountRequired = false }) {
+    this.name = name;
+    // Per method: percentage of the amount plus a fixed part, optionally capped
+    this.fees = fees;
+    this.webhookSecret = webhookSecret;
+    this.signatureHeader = signatureHeader;
+    // Whether payouts need the user's own account at the provider (User.payoutAccountId)
+    this.payoutAccountRequired = payoutAccountRequired;
+  }
+
+  // Processing fee charged for an amount paid with a method
+  calculateFee(method, amount) {
+    const schedule = this.fees[method];
+
+    if (!schedule) {
+      throw new AppError(`${this.name} does not support ${method} payments`);
+    }
+
+    let fee = amount * (schedule.percent || 0) / 100 + (schedule.fixed || 0);
+
+    if (schedule.max !== undefined) {
+      fee = Math.min(fee, schedule.max);
+    }
+
+    return roundCurrency(fee);
+  }
+
+  // Signature header value for a payload, in the form t=<timestamp>,v1=<hmac>
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Check a webhook was signed with our secret recently
+  verifySignature(rawBody, header) {
+    if (!this.webhookSecret) {
+      throw new Error(`Webhook secret for ${this.name} is not configured`);
+    }
+
+    const parts = Object.fromEntries(
+      (header || '').split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      throw new AppError('Missing webhook signature', 400);
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > env.PAYMENT_WEBHOOK_TOLERANCE) {
+      throw new AppError('Webhook signature has expired', 400);
+    }
+
+    const expected = Buffer.from(this.sign(rawBody.toString('utf8'), timestamp).split('v1=')[1]);
+    const received = Buffer.from(parts.v1);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+  }
+
+  // Verify and normalize a webhook into { id, type, paymentId, amount, failureReason }
+  parseWebhook(rawBody, headers) {
+    this.verifySignature(rawBody, headers[this.signatureHeader]);
+
+    let event;
+
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw new AppError('Invalid webhook payload', 400);
+    }
+
+    return this.toPaymentEvent(event);
+  }
+}
+
+module.exports = PaymentProvider;
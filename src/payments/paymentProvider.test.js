@@ -0,0 +1,99 @@
+// src/payments/paymentProvider.test.js
+const env = require('../config/env');
+const FakePaymentProvider = require('./fakeProvider');
+const PaymentService = require('../services/paymentService');
+
+describe('PaymentProvider.parseWebhook', () => {
+  const provider = new FakePaymentProvider();
+
+  test('accepts a webhook signed with the secret', () => {
+    const { body, headers } = provider.createWebhook('payment.succeeded', 'fake_pi_1', { amount: 100 });
+
+    expect(provider.parseWebhook(Buffer.from(body), headers)).toMatchObject({
+      type: 'payment.succeeded',
+      paymentId: 'fake_pi_1',
+      amount: 100
+    });
+  });
+
+  test('rejects a tampered payload', () => {
+    const { body, headers } = provider.createWebhook('payment.succeeded', 'fake_pi_1', { amount: 100 });
+    const tampered = body.replace('"amount":100', '"amount":1000');
+
+    expect(() => provider.parseWebhook(Buffer.from(tampered), headers)).toThrow('Invalid webhook signature');
+  });
+
+  test('rejects a payload signed with another secret', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { paymentId: 'fake_pi_1' } });
+    const impostor = Object.assign(new FakePaymentProvider(), { webhookSecret: 'not-our-secret' });
+
+    expect(() => provider.parseWebhook(Buffer.from(body), { 'x-fake-signature': impostor.sign(body) }))
+      .toThrow('Invalid webhook signature');
+  });
+
+  test('rejects a webhook without a signature', () => {
+    const { body } = provider.createWebhook('payment.succeeded', 'fake_pi_1');
+
+    expect(() => provider.parseWebhook(Buffer.from(body), {})).toThrow('Missing webhook signature');
+  });
+
+  test('rejects a replayed webhook older than the tolerance', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { paymentId: 'fake_pi_1' } });
+    const signedAt = Math.floor(Date.now() / 1000) - env.PAYMENT_WEBHOOK_TOLERANCE - 1;
+
+    expect(() => provider.parseWebhook(Buffer.from(body), { 'x-fake-signature': provider.sign(body, signedAt) }))
+      .toThrow('Webhook signature has expired');
+  });
+});
+
+describe('PaymentService.parseWebhook', () => {
+  test('only accepts webhooks of the configured provider', () => {
+    const { body, headers } = new FakePaymentProvider().createWebhook('payment.succeeded', 'fake_pi_1');
+    const otherProvider = env.PAYMENT_PROVIDER === 'fake' ? 'stripe' : 'fake';
+
+    expect(() => PaymentService.parseWebhook(otherProvider, Buffer.from(body), headers))
+      .toThrow(`Unknown payment provider: ${otherProvider}`);
+  });
+});
+
+describe('PaymentService.checkConfiguration', () => {
+  const original = { ...env };
+
+  const configure = (settings) => Object.assign(env, settings);
+
+  afterEach(() => {
+    Object.assign(env, original);
+  });
+
+  test('requires the Stripe keys when Stripe is configured', () => {
+    configure({ NODE_ENV: 'development', PAYMENT_PROVIDER: 'stripe', STRIPE_SECRET_KEY: 'sk_test_1', STRIPE_WEBHOOK_SECRET: undefined });
+
+    expect(() => PaymentService.checkConfiguration())
+      .toThrow('STRIPE_WEBHOOK_SECRET must be set to use the stripe payment provider');
+  });
+
+  test('accepts Stripe in production without the fake provider secret', () => {
+    configure({
+      NODE_ENV: 'production',
+      PAYMENT_PROVIDER: 'stripe',
+      PAYMENT_WEBHOOK_SECRET: 'your_payment_webhook_secret',
+      STRIPE_SECRET_KEY: 'sk_live_1',
+      STRIPE_WEBHOOK_SECRET: 'whsec_1'
+    });
+
+    expect(() => PaymentService.checkConfiguration()).not.toThrow();
+  });
+
+  test('refuses the fake provider in production', () => {
+    configure({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake' });
+
+    expect(() => PaymentService.checkConfiguration())
+      .toThrow('PAYMENT_PROVIDER must be a real payment provider in production');
+  });
+
+  test('refuses an unknown provider', () => {
+    configure({ PAYMENT_PROVIDER: 'paypal' });
+
+    expect(() => PaymentService.checkConfiguration()).toThrow('PAYMENT_PROVIDER must be one of: fake, stripe');
+  });
+});
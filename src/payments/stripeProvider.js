@@ -0,0 +1,135 @@
+// src/payments/stripeProvider.js
+const env = require('../config/env');
+const PaymentProvider = require('./paymentProvider');
+const { toCents, fromCents } = require('../utils/money');
+
+// Stripe payment intents for cards and US bank accounts (ACH)
+class StripePaymentProvider extends PaymentProvider {
+  constructor() {
+    super({
+      name: 'stripe',
+      fees: {
+        card: { percent: 2.9, fixed: 0.3 },
+        bank_transfer: { percent: 0.8, fixed: 0, max: 5 }
+      },
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      signatureHeader: 'stripe-signature',
+      // Payouts go to the user's connected account, never the platform's bank account
+      payoutAccountRequired: true
+    });
+  }
+
+  // Call the Stripe API with a form-encoded body; extra headers select a connected
+  // account (Stripe-Account) or make a retried call safe (Idempotency-Key)
+  async request(path, params, headers = {}) {
+    if (!env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+
+    const response = await fetch(`${env.STRIPE_API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...headers
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(body.error ? body.error.message : `Stripe responded with ${response.status}`);
+    }
+
+    return body;
+  }
+
+  async createPaymentIntent(methodType, { amount, currency, reference }) {
+    const intent = await this.request('/payment_intents', {
+      amount: toCents(amount),
+      currency: currency.toLowerCase(),
+      'payment_method_types[]': methodType,
+      'metadata[transaction]': reference
+    });
+
+    return {
+      id: intent.id,
+      amount,
+      currency,
+      clientSecret: intent.client_secret,
+      status: intent.status
+    };
+  }
+
+  async createCardPayment(paymentData) {
+    const intent = await this.createPaymentIntent('card', paymentData);
+
+    return { ...intent, method: 'card' };
+  }
+
+  async createBankTransfer(paymentData) {
+    const intent = await this.createPaymentIntent('us_bank_account', paymentData);
+
+    return { ...intent, method: 'bank_transfer', reference: intent.id };
+  }
+
+  // Move the funds to the user's connected account, then pay them out to its bank or card
+  async createPayout({ amount, currency, method, reference, account }) {
+    if (!account) {
+      throw new Error('Stripe payouts need the user\'s connected account');
+    }
+
+    await this.request('/transfers', {
+      amount: toCents(amount),
+      currency: currency.toLowerCase(),
+      destination: account,
+      'metadata[transaction]': reference
+    }, { 'Idempotency-Key': `transfer-${reference}` });
+
+    const payout = await this.request('/payouts', {
+      amount: toCents(amount),
+      currency: currency.toLowerCase(),
+      method: method === 'card' ? 'instant' : 'standard',
+      'metadata[transaction]': reference
+    }, { 'Stripe-Account': account, 'Idempotency-Key': `payout-${reference}` });
+
+    return {
+      id: payout.id,
+      method,
+      amount,
+      currency,
+      status: payout.status
+    };
+  }
+
+  toPaymentEvent(event) {
+    const object = event.data && event.data.object;
+    const types = {
+      'payment_intent.succeeded': 'payment.succeeded',
+      'payment_intent.payment_failed': 'payment.failed',
+      'payment_intent.canceled': 'payment.failed'
+    };
+
+    // Payout events already use our names
+    if (object && object.object === 'payout') {
+      return {
+        id: event.id,
+        type: event.type,
+        paymentId: object.id,
+        amount: fromCents(object.amount),
+        failureReason: object.failure_message || undefined
+      };
+    }
+
+    return {
+      id: event.id,
+      type: types[event.type] || event.type,
+      paymentId: object && object.id,
+      amount: object && object.amount_received !== undefined ? fromCents(object.amount_received) : undefined,
+      failureReason: object && object.last_payment_error ? object.last_payment_error.message : undefined
+    };
+  }
+}
+
+module.exports = StripePaymentProvider;
@@ -0,0 +1,92 @@
+// src/routes/adminRoutes.js
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const IdempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(AuthMiddleware.protect);
+router.use(AuthMiddleware.restrictTo('admin'));
+
+// User management
+router.get('/users', AdminController.getUsers);
+router.get('/users/:id', AdminController.getUser);
+
+router.patch(
+  '/users/:id/role',
+  AdminController.updateUserRole
+);
+
+router.patch(
+  '/users/:id/investor-type',
+  AdminController.updateInvestorType
+);
+
+router.patch(
+  '/users/:id/payout-account',
+  AdminController.setPayoutAccount
+);
+
+// KYC review
+router.get('/kyc/pending', AdminController.getKycQueue);
+
+router.get(
+  '/kyc/:userId/documents/:documentId/files/:side',
+  AdminController.getKycDocumentFile
+);
+
+router.patch(
+  '/kyc/:userId/documents/:documentId',
+  AdminController.reviewKycDocument
+);
+
+// Transaction back office
+router.get('/transactions', AdminController.getTransactions);
+
+router.patch(
+  '/transactions/:id/confirm',
+  AdminController.confirmTransaction
+);
+
+router.post(
+  '/transactions/:id/refund',
+  IdempotencyMiddleware.idempotent,
+  AdminController.refundTransaction
+);
+
+// Withdrawal approval
+router.get('/withdrawals', AdminController.getWithdrawalQueue);
+
+router.patch(
+  '/withdrawals/:id/approve',
+  AdminController.approveWithdrawal
+);
+
+router.patch(
+  '/withdrawals/:id/reject',
+  AdminController.rejectWithdrawal
+);
+
+// Property curation
+router.patch(
+  '/properties/:id/feature',
+  AdminController.featureProperty
+);
+
+router.patch(
+  '/properties/:id/unfeature',
+  AdminController.unfeatureProperty
+);
+
+// Blockchain monitoring
+router.get('/blockchain/flagged', AdminController.getFlaggedChainTransactions);
+router.get('/blockchain/reconciliation', AdminController.getReconciliationReports);
+
+router.post(
+  '/blockchain/reconciliation',
+  AdminController.runReconciliation
+);
+
+module.exports = router;
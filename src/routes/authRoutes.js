@@ -1,6 +1,7 @@
 // src/routes/authRoutes.js
 const express = require('express');
 const AuthController = require('../controllers/authController');
+const TwoFactorController = require('../controllers/twoFactorController');
 const AuthMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -8,6 +9,7 @@ const router = express.Router();
 // Public routes
 router.post('/register', AuthController.register);
 router.post('/login', AuthController.login);
+router.post('/2fa/verify-login', AuthController.verifyTwoFactorLogin);
 router.post('/refresh-token', AuthController.refreshToken);
 router.post('/forgot-password', AuthController.forgotPassword);
 router.patch('/reset-password/:token', AuthController.resetPassword);
@@ -15,7 +17,24 @@ router.patch('/reset-password/:token', AuthController.resetPassword);
 // Protected routes (require authentication)
 router.use(AuthMiddleware.protect);
 
-router.patch('/update-password', AuthController.updatePassword);
+router.patch(
+  '/update-password',
+  AuthMiddleware.requireTwoFactor(),
+  AuthController.updatePassword
+);
+
+// Two-factor authentication
+router.get('/2fa', TwoFactorController.getStatus);
+router.post('/2fa/setup', TwoFactorController.setup);
+router.post('/2fa/enable', TwoFactorController.enable);
+router.post('/2fa/disable', TwoFactorController.disable);
+router.post('/2fa/backup-codes', TwoFactorController.regenerateBackupCodes);
+
+// Session management
+router.post('/logout', AuthController.logout);
+router.post('/logout-all', AuthController.logoutAll);
+router.get('/sessions', AuthController.getSessions);
+router.delete('/sessions/:id', AuthController.revokeSession);
 
 // Additional profile management routes can be added here
 router.get('/me', (req, res) => {
@@ -27,4 +46,6 @@ router.get('/me', (req, res) => {
   });
 });
 
+router.patch('/me/preferences', AuthController.updatePreferences);
+
 module.exports = router;
\ No newline at end of file
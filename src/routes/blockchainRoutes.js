@@ -0,0 +1,14 @@
+// src/routes/blockchainRoutes.js
+const express = require('express');
+const BlockchainController = require('../controllers/blockchainController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All blockchain routes require authentication
+router.use(AuthMiddleware.protect);
+
+// Get transaction status by hash
+router.get('/tx/:hash', BlockchainController.getTransaction);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const InvestmentController = require('../controllers/investmentController');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const IdempotencyMiddleware = require('../middleware/idempotencyMiddleware');
 const ValidationMiddleware = require('../middleware/validationMiddleware');
 
 const router = express.Router();
@@ -21,6 +22,7 @@ router.get('/:id', InvestmentController.getInvestment);
 // Create investment
 router.post(
   '/',
+  IdempotencyMiddleware.idempotent,
   ValidationMiddleware.investmentValidation(),
   ValidationMiddleware.handleValidationErrors,
   AuthMiddleware.requireVerifiedInvestor,
@@ -31,6 +33,7 @@ router.post(
 // Create sell order
 router.post(
   '/:id/sell',
+  IdempotencyMiddleware.idempotent,
   InvestmentController.createSellOrder
 );
 
@@ -40,15 +43,10 @@ router.patch(
   InvestmentController.cancelSellOrder
 );
 
-// Update investment value (property owner only)
-router.patch(
-  '/:id/value',
-  InvestmentController.updateInvestmentValue
-);
-
 // Add dividend to investment (property owner only)
 router.post(
   '/:id/dividend',
+  IdempotencyMiddleware.idempotent,
   InvestmentController.addDividend
 );
 
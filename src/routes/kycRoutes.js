@@ -0,0 +1,22 @@
+// src/routes/kycRoutes.js
+const express = require('express');
+const KycController = require('../controllers/kycController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const UploadMiddleware = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All KYC routes require authentication
+router.use(AuthMiddleware.protect);
+
+// Get KYC status
+router.get('/status', KycController.getStatus);
+
+// Submit KYC document (multipart: front, back, type, documentNumber)
+router.post(
+  '/documents',
+  UploadMiddleware.kycDocument(),
+  KycController.submitDocument
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// src/routes/marketplaceRoutes.js
+const express = require('express');
+const MarketplaceController = require('../controllers/marketplaceController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const IdempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+const ValidationMiddleware = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+// Public routes
+router.get('/properties/:propertyId/order-book', MarketplaceController.getOrderBook);
+router.get('/properties/:propertyId/trades', MarketplaceController.getPropertyTrades);
+
+// Protected routes (require authentication)
+router.use(AuthMiddleware.protect);
+
+// Sell orders
+router.get('/sell-orders', MarketplaceController.getSellOrders);
+
+router.post(
+  '/sell-orders',
+  IdempotencyMiddleware.idempotent,
+  ValidationMiddleware.sellOrderValidation(),
+  ValidationMiddleware.handleValidationErrors,
+  MarketplaceController.createSellOrder
+);
+
+// Buy orders
+router.get('/buy-orders', MarketplaceController.getMyBuyOrders);
+
+router.post(
+  '/buy-orders',
+  IdempotencyMiddleware.idempotent,
+  ValidationMiddleware.buyOrderValidation(),
+  ValidationMiddleware.handleValidationErrors,
+  AuthMiddleware.requireVerifiedInvestor,
+  MarketplaceController.createBuyOrder
+);
+
+router.patch(
+  '/buy-orders/:id/cancel',
+  MarketplaceController.cancelBuyOrder
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// src/routes/notificationRoutes.js
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(AuthMiddleware.protect);
+
+router.get('/', NotificationController.getMyNotifications);
+
+router.patch(
+  '/:id/read',
+  NotificationController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/paymentRoutes.js
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Provider webhooks are authenticated by their signature
+router.post('/webhooks/:provider', PaymentController.handleWebhook);
+
+// Processing fees per payment method
+router.get('/fees', PaymentController.getFees);
+
+module.exports = router;
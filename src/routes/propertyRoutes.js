@@ -8,9 +8,11 @@ const router = express.Router();
 
 // Public routes
 router.get('/', PropertyController.getAllProperties);
+router.get('/search', PropertyController.searchProperties);
 router.get('/featured', PropertyController.getFeaturedProperties);
 router.get('/category/:category', PropertyController.getPropertiesByCategory);
 router.get('/:id', PropertyController.getProperty);
+router.get('/:id/valuations', PropertyController.getValuations);
 
 // Protected routes (require authentication)
 router.use(AuthMiddleware.protect);
@@ -37,12 +39,51 @@ router.delete(
   PropertyController.deleteProperty
 );
 
+// Create the property's token on the blockchain
+router.post(
+  '/:id/tokenize',
+  PropertyController.tokenizeProperty
+);
+
+// Check whether the current user may invest
+router.get(
+  '/:id/eligibility',
+  PropertyController.getEligibility
+);
+
 // Property investment routes
 router.get(
   '/:id/investments',
   PropertyController.getPropertyInvestments
 );
 
+// Property analytics (?from=&to=&granularity=day|week|month)
+router.get(
+  '/:id/metrics',
+  PropertyController.getPropertyMetrics
+);
+
+// Property distribution routes
+router.get(
+  '/:id/distributions',
+  PropertyController.getDistributions
+);
+
+router.post(
+  '/:id/distributions',
+  ValidationMiddleware.distributionValidation(),
+  ValidationMiddleware.handleValidationErrors,
+  PropertyController.createDistribution
+);
+
+// Record property valuation
+router.post(
+  '/:id/valuations',
+  ValidationMiddleware.valuationValidation(),
+  ValidationMiddleware.handleValidationErrors,
+  PropertyController.createValuation
+);
+
 // Update property funding status
 router.patch(
   '/:id/status',
@@ -2,6 +2,7 @@
 const express = require('express');
 const TransactionController = require('../controllers/transactionController');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const IdempotencyMiddleware = require('../middleware/idempotencyMiddleware');
 const ValidationMiddleware = require('../middleware/validationMiddleware');
 
 const router = express.Router();
@@ -15,12 +16,26 @@ router.get('/', TransactionController.getMyTransactions);
 // Get transaction summary
 router.get('/summary', TransactionController.getTransactionSummary);
 
+// Download a statement or the annual tax report
+router.get('/statement', TransactionController.getStatement);
+router.get('/tax-report', TransactionController.getTaxReport);
+
+// Get the user's crypto deposit address
+router.get('/deposit-address', TransactionController.getDepositAddress);
+
+// Get the user's withdrawal limits
+router.get('/withdrawal-limits', TransactionController.getWithdrawalLimits);
+
+// Get the user's balance in every currency
+router.get('/balances', TransactionController.getBalances);
+
 // Get single transaction
 router.get('/:id', TransactionController.getTransaction);
 
 // Create deposit transaction
 router.post(
   '/deposit',
+  IdempotencyMiddleware.idempotent,
   ValidationMiddleware.transactionValidation(),
   ValidationMiddleware.handleValidationErrors,
   TransactionController.createDeposit
@@ -29,12 +44,21 @@ router.post(
 // Create withdrawal transaction
 router.post(
   '/withdraw',
+  IdempotencyMiddleware.idempotent,
   ValidationMiddleware.transactionValidation(),
   ValidationMiddleware.handleValidationErrors,
   AuthMiddleware.requireVerifiedInvestor,
+  AuthMiddleware.requireTwoFactor({ mandatory: true }),
   TransactionController.createWithdrawal
 );
 
+// Convert funds between currencies
+router.post(
+  '/convert',
+  IdempotencyMiddleware.idempotent,
+  TransactionController.convertCurrency
+);
+
 // Cancel transaction
 router.patch(
   '/:id/cancel',
@@ -0,0 +1,22 @@
+// src/routes/walletRoutes.js
+const express = require('express');
+const WalletController = require('../controllers/walletController');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All wallet routes require authentication
+router.use(AuthMiddleware.protect);
+
+router.get('/me', WalletController.getMyWallet);
+
+// Self-custody address
+router.get('/me/external/message', WalletController.getOwnershipMessage);
+
+router.post(
+  '/me/external',
+  AuthMiddleware.requireTwoFactor(),
+  WalletController.registerExternalAddress
+);
+
+module.exports = router;
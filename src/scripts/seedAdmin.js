@@ -0,0 +1,46 @@
+// src/scripts/seedAdmin.js
+const mongoose = require('mongoose');
+const env = require('../config/env');
+const User = require('../models/User');
+
+// Create the first admin account, or promote an existing user to admin
+const seedAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = env;
+
+  if (!ADMIN_EMAIL) {
+    throw new Error('ADMIN_EMAIL must be set to seed an admin');
+  }
+
+  await mongoose.connect(env.MONGODB_URI);
+
+  try {
+    const existingUser = await User.findOne({ email: ADMIN_EMAIL });
+
+    if (existingUser) {
+      existingUser.role = 'admin';
+      await existingUser.save({ validateBeforeSave: false });
+      console.log(`Promoted ${ADMIN_EMAIL} to admin`);
+      return;
+    }
+
+    if (!ADMIN_PASSWORD) {
+      throw new Error('ADMIN_PASSWORD must be set to create a new admin');
+    }
+
+    await User.create({
+      name: ADMIN_NAME || 'Administrator',
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD,
+      role: 'admin'
+    });
+
+    console.log(`Created admin ${ADMIN_EMAIL}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+seedAdmin().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,10 +1,21 @@
 // src/server.js
 const App = require('./app');
 const env = require('./config/env');
+const EmailWorker = require('./workers/emailWorker');
+const BlockchainWorker = require('./workers/blockchainWorker');
+const FundingWorker = require('./workers/fundingWorker');
+const PaymentService = require('./services/paymentService');
+
+// Fail fast on configuration that is unsafe to run in production
+PaymentService.checkConfiguration();
 
 const app = new App();
 const server = app.listen();
 
+EmailWorker.start();
+BlockchainWorker.start();
+FundingWorker.start();
+
 process.on('uncaughtException', (error) => {
   console.error('UNCAUGHT EXCEPTION! 💥 Shutting down...');
   console.error(error.name, error.message);
@@ -0,0 +1,171 @@
+// src/services/adminService.js
+const User = require('../models/User');
+const Property = require('../models/Property');
+const TransactionService = require('./transactionService');
+const AppError = require('../utils/appError');
+
+const ROLES = ['user', 'admin', 'system'];
+const INVESTOR_TYPES = ['individual', 'institutional', 'accredited'];
+
+class AdminService {
+  // List users with filters and pagination
+  static async listUsers(filters = {}, pagination = {}) {
+    const query = {};
+
+    if (filters.role) query.role = filters.role;
+    if (filters.verificationStatus) query.verificationStatus = filters.verificationStatus;
+    if (filters.investorType) query.investorType = filters.investorType;
+
+    if (filters.search) {
+      const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    // Extract pagination params
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(query)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+    const total = await User.countDocuments(query);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get user by ID
+  static async getUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // Change user's role
+  static async updateUserRole(userId, role, adminId) {
+    if (!ROLES.includes(role)) {
+      throw new AppError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    // Prevent admins from locking themselves out
+    if (userId === adminId && role !== 'admin') {
+      throw new AppError('You cannot remove your own admin role');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // Change user's investor type once their accreditation was checked
+  static async updateInvestorType(userId, investorType) {
+    if (!INVESTOR_TYPES.includes(investorType)) {
+      throw new AppError(`Investor type must be one of: ${INVESTOR_TYPES.join(', ')}`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { investorType },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // Set the payment provider account that receives a user's withdrawals
+  static async setPayoutAccount(userId, payoutAccountId) {
+    if (payoutAccountId !== null && (typeof payoutAccountId !== 'string' || !payoutAccountId.trim())) {
+      throw new AppError('payoutAccountId must be an account ID or null');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      payoutAccountId ? { payoutAccountId: payoutAccountId.trim() } : { $unset: { payoutAccountId: '' } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // List transactions (?field[op]=value&sort=&fields=&page=&limit=)
+  static async listTransactions(query = {}) {
+    return TransactionService.listTransactions(query);
+  }
+
+  // Confirm pending transaction
+  static async confirmTransaction(transactionId, confirmationData, adminId) {
+    return TransactionService.confirmTransaction(transactionId, confirmationData, adminId);
+  }
+
+  // Refund completed transaction
+  static async refundTransaction(transactionId, refundData, adminId) {
+    return TransactionService.processRefund(transactionId, refundData, adminId);
+  }
+
+  // Withdrawals awaiting review
+  static async getWithdrawalQueue(pagination = {}) {
+    return TransactionService.getWithdrawalQueue(pagination);
+  }
+
+  // Approve withdrawal and pay it out
+  static async approveWithdrawal(transactionId, adminId) {
+    return TransactionService.approveWithdrawal(transactionId, adminId);
+  }
+
+  // Reject withdrawal and release its funds
+  static async rejectWithdrawal(transactionId, adminId, reason) {
+    return TransactionService.rejectWithdrawal(transactionId, adminId, reason);
+  }
+
+  // Feature or unfeature a property
+  static async setPropertyFeatured(propertyId, isFeatured) {
+    const property = await Property.findByIdAndUpdate(
+      propertyId,
+      { isFeatured },
+      { new: true }
+    );
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    return property;
+  }
+}
+
+module.exports = AdminService;
@@ -1,15 +1,19 @@
 // src/services/authService.js
 const User = require('../models/User');
+const KycService = require('./kycService');
+const SessionService = require('./sessionService');
+const TwoFactorService = require('./twoFactorService');
 const JWTService = require('../utils/jwt');
+const AppError = require('../utils/appError');
 const crypto = require('crypto');
 
 class AuthService {
   // Register new user
-  static async registerUser(userData) {
+  static async registerUser(userData, context) {
     // Check if user exists
     const existingUser = await User.findOne({ email: userData.email });
     if (existingUser) {
-      throw new Error('Email already in use');
+      throw new AppError('Email already in use', 409);
     }
 
     // Create new user
@@ -17,13 +21,11 @@ class AuthService {
       name: userData.name,
       email: userData.email,
       password: userData.password,
-      phoneNumber: userData.phoneNumber,
-      investorType: userData.investorType || 'individual'
+      phoneNumber: userData.phoneNumber
     });
 
-    // Generate tokens
-    const accessToken = JWTService.createAccessToken(newUser);
-    const refreshToken = JWTService.createRefreshToken(newUser);
+    // Start a session and generate its tokens
+    const { accessToken, refreshToken } = await SessionService.createSession(newUser, context);
 
     // Remove password from output
     newUser.password = undefined;
@@ -36,17 +38,24 @@ class AuthService {
   }
 
   // Login user
-  static async loginUser(email, password) {
+  static async loginUser(email, password, context) {
     // Check if user exists and password is correct
     const user = await User.findOne({ email }).select('+password');
     
     if (!user || !(await user.correctPassword(password, user.password))) {
-      throw new Error('Incorrect email or password');
+      throw new AppError('Incorrect email or password', 401);
     }
 
-    // Generate tokens
-    const accessToken = JWTService.createAccessToken(user);
-    const refreshToken = JWTService.createRefreshToken(user);
+    // Ask for the second factor before issuing tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: JWTService.createTwoFactorChallenge(user)
+      };
+    }
+
+    // Start a session and generate its tokens
+    const { accessToken, refreshToken } = await SessionService.createSession(user, context);
 
     // Update last login
     user.lastLogin = new Date();
@@ -62,39 +71,61 @@ class AuthService {
     };
   }
 
-  // Refresh token
-  static async refreshUserToken(refreshToken) {
-    // Verify refresh token
-    const decoded = JWTService.verifyToken(refreshToken);
-    
+  // Complete login with a two-factor code
+  static async verifyTwoFactorLogin(challengeToken, code, context) {
+    const decoded = challengeToken && JWTService.verifyTwoFactorChallenge(challengeToken);
+
     if (!decoded) {
-      throw new Error('Invalid refresh token');
+      throw new AppError('Login challenge is invalid or has expired', 401);
     }
 
-    // Find user
+    await TwoFactorService.verify(decoded.id, code);
+
     const user = await User.findById(decoded.id);
-    
-    if (!user) {
-      throw new Error('User no longer exists');
-    }
+    const { accessToken, refreshToken } = await SessionService.createSession(user, context);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      user,
+      accessToken,
+      refreshToken
+    };
+  }
 
-    // Generate new tokens
-    const newAccessToken = JWTService.createAccessToken(user);
-    const newRefreshToken = JWTService.createRefreshToken(user);
+  // Rotate refresh token
+  static async refreshUserToken(refreshToken, context) {
+    const { accessToken, refreshToken: newRefreshToken } =
+      await SessionService.rotateSession(refreshToken, context);
 
     return {
-      accessToken: newAccessToken,
+      accessToken,
       refreshToken: newRefreshToken
     };
   }
 
+  // Log out of the current session
+  static async logout(userId, sessionId) {
+    await SessionService.revokeSession(sessionId, userId, 'logout');
+  }
+
+  // Log out of every session
+  static async logoutAll(userId) {
+    await SessionService.revokeAllSessions(userId, 'logout_all');
+
+    // Invalidate refresh tokens even if a session record is missed
+    await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  }
+
   // Create password reset token
   static async createPasswordResetToken(email) {
     // Find user
     const user = await User.findOne({ email });
     
     if (!user) {
-      throw new Error('No user found with that email');
+      throw new AppError('No user found with that email', 404);
     }
 
     // Generate reset token
@@ -113,7 +144,7 @@ class AuthService {
   }
 
   // Reset password with token
-  static async resetPassword(token, newPassword) {
+  static async resetPassword(token, newPassword, context) {
     // Hash token
     const hashedToken = crypto
       .createHash('sha256')
@@ -127,7 +158,7 @@ class AuthService {
     });
     
     if (!user) {
-      throw new Error('Token is invalid or has expired');
+      throw new AppError('Token is invalid or has expired');
     }
     
     // Update password and remove reset token
@@ -136,10 +167,20 @@ class AuthService {
     user.resetPasswordExpire = undefined;
     
     await user.save();
+
+    // End every existing session so stolen tokens stop working
+    await SessionService.revokeAllSessions(user._id, 'password_changed');
+    
+    // A reset link alone must not get past the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: JWTService.createTwoFactorChallenge(user)
+      };
+    }
     
-    // Generate new tokens
-    const accessToken = JWTService.createAccessToken(user);
-    const refreshToken = JWTService.createRefreshToken(user);
+    // Start a new session and generate its tokens
+    const { accessToken, refreshToken } = await SessionService.createSession(user, context);
     
     return {
       accessToken,
@@ -148,22 +189,25 @@ class AuthService {
   }
 
   // Update user password
-  static async updatePassword(userId, currentPassword, newPassword) {
+  static async updatePassword(userId, currentPassword, newPassword, context) {
     // Get user with password
     const user = await User.findById(userId).select('+password');
     
     // Check if current password is correct
     if (!(await user.correctPassword(currentPassword, user.password))) {
-      throw new Error('Current password is incorrect');
+      throw new AppError('Your current password is wrong.', 401);
     }
     
     // Update password
     user.password = newPassword;
     await user.save();
+
+    // End every existing session so stolen tokens stop working.
+    // The route already checked the second factor, so the new session needs no challenge.
+    await SessionService.revokeAllSessions(user._id, 'password_changed');
     
-    // Generate new tokens
-    const accessToken = JWTService.createAccessToken(user);
-    const refreshToken = JWTService.createRefreshToken(user);
+    // Start a new session and generate its tokens
+    const { accessToken, refreshToken } = await SessionService.createSession(user, context);
     
     return {
       accessToken,
@@ -195,7 +239,7 @@ class AuthService {
     );
     
     if (!updatedUser) {
-      throw new Error('User not found');
+      throw new AppError('User not found', 404);
     }
     
     return updatedUser;
@@ -203,28 +247,8 @@ class AuthService {
 
   // Submit KYC documents
   static async submitKycDocuments(userId, documents) {
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    // Add documents to user profile
-    documents.forEach(doc => {
-      user.kycDocuments.push({
-        type: doc.type,
-        documentNumber: doc.documentNumber,
-        uploadDate: new Date(),
-        verificationStatus: 'pending'
-      });
-    });
-    
-    // Update verification status
-    user.verificationStatus = 'pending';
-    await user.save();
-    
-    return user;
+    return KycService.submitDocuments(userId, documents);
   }
 }
 
-module.exports = AuthService;
\ No newline at end of file
+module.exports = AuthService;
@@ -0,0 +1,225 @@
+// src/services/chainTrackerService.js
+const env = require('../config/env');
+const ChainTransaction = require('../models/ChainTransaction');
+const Investment = require('../models/Investment');
+const Transaction = require('../models/Transaction');
+const TransactionService = require('./transactionService');
+const blockchainService = require('../utils/blockchain');
+const AppError = require('../utils/appError');
+
+const MAX_REBROADCASTS = 3;
+
+class ChainTrackerService {
+  // Start tracking a submitted transaction until it is final
+  static async track(transactionHash, trackingData = {}) {
+    const chainTransaction = await ChainTransaction.findOneAndUpdate(
+      { hash: transactionHash.toLowerCase() },
+      {
+        $setOnInsert: {
+          type: trackingData.type || 'other',
+          from: trackingData.from,
+          to: trackingData.to,
+          nonce: trackingData.nonce,
+          rawTransaction: trackingData.rawTransaction,
+          relatedEntity: trackingData.relatedEntity,
+          requiredConfirmations: trackingData.requiredConfirmations || env.BLOCKCHAIN_CONFIRMATIONS
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    return chainTransaction;
+  }
+
+  // Get tracked transaction by hash, falling back to the node for untracked ones
+  static async getTransaction(transactionHash) {
+    if (!/^0x[a-fA-F0-9]{64}$/.test(transactionHash)) {
+      throw new AppError('Invalid transaction hash');
+    }
+
+    const chainTransaction = await ChainTransaction.findOne({ hash: transactionHash.toLowerCase() });
+
+    if (chainTransaction) {
+      return { tracked: true, transaction: chainTransaction };
+    }
+
+    const status = await blockchainService.getTransactionStatus(transactionHash);
+
+    return {
+      tracked: false,
+      transaction: { hash: transactionHash, ...status }
+    };
+  }
+
+  // Check every pending transaction once
+  static async processPending(limit = 100) {
+    const pending = await ChainTransaction.find({ status: 'Pending' })
+      .select('+rawTransaction')
+      .sort('lastCheckedAt')
+      .limit(limit);
+
+    const summary = { checked: 0, confirmed: 0, failed: 0 };
+
+    for (const chainTransaction of pending) {
+      try {
+        await this.checkTransaction(chainTransaction);
+        summary.checked += 1;
+
+        if (chainTransaction.status === 'Confirmed') summary.confirmed += 1;
+        if (['Failed', 'Dropped', 'Replaced'].includes(chainTransaction.status)) summary.failed += 1;
+      } catch (error) {
+        console.error(`Failed to check chain transaction ${chainTransaction.hash}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  // Refresh a transaction from the node and settle its linked records
+  static async checkTransaction(chainTransaction) {
+    const status = await blockchainService.getTransactionStatus(chainTransaction.hash);
+
+    chainTransaction.lastCheckedAt = new Date();
+
+    if (status.status === 'pending') {
+      await this.handleUnmined(chainTransaction);
+    } else if (status.status === 'failed') {
+      chainTransaction.blockNumber = status.blockNumber;
+      chainTransaction.gasUsed = status.gasUsed;
+      await this.markFailed(chainTransaction, 'Failed', 'Transaction was reverted');
+    } else {
+      chainTransaction.blockNumber = status.blockNumber;
+      chainTransaction.gasUsed = status.gasUsed;
+      chainTransaction.confirmations = status.confirmations;
+
+      if (status.confirmations >= chainTransaction.requiredConfirmations) {
+        chainTransaction.status = 'Confirmed';
+        chainTransaction.confirmedAt = new Date();
+        await this.onConfirmed(chainTransaction);
+      }
+    }
+
+    await chainTransaction.save();
+
+    return chainTransaction;
+  }
+
+  // Rebroadcast a transaction the node forgot, or give up on it
+  static async handleUnmined(chainTransaction) {
+    if (await blockchainService.isTransactionKnown(chainTransaction.hash)) {
+      return;
+    }
+
+    // Another transaction was mined with this nonce, e.g. a sped-up copy, so settling again could pay twice
+    if (chainTransaction.nonce != null && chainTransaction.from) {
+      const confirmedNonce = await blockchainService.getConfirmedNonce(chainTransaction.from);
+
+      if (confirmedNonce > chainTransaction.nonce) {
+        this.markReplaced(chainTransaction);
+        return;
+      }
+    }
+
+    if (chainTransaction.rawTransaction && chainTransaction.rebroadcasts < MAX_REBROADCASTS) {
+      chainTransaction.rebroadcasts += 1;
+      await blockchainService.rebroadcast(chainTransaction.rawTransaction);
+      return;
+    }
+
+    const unknownFor = Date.now() - chainTransaction.submittedAt.getTime();
+
+    if (unknownFor > env.BLOCKCHAIN_DROP_AFTER * 60 * 1000) {
+      await this.markFailed(chainTransaction, 'Dropped', 'Transaction was dropped by the network');
+    }
+  }
+
+  // Record a failure and flag it for an operator
+  static async markFailed(chainTransaction, status, reason) {
+    chainTransaction.status = status;
+    chainTransaction.failureReason = reason;
+    chainTransaction.needsReview = true;
+
+    const { entityType, entityId } = chainTransaction.relatedEntity || {};
+
+    // Money never moved for a pending transaction, so it simply fails
+    if (chainTransaction.type === 'crypto_deposit') {
+      await Transaction.updateMany(
+        { ...this.depositFilter(chainTransaction), status: 'Pending' },
+        { $set: { status: 'Failed' } }
+      );
+    } else if (entityType === 'Transaction') {
+      await Transaction.updateOne(
+        { _id: entityId, status: 'Pending' },
+        { $set: { status: 'Failed' } }
+      );
+    } else if (entityType === 'Investment') {
+      // Tokens never reached the buyer, so settle the investment again
+      await Investment.updateOne(
+        { _id: entityId, status: 'Pending', blockchainTransactionHash: chainTransaction.hash },
+        {
+          $unset: { blockchainTransactionHash: '' },
+          $set: { 'settlement.lastError': reason, 'settlement.nextAttemptAt': new Date() }
+        }
+      );
+    }
+
+    console.error(`Chain transaction ${chainTransaction.hash} ${status.toLowerCase()}: ${reason}`);
+  }
+
+  // Leave linked records pending for an operator, who checks what the replacing transaction did
+  static markReplaced(chainTransaction) {
+    chainTransaction.status = 'Replaced';
+    chainTransaction.failureReason = 'Nonce was used by another transaction';
+    chainTransaction.needsReview = true;
+
+    console.error(`Chain transaction ${chainTransaction.hash} replaced: nonce ${chainTransaction.nonce} was used by another transaction`);
+  }
+
+  // Complete records that were waiting for the transaction
+  static async onConfirmed(chainTransaction) {
+    const { entityType, entityId } = chainTransaction.relatedEntity || {};
+
+    if (chainTransaction.type === 'crypto_deposit') {
+      // A transaction can pay several deposits, e.g. token transfers to more than one address
+      const deposits = await Transaction.find({ ...this.depositFilter(chainTransaction), status: 'Pending' });
+
+      for (const deposit of deposits) {
+        await TransactionService.confirmTransaction(deposit._id, {}, 'chain-tracker');
+      }
+    } else if (entityType === 'Investment') {
+      await Investment.updateOne(
+        { _id: entityId, status: 'Pending' },
+        { $set: { status: 'Active', blockchainTransactionHash: chainTransaction.hash } }
+      );
+    } else if (entityType === 'Transaction') {
+      const transaction = await Transaction.findById(entityId);
+
+      if (transaction && transaction.status === 'Pending') {
+        await TransactionService.confirmTransaction(
+          transaction._id,
+          { blockchainTransactionHash: chainTransaction.hash },
+          'chain-tracker'
+        );
+      }
+    }
+  }
+
+  // Crypto deposits paid by a tracked transaction
+  static depositFilter(chainTransaction) {
+    return {
+      type: 'Deposit',
+      paymentMethod: 'Cryptocurrency',
+      blockchainTransactionHash: chainTransaction.hash
+    };
+  }
+
+  // List transactions that need an operator
+  static async getFlaggedTransactions() {
+    const chainTransactions = await ChainTransaction.find({ needsReview: true })
+      .sort('-lastCheckedAt');
+
+    return chainTransactions;
+  }
+}
+
+module.exports = ChainTrackerService;
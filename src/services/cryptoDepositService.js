@@ -0,0 +1,178 @@
+// src/services/cryptoDepositService.js
+const env = require('../config/env');
+const DepositAddress = require('../models/DepositAddress');
+const ChainCursor = require('../models/ChainCursor');
+const Transaction = require('../models/Transaction');
+const ChainTrackerService = require('./chainTrackerService');
+const FxService = require('./fxService');
+const blockchainService = require('../utils/blockchain');
+const EncryptionService = require('../utils/encryption');
+const AppError = require('../utils/appError');
+
+const CURSOR_NAME = 'crypto-deposits';
+const MAX_BLOCKS_PER_SCAN = 100;
+
+class CryptoDepositService {
+  // Currencies the listener watches on the configured network
+  static getSupportedCurrencies() {
+    return env.USDC_CONTRACT_ADDRESS ? ['ETH', 'USDC'] : ['ETH'];
+  }
+
+  // Get the user's deposit address, creating it on first use
+  static async getDepositAddress(userId, currency = 'ETH') {
+    const currencies = this.getSupportedCurrencies();
+
+    if (!currencies.includes(currency)) {
+      throw new AppError(`Crypto deposits are accepted in ${currencies.join(', ')}`);
+    }
+
+    let depositAddress = await DepositAddress.findOne({ user: userId });
+
+    if (!depositAddress) {
+      const { address, privateKey } = await blockchainService.createWallet();
+
+      try {
+        depositAddress = await DepositAddress.create({
+          user: userId,
+          address,
+          encryptedKey: EncryptionService.encrypt(privateKey)
+        });
+      } catch (error) {
+        // Another request created the address first
+        if (error.code !== 11000) throw error;
+        depositAddress = await DepositAddress.findOne({ user: userId });
+      }
+    }
+
+    return {
+      address: depositAddress.address,
+      currency,
+      network: env.BLOCKCHAIN_NETWORK,
+      tokenAddress: currency === 'USDC' ? env.USDC_CONTRACT_ADDRESS : undefined,
+      requiredConfirmations: env.BLOCKCHAIN_CONFIRMATIONS
+    };
+  }
+
+  // Scan blocks since the last run for transfers to deposit addresses
+  static async scan() {
+    const latestBlock = await blockchainService.getLatestBlockNumber();
+    const cursor = await ChainCursor.findOne({ name: CURSOR_NAME });
+
+    // The first run starts at the current block rather than the whole history
+    const fromBlock = cursor ? cursor.blockNumber + 1 : latestBlock;
+
+    if (fromBlock > latestBlock) {
+      return { fromBlock, toBlock: latestBlock, detected: 0 };
+    }
+
+    const toBlock = Math.min(latestBlock, fromBlock + MAX_BLOCKS_PER_SCAN - 1);
+
+    const depositAddresses = await DepositAddress.find().select('user address');
+    const owners = new Map(
+      depositAddresses.map(depositAddress => [depositAddress.address.toLowerCase(), depositAddress.user])
+    );
+
+    let detected = 0;
+
+    if (owners.size > 0) {
+      const addresses = new Set(owners.keys());
+      const transfers = (await blockchainService.getEtherTransfers(addresses, fromBlock, toBlock))
+        .map(transfer => ({ ...transfer, currency: 'ETH' }));
+
+      if (env.USDC_CONTRACT_ADDRESS) {
+        const tokenTransfers = await blockchainService.getTokenTransfers(
+          env.USDC_CONTRACT_ADDRESS,
+          addresses,
+          fromBlock,
+          toBlock,
+          env.USDC_DECIMALS
+        );
+
+        transfers.push(...tokenTransfers.map(transfer => ({ ...transfer, currency: 'USDC' })));
+      }
+
+      for (const transfer of transfers) {
+        const userId = owners.get(transfer.to.toLowerCase());
+
+        if (await this.recordDeposit(transfer, userId)) {
+          detected += 1;
+        }
+      }
+    }
+
+    await ChainCursor.updateOne(
+      { name: CURSOR_NAME },
+      { $set: { blockNumber: toBlock, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    return { fromBlock, toBlock, detected };
+  }
+
+  // Record a detected transfer as a pending deposit and track it to finality
+  static async recordDeposit(transfer, userId) {
+    // Ignore dust worth less than a cent
+    if (!(transfer.value > 0)) {
+      return null;
+    }
+
+    const usdValue = await FxService.convert(transfer.value, transfer.currency, 'USD');
+
+    if (usdValue.amount < 0.01) {
+      return null;
+    }
+
+    const transactionHash = transfer.transactionHash.toLowerCase();
+    // Ether transfers have no log; token transfers are told apart by their log index
+    const logIndex = transfer.logIndex != null ? Number(transfer.logIndex) : null;
+    let transaction;
+    let created = true;
+
+    try {
+      transaction = await Transaction.create({
+        user: userId,
+        type: 'Deposit',
+        amount: transfer.value,
+        currency: transfer.currency,
+        status: 'Pending',
+        description: `${transfer.currency} deposit`,
+        paymentMethod: 'Cryptocurrency',
+        blockchainTransactionHash: transactionHash,
+        metadata: {
+          from: transfer.from,
+          to: transfer.to,
+          blockNumber: transfer.blockNumber,
+          logIndex
+        }
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Seen by an earlier scan that may have stopped before tracking it
+      transaction = await Transaction.findOne({
+        type: 'Deposit',
+        paymentMethod: 'Cryptocurrency',
+        blockchainTransactionHash: transactionHash,
+        currency: transfer.currency,
+        'metadata.to': transfer.to,
+        'metadata.logIndex': logIndex
+      });
+      created = false;
+    }
+
+    // The chain tracker confirms every deposit of the transaction once it has enough confirmations
+    await ChainTrackerService.track(transactionHash, {
+      type: 'crypto_deposit',
+      from: transfer.from,
+      to: transfer.to,
+      relatedEntity: {
+        entityType: 'Transaction',
+        entityId: transaction._id
+      }
+    });
+
+    return created ? transaction : null;
+  }
+}
+
+module.exports = CryptoDepositService;
@@ -0,0 +1,231 @@
+// src/services/distributionService.js
+const Distribution = require('../models/Distribution');
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const AppError = require('../utils/appError');
+const { toCents, fromCents } = require('../utils/money');
+
+const DISTRIBUTION_TYPES = ['Rental', 'Appreciation', 'Other'];
+
+class DistributionService {
+  // Split a payout across investments pro-rata by tokens held
+  static allocatePayouts(totalAmount, investments) {
+    const totalCents = BigInt(toCents(totalAmount));
+    const totalTokens = BigInt(
+      investments.reduce((sum, investment) => sum + investment.tokensPurchased, 0)
+    );
+
+    // Exact integer shares, keeping each remainder for the cent allocation
+    const shares = investments.map(investment => {
+      const numerator = totalCents * BigInt(investment.tokensPurchased);
+
+      return {
+        investment,
+        cents: numerator / totalTokens,
+        remainder: numerator % totalTokens
+      };
+    });
+
+    let leftover = totalCents - shares.reduce((sum, share) => sum + share.cents, 0n);
+
+    // Largest remainder first; ties go to larger holdings, then oldest investment
+    const byRemainder = [...shares].sort((a, b) => {
+      if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+      if (a.investment.tokensPurchased !== b.investment.tokensPurchased) {
+        return b.investment.tokensPurchased - a.investment.tokensPurchased;
+      }
+      return a.investment._id.toString().localeCompare(b.investment._id.toString());
+    });
+
+    for (const share of byRemainder) {
+      if (leftover === 0n) break;
+      share.cents += 1n;
+      leftover -= 1n;
+    }
+
+    return shares.map(share => ({
+      investment: share.investment,
+      amount: fromCents(Number(share.cents))
+    }));
+  }
+
+  // Distribute a payout to every investment holding tokens of a property, pending or active
+  static async createDistribution(propertyId, distributionData, userId) {
+    const { idempotencyKey, type } = distributionData;
+    const totalAmount = parseFloat(distributionData.amount);
+
+    if (!idempotencyKey) {
+      throw new AppError('An idempotency key is required');
+    }
+
+    if (isNaN(totalAmount) || toCents(totalAmount) <= 0) {
+      throw new AppError('Invalid distribution amount');
+    }
+
+    if (!DISTRIBUTION_TYPES.includes(type)) {
+      throw new AppError(`Distribution type must be one of: ${DISTRIBUTION_TYPES.join(', ')}`);
+    }
+
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    // Check if user is the owner
+    if (property.owner.toString() !== userId) {
+      throw new AppError('You do not have permission to distribute payouts for this property', 403);
+    }
+
+    // Replay a distribution already made with this key
+    const existing = await this.findByKey(property._id, idempotencyKey, totalAmount, type);
+
+    if (existing) {
+      return { distribution: existing, replayed: true };
+    }
+
+    try {
+      const distribution = await LedgerService.runInTransaction(async (session) => {
+        const investments = await Investment.find({
+          property: property._id,
+          status: { $in: ['Active', 'Pending'] },
+          tokensPurchased: { $gt: 0 }
+        })
+          .sort({ _id: 1 })
+          .session(session);
+
+        if (investments.length === 0) {
+          throw new AppError('This property has no investments holding tokens to pay');
+        }
+
+        const allocations = this.allocatePayouts(totalAmount, investments)
+          .filter(allocation => allocation.amount > 0);
+
+        // Claim the key first so a concurrent retry fails on the unique index
+        const [newDistribution] = await Distribution.create([{
+          property: property._id,
+          idempotencyKey,
+          totalAmount,
+          type,
+          totalTokens: investments.reduce((sum, investment) => sum + investment.tokensPurchased, 0),
+          createdBy: userId
+        }], { session });
+
+        const transactions = await Transaction.create(allocations.map(allocation => ({
+          user: allocation.investment.user._id,
+          type: 'Dividend',
+          amount: allocation.amount,
+          status: 'Completed',
+          description: `${type} distribution for ${property.title}`,
+          relatedEntity: {
+            entityType: 'Investment',
+            entityId: allocation.investment._id
+          },
+          metadata: { distribution: newDistribution._id },
+          completedAt: Date.now()
+        })), { session, ordered: true });
+
+        // Record dividend on each investment
+        const now = new Date();
+
+        await Investment.bulkWrite(allocations.map(allocation => ({
+          updateOne: {
+            filter: { _id: allocation.investment._id },
+            update: {
+              $push: {
+                dividends: { amount: allocation.amount, date: now, type }
+              }
+            }
+          }
+        })), { session });
+
+        // One balanced entry crediting every investor's wallet
+        const entry = await LedgerService.post({
+          description: `${type} distribution for ${property.title}`,
+          lines: [
+            { account: LedgerService.propertyDistributions(property._id), debit: totalAmount },
+            ...allocations.map(allocation => ({
+              account: LedgerService.userWallet(allocation.investment.user._id),
+              credit: allocation.amount
+            }))
+          ],
+          transactions: transactions.map(transaction => transaction._id),
+          metadata: { distribution: newDistribution._id }
+        }, session);
+
+        newDistribution.payouts = allocations.map((allocation, index) => ({
+          investment: allocation.investment._id,
+          user: allocation.investment.user._id,
+          tokens: allocation.investment.tokensPurchased,
+          amount: allocation.amount,
+          transaction: transactions[index]._id
+        }));
+        newDistribution.ledgerEntry = entry._id;
+        await newDistribution.save({ session });
+
+        return newDistribution;
+      });
+
+      for (const payout of distribution.payouts) {
+        await NotificationService.notifyDividendPaid(payout.user, {
+          investment: payout.investment,
+          amount: payout.amount,
+          type,
+          propertyTitle: property.title
+        });
+      }
+
+      return { distribution, replayed: false };
+    } catch (error) {
+      // Lost the race against a concurrent request with the same key
+      if (error.code === 11000) {
+        const concurrent = await this.findByKey(property._id, idempotencyKey, totalAmount, type);
+
+        if (concurrent) {
+          return { distribution: concurrent, replayed: true };
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  // Find a distribution by idempotency key, rejecting reuse with different parameters
+  static async findByKey(propertyId, idempotencyKey, totalAmount, type) {
+    const distribution = await Distribution.findOne({ property: propertyId, idempotencyKey });
+
+    if (!distribution) {
+      return null;
+    }
+
+    if (toCents(distribution.totalAmount) !== toCents(totalAmount) || distribution.type !== type) {
+      throw new AppError('This idempotency key was already used for a different distribution', 409);
+    }
+
+    return distribution;
+  }
+
+  // Get distributions for a property
+  static async getPropertyDistributions(propertyId, userId) {
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    // Check if user is the owner
+    if (property.owner.toString() !== userId) {
+      throw new AppError('You do not have permission to view these distributions', 403);
+    }
+
+    const distributions = await Distribution.find({ property: propertyId })
+      .sort('-createdAt');
+
+    return distributions;
+  }
+}
+
+module.exports = DistributionService;
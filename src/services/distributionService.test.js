@@ -0,0 +1,89 @@
+// src/services/distributionService.test.js
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const DistributionService = require('./distributionService');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+const holdingOf = (tokensPurchased, status) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: { _id: new mongoose.Types.ObjectId() },
+  tokensPurchased,
+  status
+});
+
+describe('DistributionService.allocatePayouts', () => {
+  test('splits a payout pro-rata and hands out leftover cents by largest remainder', () => {
+    const investments = [holdingOf(1, 'Active'), holdingOf(1, 'Active'), holdingOf(1, 'Active')];
+
+    const amounts = DistributionService.allocatePayouts(100, investments).map(allocation => allocation.amount);
+
+    expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(100, 2);
+    expect([...amounts].sort()).toEqual([33.33, 33.33, 33.34]);
+  });
+});
+
+describe('DistributionService.createDistribution', () => {
+  const property = { _id: new mongoose.Types.ObjectId(), title: 'Harbour Lofts', owner: ownerId };
+  let investments;
+
+  beforeEach(() => {
+    investments = [holdingOf(30, 'Active'), holdingOf(10, 'Pending')];
+
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+    jest.spyOn(Distribution, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Investment, 'find').mockReturnValue({ sort: () => ({ session: async () => investments }) });
+    jest.spyOn(LedgerService, 'runInTransaction').mockImplementation(work => work({}));
+    jest.spyOn(LedgerService, 'post').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(Distribution, 'create').mockImplementation(async ([distribution]) => [{
+      _id: new mongoose.Types.ObjectId(),
+      ...distribution,
+      save: jest.fn().mockResolvedValue()
+    }]);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (transactions) => transactions.map(transaction => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...transaction
+    })));
+    jest.spyOn(Investment, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(NotificationService, 'notifyDividendPaid').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays pending investments, whose tokens are held but not yet on chain', async () => {
+    const { distribution } = await DistributionService.createDistribution(
+      property._id,
+      { amount: 400, type: 'Rental', idempotencyKey: 'q1-rent' },
+      ownerId.toString()
+    );
+
+    expect(Investment.find).toHaveBeenCalledWith({
+      property: property._id,
+      status: { $in: ['Active', 'Pending'] },
+      tokensPurchased: { $gt: 0 }
+    });
+    expect(distribution.totalTokens).toBe(40);
+    expect(distribution.payouts.map(payout => [payout.user, payout.amount])).toEqual([
+      [investments[0].user._id, 300],
+      [investments[1].user._id, 100]
+    ]);
+  });
+
+  test('refuses a payout when no investment holds tokens', async () => {
+    investments = [];
+
+    await expect(DistributionService.createDistribution(
+      property._id,
+      { amount: 400, type: 'Rental', idempotencyKey: 'q1-rent' },
+      ownerId.toString()
+    )).rejects.toMatchObject({ statusCode: 400 });
+    expect(LedgerService.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+// src/services/eligibilityService.js
+const env = require('../config/env');
+const Investment = require('../models/Investment');
+const Transaction = require('../models/Transaction');
+const AppError = require('../utils/appError');
+const { roundCurrency } = require('../utils/money');
+const { DAY_MS } = require('../utils/dateRange');
+
+const ANNUAL_INVESTMENT_LIMITS = JSON.parse(env.ANNUAL_INVESTMENT_LIMITS);
+
+class EligibilityService {
+  // Check a user against a property's offering rules.
+  // Per-investor and annual limits are only checked when an order ({ tokens, amount }) is given.
+  // Purchases check inside the transaction that records them, which also updates the user,
+  // so concurrent purchases of the same user conflict and are retried against each other.
+  static async check(user, property, order = null, session = null) {
+    const rules = property.offeringRules || {};
+    const reasons = [];
+    const reject = (code, message) => reasons.push({ code, message });
+
+    if (rules.investorTypes && rules.investorTypes.length > 0 && !rules.investorTypes.includes(user.investorType)) {
+      reject('investor_type', `This offering is only open to ${rules.investorTypes.join(', ')} investors`);
+    }
+
+    const restrictsCountries = (rules.allowedCountries && rules.allowedCountries.length > 0) ||
+      (rules.blockedCountries && rules.blockedCountries.length > 0);
+
+    if (restrictsCountries) {
+      if (!user.country) {
+        reject('country_unverified', 'Verify your identity to confirm your country before investing in this offering');
+      } else if (rules.blockedCountries.includes(user.country) ||
+        (rules.allowedCountries.length > 0 && !rules.allowedCountries.includes(user.country))) {
+        reject('country_not_allowed', `This offering is not available to investors in ${user.country}`);
+      }
+    }
+
+    if (order) {
+      const held = await this.getTokensHeld(user._id, property._id, session);
+      const maxTokens = this.getMaxTokens(property);
+
+      if (maxTokens !== null && held + order.tokens > maxTokens) {
+        reject(
+          'holding_limit',
+          `Investors may hold at most ${maxTokens} tokens of this property; you can buy up to ${Math.max(maxTokens - held, 0)} more`
+        );
+      }
+
+      const allowance = await this.getAnnualAllowance(user, session);
+
+      if (allowance && order.amount > allowance.remaining) {
+        reject(
+          'annual_limit',
+          `Your investment limit is ${allowance.limit} USD per 12 months; you can invest up to ${allowance.remaining} USD more`
+        );
+      }
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  // Reject with every reason the user cannot place the order
+  static async assertEligible(user, property, order, session = null) {
+    const { eligible, reasons } = await this.check(user, property, order, session);
+
+    if (!eligible) {
+      const error = new AppError(reasons.map(reason => reason.message).join('. '), 403);
+      error.reasons = reasons;
+      throw error;
+    }
+  }
+
+  // Most tokens one investor may hold, from the stricter of the two limits
+  static getMaxTokens(property) {
+    const { maxTokensPerInvestor, maxPercentPerInvestor } = property.offeringRules || {};
+    const limits = [];
+
+    if (maxTokensPerInvestor != null) {
+      limits.push(maxTokensPerInvestor);
+    }
+
+    if (maxPercentPerInvestor != null) {
+      limits.push(Math.floor(property.totalTokens * maxPercentPerInvestor / 100));
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  // Tokens of a property the user holds or is waiting to receive
+  static async getTokensHeld(userId, propertyId, session = null) {
+    const [holding] = await Investment.aggregate([
+      { $match: { user: userId, property: propertyId, status: { $in: ['Active', 'Pending'] } } },
+      { $group: { _id: null, tokens: { $sum: '$tokensPurchased' } } }
+    ]).session(session);
+
+    return holding ? holding.tokens : 0;
+  }
+
+  // Annual investment limit of the user's investor type and what is left of it; null without a limit
+  static async getAnnualAllowance(user, session = null) {
+    const limit = ANNUAL_INVESTMENT_LIMITS[user.investorType];
+
+    if (limit == null) {
+      return null;
+    }
+
+    // Primary and marketplace purchases across all properties; refunded ones do not count
+    const [usage] = await Transaction.aggregate([
+      {
+        $match: {
+          user: user._id,
+          type: 'Investment Purchase',
+          status: 'Completed',
+          createdAt: { $gte: new Date(Date.now() - 365 * DAY_MS) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+
+    const used = usage ? usage.total : 0;
+
+    return {
+      limit,
+      used: roundCurrency(used),
+      remaining: roundCurrency(Math.max(limit - used, 0))
+    };
+  }
+}
+
+module.exports = EligibilityService;
@@ -0,0 +1,111 @@
+// src/services/emailService.js
+const env = require('../config/env');
+const EmailOutbox = require('../models/EmailOutbox');
+const Mailer = require('../utils/mailer');
+const { renderTemplate } = require('../utils/emailTemplates');
+
+// Emails stuck in Sending longer than this are assumed lost by a crashed worker
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+class EmailService {
+  // Render a template, store it in the outbox and try to send it right away
+  static async queue(template, recipient, data = {}) {
+    const { subject, text, html } = renderTemplate(template, {
+      name: recipient.name,
+      ...data
+    });
+
+    const email = await EmailOutbox.create({
+      user: recipient._id,
+      to: recipient.email,
+      template,
+      subject,
+      text,
+      html
+    });
+
+    // Send in the background; failures stay in the outbox for the worker
+    this.deliver(email._id).catch(error => {
+      console.error(`Failed to send email ${email._id}: ${error.message}`);
+    });
+
+    return email;
+  }
+
+  // Send a single outbox email, scheduling a retry on failure
+  static async deliver(emailId) {
+    const now = new Date();
+
+    // Claim the email so concurrent workers do not send it twice
+    const email = await EmailOutbox.findOneAndUpdate(
+      { _id: emailId, status: 'Pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'Sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!email) {
+      return null;
+    }
+
+    try {
+      const messageId = await Mailer.send({
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html
+      });
+
+      email.status = 'Sent';
+      email.messageId = messageId;
+      email.sentAt = new Date();
+      email.lastError = undefined;
+    } catch (error) {
+      const exhausted = email.attempts >= env.EMAIL_MAX_ATTEMPTS;
+
+      email.status = exhausted ? 'Failed' : 'Pending';
+      email.lastError = error.message;
+      email.nextAttemptAt = new Date(Date.now() + this.retryDelay(email.attempts));
+    }
+
+    email.lockedAt = undefined;
+    await email.save();
+
+    return email;
+  }
+
+  // Exponential backoff: 1, 2, 4, 8... minutes, capped at one hour
+  static retryDelay(attempts) {
+    return Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+  }
+
+  // Send every due email in the outbox
+  static async processOutbox(limit = 50) {
+    // Release emails left in Sending by a worker that stopped mid-send
+    await EmailOutbox.updateMany(
+      { status: 'Sending', lockedAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) } },
+      { $set: { status: 'Pending' }, $unset: { lockedAt: '' } }
+    );
+
+    const dueEmails = await EmailOutbox.find({
+      status: 'Pending',
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort('nextAttemptAt')
+      .limit(limit)
+      .select('_id');
+
+    let sent = 0;
+
+    for (const { _id } of dueEmails) {
+      const email = await this.deliver(_id);
+
+      if (email && email.status === 'Sent') {
+        sent += 1;
+      }
+    }
+
+    return { processed: dueEmails.length, sent };
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,121 @@
+// src/services/emailService.test.js
+process.env.EMAIL_TRANSPORT = 'memory';
+
+const mongoose = require('mongoose');
+const env = require('../config/env');
+const EmailOutbox = require('../models/EmailOutbox');
+const EmailService = require('./emailService');
+const Mailer = require('../utils/mailer');
+
+// Outbox email as claimed by deliver()
+const claimedEmail = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  to: 'ada@example.com',
+  subject: 'Deposit confirmed',
+  text: 'Your deposit of 100 USD was credited.',
+  html: '<p>Your deposit of 100 USD was credited.</p>',
+  status: 'Sending',
+  attempts: 1,
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+describe('EmailService outbox', () => {
+  beforeEach(() => {
+    Mailer.clearSentMessages();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues a rendered template and sends it through the transport', async () => {
+    const recipient = { _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@example.com' };
+    const email = claimedEmail();
+
+    jest.spyOn(EmailOutbox, 'create').mockImplementation(async (fields) => ({ _id: email._id, ...fields }));
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue(email);
+    jest.spyOn(EmailService, 'deliver');
+
+    const queued = await EmailService.queue('resetPassword', recipient, {
+      resetURL: 'https://app.example.com/reset/abc',
+      expiresInMinutes: 10
+    });
+
+    // Sent in the background
+    await EmailService.deliver.mock.results[0].value;
+
+    expect(queued).toMatchObject({ user: recipient._id, to: 'ada@example.com', template: 'resetPassword' });
+    expect(queued.text).toContain('https://app.example.com/reset/abc');
+    expect(Mailer.sentMessages).toHaveLength(1);
+    expect(email.status).toBe('Sent');
+  });
+
+  test('marks a delivered email sent', async () => {
+    const email = claimedEmail();
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue(email);
+
+    await EmailService.deliver(email._id);
+
+    const [message] = Mailer.sentMessages;
+
+    expect(message.to).toEqual([{ address: 'ada@example.com', name: '' }]);
+    expect(message.subject).toBe('Deposit confirmed');
+    expect(email).toMatchObject({ status: 'Sent', lockedAt: undefined, lastError: undefined });
+    expect(email.messageId).toBeDefined();
+    expect(email.save).toHaveBeenCalled();
+  });
+
+  test('claims only pending emails that are due', async () => {
+    const emailId = new mongoose.Types.ObjectId();
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await EmailService.deliver(emailId)).toBeNull();
+    expect(EmailOutbox.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ _id: emailId, status: 'Pending' });
+    expect(Mailer.sentMessages).toHaveLength(0);
+  });
+
+  test('retries a failed send with backoff', async () => {
+    const email = claimedEmail({ attempts: 3 });
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue(email);
+    jest.spyOn(Mailer, 'send').mockRejectedValue(new Error('Connection refused'));
+
+    const before = Date.now();
+    await EmailService.deliver(email._id);
+
+    expect(email).toMatchObject({ status: 'Pending', lastError: 'Connection refused' });
+    expect(email.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 1000);
+    expect(email.save).toHaveBeenCalled();
+  });
+
+  test('gives up after the last attempt', async () => {
+    const email = claimedEmail({ attempts: env.EMAIL_MAX_ATTEMPTS });
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue(email);
+    jest.spyOn(Mailer, 'send').mockRejectedValue(new Error('Mailbox unavailable'));
+
+    await EmailService.deliver(email._id);
+
+    expect(email.status).toBe('Failed');
+  });
+
+  test('caps the retry delay at an hour', () => {
+    expect(EmailService.retryDelay(1)).toBe(60 * 1000);
+    expect(EmailService.retryDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('processes due emails and releases stale locks', async () => {
+    const emails = [claimedEmail(), claimedEmail()];
+
+    jest.spyOn(EmailOutbox, 'updateMany').mockResolvedValue({});
+    jest.spyOn(EmailOutbox, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: async () => emails.map(({ _id }) => ({ _id })) }) })
+    });
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate')
+      .mockResolvedValueOnce(emails[0])
+      .mockResolvedValueOnce(emails[1]);
+
+    expect(await EmailService.processOutbox()).toEqual({ processed: 2, sent: 2 });
+    expect(EmailOutbox.updateMany.mock.calls[0][0]).toMatchObject({ status: 'Sending' });
+    expect(Mailer.sentMessages).toHaveLength(2);
+  });
+});
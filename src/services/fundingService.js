@@ -0,0 +1,298 @@
+// src/services/fundingService.js
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const AppError = require('../utils/appError');
+const { roundCurrency } = require('../utils/money');
+
+const HOLDING_STATUSES = ['Active', 'Pending'];
+
+class FundingService {
+  // Close every round that ended and finish refunds of failed rounds
+  static async processRounds(limit = 100) {
+    const now = new Date();
+    const summary = { closed: 0, failed: 0, refunded: 0 };
+
+    // Rounds end with their window, when sold out, or once the hard cap is reached
+    const due = await Property.find({
+      status: 'Funding',
+      $or: [
+        { investmentWindowEnd: { $lt: now } },
+        { availableTokens: { $lte: 0 } },
+        {
+          'fundingTarget.hardCap': { $gt: 0 },
+          $expr: {
+            $gte: [
+              { $multiply: [{ $subtract: ['$totalTokens', '$availableTokens'] }, '$tokenPrice'] },
+              '$fundingTarget.hardCap'
+            ]
+          }
+        }
+      ]
+    })
+      .sort('investmentWindowEnd')
+      .limit(limit);
+
+    for (const property of due) {
+      try {
+        const closed = await this.closeRound(property);
+
+        if (!closed) continue;
+
+        if (closed.status === 'Closed') {
+          summary.closed += 1;
+        } else {
+          summary.failed += 1;
+          summary.refunded += await this.refundRound(closed);
+        }
+      } catch (error) {
+        console.error(`Failed to close funding round of property ${property._id}: ${error.message}`);
+      }
+    }
+
+    // Retry refunds that did not all go through
+    const unfinished = await Property.find({
+      status: 'Failed',
+      'fundingRound.refundsCompletedAt': null
+    }).limit(limit);
+
+    for (const property of unfinished) {
+      try {
+        summary.refunded += await this.refundRound(property);
+      } catch (error) {
+        console.error(`Failed to refund funding round of property ${property._id}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  // Record the outcome of a round; returns null if an investment or another run changed it first
+  static async closeRound(property) {
+    const succeeded = property.softCapReached();
+
+    const closed = await Property.findOneAndUpdate(
+      { _id: property._id, status: 'Funding', availableTokens: property.availableTokens },
+      {
+        $set: {
+          status: succeeded ? 'Closed' : 'Failed',
+          fundingRound: {
+            outcome: succeeded ? 'Succeeded' : 'Failed',
+            amountRaised: property.amountRaised,
+            closedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (closed && succeeded) {
+      const investors = await Investment.distinct('user', {
+        property: closed._id,
+        status: { $in: ['Active', 'Pending'] }
+      });
+
+      for (const investorId of investors) {
+        await NotificationService.notifyFundingClosed(investorId, closed);
+      }
+    }
+
+    return closed;
+  }
+
+  // Refund every holding of a failed round; returns how many were refunded.
+  // Holdings are refunded rather than purchases, so tokens bought on the marketplace
+  // or merged from several purchases are paid back to whoever holds them now.
+  static async refundRound(property) {
+    const holdingFilter = { property: property._id, status: { $in: HOLDING_STATUSES } };
+    const holdings = await Investment.find(holdingFilter);
+
+    let refunded = 0;
+
+    for (const investment of holdings) {
+      try {
+        const refund = await this.refundHolding(investment, property, {
+          reason: 'Funding round did not reach its soft cap'
+        });
+
+        if (refund) {
+          refunded += 1;
+          await NotificationService.notifyFundingRefunded(investment.user._id, property, refund);
+        }
+      } catch (error) {
+        console.error(`Failed to refund investment ${investment._id}: ${error.message}`);
+      }
+    }
+
+    const remaining = await Investment.countDocuments(holdingFilter);
+
+    if (remaining === 0) {
+      await Property.updateOne(
+        { _id: property._id },
+        { $set: { 'fundingRound.refundsCompletedAt': new Date() } }
+      );
+    }
+
+    return refunded;
+  }
+
+  // Pay a holding of a failed round back at the round's token price and return its tokens, atomically.
+  // The funding account holds that price for every token sold, whoever holds the token now.
+  static async refundHolding(investment, property, { reason } = {}) {
+    const amount = roundCurrency(investment.tokensPurchased * property.tokenPrice);
+
+    return LedgerService.runInTransaction(async (session) => {
+      // Skips holdings refunded by an earlier run or traded since they were read; a later run retries the latter
+      const refundedInvestment = await Investment.findOneAndUpdate(
+        {
+          _id: investment._id,
+          status: { $in: HOLDING_STATUSES },
+          tokensPurchased: investment.tokensPurchased
+        },
+        { $set: { status: 'Refunded' } },
+        { session }
+      );
+
+      if (!refundedInvestment) {
+        return null;
+      }
+
+      // Primary purchases behind the holding; marketplace purchases were paid to another investor
+      const purchaseIds = await Transaction.distinct('_id', {
+        type: 'Investment Purchase',
+        status: 'Completed',
+        'metadata.trade': { $exists: false },
+        'relatedEntity.entityId': investment._id
+      }).session(session);
+
+      await Transaction.updateMany(
+        { _id: { $in: purchaseIds } },
+        { $set: { status: 'Refunded' } },
+        { session }
+      );
+
+      const [refund] = await Transaction.create([{
+        user: investment.user._id,
+        type: 'Investment Sale',
+        amount,
+        status: 'Completed',
+        description: `Refund of investment in ${property.title}`,
+        relatedEntity: { entityType: 'Investment', entityId: investment._id },
+        completedAt: new Date(),
+        metadata: {
+          refundedTransactions: purchaseIds,
+          refundReason: reason,
+          tokensDelivered: Boolean(refundedInvestment.blockchainTransactionHash)
+        }
+      }], { session });
+
+      await LedgerService.transfer({
+        from: LedgerService.propertyFunding(property._id),
+        to: LedgerService.userWallet(investment.user._id),
+        amount,
+        description: `Refund of investment in ${property.title}`,
+        transactions: [...purchaseIds, refund._id]
+      }, session);
+
+      await this.releaseTokens(property._id, refundedInvestment.tokensPurchased, session);
+
+      await User.updateOne(
+        { _id: investment.user._id },
+        { $inc: { totalInvestments: -refundedInvestment.investmentAmount } },
+        { session }
+      );
+
+      return refund;
+    });
+  }
+
+  // Return a single purchase to the investor's wallet and its tokens to the property, atomically.
+  // Refuses investments traded or bought into again since, as they no longer match the purchase.
+  static async refundPurchase(purchase, property, { reason, refundedBy } = {}) {
+    return LedgerService.runInTransaction(async (session) => {
+      const refundedPurchase = await Transaction.findOneAndUpdate(
+        { _id: purchase._id, status: 'Completed' },
+        { $set: { status: 'Refunded' } },
+        { new: true, session }
+      );
+
+      // Already refunded by an earlier run
+      if (!refundedPurchase) {
+        return null;
+      }
+
+      // Refunded investments are no longer settled on chain
+      const investment = await Investment.findOneAndUpdate(
+        {
+          _id: purchase.relatedEntity.entityId,
+          status: { $in: HOLDING_STATUSES },
+          investmentAmount: purchase.amount
+        },
+        { $set: { status: 'Refunded' } },
+        { session }
+      );
+
+      if (!investment) {
+        throw new AppError('The investment was sold or traded since the purchase and cannot be refunded', 409);
+      }
+
+      const [refund] = await Transaction.create([{
+        user: purchase.user._id,
+        type: 'Investment Sale',
+        amount: purchase.amount,
+        status: 'Completed',
+        description: `Refund of investment in ${property.title}`,
+        relatedEntity: purchase.relatedEntity,
+        completedAt: new Date(),
+        metadata: {
+          refundedTransaction: purchase._id,
+          refundReason: reason,
+          refundedBy,
+          // Tokens already delivered on chain stay with the investor and need manual recovery
+          tokensDelivered: Boolean(investment.blockchainTransactionHash)
+        }
+      }], { session });
+
+      await LedgerService.transfer({
+        from: LedgerService.propertyFunding(property._id),
+        to: LedgerService.userWallet(purchase.user._id),
+        amount: purchase.amount,
+        description: `Refund of investment in ${property.title}`,
+        transactions: [purchase._id, refund._id]
+      }, session);
+
+      await this.releaseTokens(property._id, investment.tokensPurchased, session);
+
+      await User.updateOne(
+        { _id: purchase.user._id },
+        { $inc: { totalInvestments: -purchase.amount } },
+        { session }
+      );
+
+      return refund;
+    });
+  }
+
+  // Put refunded tokens back on offer
+  static async releaseTokens(propertyId, tokens, session) {
+    await Property.updateOne(
+      { _id: propertyId },
+      [
+        { $set: { availableTokens: { $add: ['$availableTokens', tokens] } } },
+        {
+          $set: {
+            fundingPercentage: {
+              $divide: [{ $subtract: ['$totalTokens', '$availableTokens'] }, '$totalTokens']
+            }
+          }
+        }
+      ],
+      { session }
+    );
+  }
+}
+
+module.exports = FundingService;
@@ -0,0 +1,265 @@
+// src/services/fundingService.test.js
+const mongoose = require('mongoose');
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const FundingService = require('./fundingService');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+
+const SESSION = {};
+
+// 600 of 1,000 tokens sold at 50 USD: 30,000 USD raised
+const fundingProperty = (softCap) => new Property({
+  title: 'Harbour Lofts',
+  status: 'Funding',
+  totalTokens: 1000,
+  availableTokens: 400,
+  tokenPrice: 50,
+  fundingTarget: { softCap, hardCap: 50000 }
+});
+
+describe('FundingService.closeRound', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('closes a round that reached its soft cap and notifies investors', async () => {
+    const property = fundingProperty(25000);
+    const investors = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+    jest.spyOn(Property, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      _id: property._id,
+      ...update.$set
+    }));
+    jest.spyOn(Investment, 'distinct').mockResolvedValue(investors);
+    jest.spyOn(NotificationService, 'notifyFundingClosed').mockResolvedValue();
+
+    const closed = await FundingService.closeRound(property);
+
+    expect(closed.status).toBe('Closed');
+    expect(closed.fundingRound).toMatchObject({ outcome: 'Succeeded', amountRaised: 30000 });
+    // Only closes the round if no purchase changed it since it was read
+    expect(Property.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: property._id,
+      status: 'Funding',
+      availableTokens: 400
+    });
+    expect(NotificationService.notifyFundingClosed).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails a round that missed its soft cap', async () => {
+    const property = fundingProperty(40000);
+
+    jest.spyOn(Property, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      _id: property._id,
+      ...update.$set
+    }));
+    jest.spyOn(NotificationService, 'notifyFundingClosed');
+
+    const closed = await FundingService.closeRound(property);
+
+    expect(closed.status).toBe('Failed');
+    expect(closed.fundingRound.outcome).toBe('Failed');
+    expect(NotificationService.notifyFundingClosed).not.toHaveBeenCalled();
+  });
+});
+
+describe('FundingService.refundPurchase', () => {
+  const property = fundingProperty(40000);
+  const userId = new mongoose.Types.ObjectId();
+  const investmentId = new mongoose.Types.ObjectId();
+  const purchase = {
+    _id: new mongoose.Types.ObjectId(),
+    user: { _id: userId },
+    amount: 500,
+    relatedEntity: { entityType: 'Investment', entityId: investmentId }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(LedgerService, 'runInTransaction').mockImplementation(work => work(SESSION));
+    jest.spyOn(LedgerService, 'transfer').mockResolvedValue({});
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue({ ...purchase, status: 'Refunded' });
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([refund]) => [{ _id: new mongoose.Types.ObjectId(), ...refund }]);
+    jest.spyOn(Investment, 'findOneAndUpdate').mockResolvedValue({ _id: investmentId, tokensPurchased: 10 });
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the money, cancels the investment and releases its tokens', async () => {
+    const refund = await FundingService.refundPurchase(purchase, property, { reason: 'Soft cap missed' });
+
+    expect(refund).toMatchObject({
+      type: 'Investment Sale',
+      amount: 500,
+      metadata: { refundedTransaction: purchase._id, refundReason: 'Soft cap missed', tokensDelivered: false }
+    });
+    expect(Investment.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: investmentId, status: { $in: ['Active', 'Pending'] }, investmentAmount: 500 },
+      { $set: { status: 'Refunded' } },
+      { session: SESSION }
+    );
+    expect(LedgerService.transfer).toHaveBeenCalledWith(expect.objectContaining({
+      from: LedgerService.propertyFunding(property._id),
+      to: LedgerService.userWallet(userId),
+      amount: 500,
+      transactions: [purchase._id, refund._id]
+    }), SESSION);
+    expect(Property.updateOne.mock.calls[0][1][0]).toEqual({
+      $set: { availableTokens: { $add: ['$availableTokens', 10] } }
+    });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $inc: { totalInvestments: -500 } },
+      { session: SESSION }
+    );
+  });
+
+  test('does nothing for a purchase refunded before', async () => {
+    Transaction.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await FundingService.refundPurchase(purchase, property)).toBeNull();
+    expect(LedgerService.transfer).not.toHaveBeenCalled();
+  });
+
+  test('refuses investments traded since the purchase', async () => {
+    Investment.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(FundingService.refundPurchase(purchase, property))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(LedgerService.transfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('FundingService.refundRound', () => {
+  const property = fundingProperty(40000);
+  const holdings = [
+    { _id: new mongoose.Types.ObjectId(), user: { _id: new mongoose.Types.ObjectId() } },
+    { _id: new mongoose.Types.ObjectId(), user: { _id: new mongoose.Types.ObjectId() } }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Investment, 'find').mockResolvedValue(holdings);
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({});
+    jest.spyOn(NotificationService, 'notifyFundingRefunded').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refunds every holding and marks the round refunded', async () => {
+    jest.spyOn(FundingService, 'refundHolding').mockResolvedValue({ amount: 500 });
+    jest.spyOn(Investment, 'countDocuments').mockResolvedValue(0);
+
+    expect(await FundingService.refundRound(property)).toBe(2);
+    expect(Investment.find).toHaveBeenCalledWith({ property: property._id, status: { $in: ['Active', 'Pending'] } });
+    expect(NotificationService.notifyFundingRefunded).toHaveBeenCalledWith(holdings[1].user._id, property, { amount: 500 });
+    expect(Property.updateOne).toHaveBeenCalledWith(
+      { _id: property._id },
+      { $set: { 'fundingRound.refundsCompletedAt': expect.any(Date) } }
+    );
+  });
+
+  test('leaves the round open for a retry when a refund fails', async () => {
+    jest.spyOn(FundingService, 'refundHolding')
+      .mockResolvedValueOnce({ amount: 500 })
+      .mockRejectedValueOnce(new Error('Write conflict'));
+    jest.spyOn(Investment, 'countDocuments').mockResolvedValue(1);
+
+    expect(await FundingService.refundRound(property)).toBe(1);
+    expect(Property.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('FundingService.refundHolding', () => {
+  const property = fundingProperty(40000);
+  const userId = new mongoose.Types.ObjectId();
+  const purchaseIds = [new mongoose.Types.ObjectId()];
+
+  // 6 tokens bought in the offering for 300 and 4 more on the marketplace for 240
+  const holding = {
+    _id: new mongoose.Types.ObjectId(),
+    user: { _id: userId },
+    tokensPurchased: 10,
+    investmentAmount: 540
+  };
+
+  beforeEach(() => {
+    jest.spyOn(LedgerService, 'runInTransaction').mockImplementation(work => work(SESSION));
+    jest.spyOn(LedgerService, 'transfer').mockResolvedValue({});
+    jest.spyOn(Investment, 'findOneAndUpdate').mockResolvedValue(holding);
+    jest.spyOn(Transaction, 'distinct').mockReturnValue({ session: async () => purchaseIds });
+    jest.spyOn(Transaction, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Transaction, 'create').mockImplementation(async ([refund]) => [{ _id: new mongoose.Types.ObjectId(), ...refund }]);
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays a traded holding back at the round price', async () => {
+    const refund = await FundingService.refundHolding(holding, property, { reason: 'Soft cap missed' });
+
+    expect(refund).toMatchObject({
+      user: userId,
+      type: 'Investment Sale',
+      amount: 500,
+      metadata: { refundedTransactions: purchaseIds, refundReason: 'Soft cap missed', tokensDelivered: false }
+    });
+    expect(Investment.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: holding._id, status: { $in: ['Active', 'Pending'] }, tokensPurchased: 10 },
+      { $set: { status: 'Refunded' } },
+      { session: SESSION }
+    );
+    // Only the primary purchases; the marketplace purchase was paid to the seller
+    expect(Transaction.distinct.mock.calls[0][1]).toMatchObject({ 'metadata.trade': { $exists: false } });
+    expect(Transaction.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: purchaseIds } },
+      { $set: { status: 'Refunded' } },
+      { session: SESSION }
+    );
+    expect(LedgerService.transfer).toHaveBeenCalledWith(expect.objectContaining({
+      from: LedgerService.propertyFunding(property._id),
+      to: LedgerService.userWallet(userId),
+      amount: 500,
+      transactions: [...purchaseIds, refund._id]
+    }), SESSION);
+    expect(Property.updateOne.mock.calls[0][1][0]).toEqual({
+      $set: { availableTokens: { $add: ['$availableTokens', 10] } }
+    });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $inc: { totalInvestments: -540 } },
+      { session: SESSION }
+    );
+  });
+
+  test('pays holders who bought only on the marketplace', async () => {
+    Transaction.distinct.mockReturnValue({ session: async () => [] });
+
+    const refund = await FundingService.refundHolding(holding, property);
+
+    expect(refund.amount).toBe(500);
+    expect(LedgerService.transfer).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 500, transactions: [refund._id] }),
+      SESSION
+    );
+  });
+
+  test('skips a holding refunded or traded since it was read', async () => {
+    Investment.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await FundingService.refundHolding(holding, property)).toBeNull();
+    expect(Transaction.create).not.toHaveBeenCalled();
+    expect(LedgerService.transfer).not.toHaveBeenCalled();
+  });
+});
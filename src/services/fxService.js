@@ -0,0 +1,102 @@
+// src/services/fxService.js
+const env = require('../config/env');
+const StaticRateProvider = require('../fx/staticRateProvider');
+const HttpRateProvider = require('../fx/httpRateProvider');
+const AppError = require('../utils/appError');
+const { roundAmount } = require('../utils/money');
+
+const PROVIDERS = {
+  static: StaticRateProvider,
+  http: HttpRateProvider
+};
+
+class FxService {
+  static provider = null;
+  static cache = null;
+
+  // The configured rate provider
+  static getProvider() {
+    if (!this.provider) {
+      if (!PROVIDERS[env.FX_PROVIDER]) {
+        throw new Error(`Unknown FX provider: ${env.FX_PROVIDER}`);
+      }
+
+      this.provider = new PROVIDERS[env.FX_PROVIDER]();
+    }
+
+    return this.provider;
+  }
+
+  // USD price of every quoted currency, cached for FX_RATES_TTL seconds
+  static async getUsdRates() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache;
+    }
+
+    const provider = this.getProvider();
+    let rates;
+
+    try {
+      rates = await provider.getUsdRates();
+    } catch (error) {
+      console.error('FX rate refresh failed:', error.message);
+
+      // Keep quoting stale rates rather than failing every conversion
+      if (this.cache) {
+        return this.cache;
+      }
+
+      throw new AppError('Exchange rates are unavailable, please try again later', 503);
+    }
+
+    this.cache = {
+      provider: provider.name,
+      rates,
+      fetchedAt: new Date(),
+      expiresAt: Date.now() + env.FX_RATES_TTL * 1000
+    };
+
+    return this.cache;
+  }
+
+  // Units of `to` received for one unit of `from`
+  static async getRate(from, to) {
+    const { rates, provider, fetchedAt } = await this.getUsdRates();
+
+    if (!rates[from] || !rates[to]) {
+      throw new AppError(`No exchange rate available for ${from}/${to}`);
+    }
+
+    return {
+      rate: from === to ? 1 : rates[from] / rates[to],
+      provider,
+      fetchedAt
+    };
+  }
+
+  // Convert an amount, rounded to the precision of `to`, along with the quote used
+  static async convert(amount, from, to) {
+    const quote = await this.getRate(from, to);
+
+    return {
+      amount: roundAmount(amount * quote.rate, to),
+      ...quote
+    };
+  }
+
+  // Convert every numeric field of an object, e.g. portfolio totals for display
+  static async convertValues(values, from, to) {
+    const { rate, provider, fetchedAt } = await this.getRate(from, to);
+    const converted = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      if (typeof value === 'number') {
+        converted[key] = roundAmount(value * rate, to);
+      }
+    }
+
+    return { currency: to, rate, provider, quotedAt: fetchedAt, ...converted };
+  }
+}
+
+module.exports = FxService;
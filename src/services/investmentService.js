@@ -3,18 +3,59 @@ const Investment = require('../models/Investment');
 const Property = require('../models/Property');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const MarketplaceService = require('./marketplaceService');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const EligibilityService = require('./eligibilityService');
+const ChainTrackerService = require('./chainTrackerService');
+const WalletService = require('./walletService');
+const FxService = require('./fxService');
+const ChainTransaction = require('../models/ChainTransaction');
+const AppError = require('../utils/appError');
+const QueryBuilder = require('../utils/queryBuilder');
+const { roundCurrency } = require('../utils/money');
 const blockchainService = require('../utils/blockchain');
 
+// What clients may filter, sort and select when listing investments
+const INVESTMENT_LISTING = {
+  filters: ['property', 'status', 'tokensPurchased', 'investmentAmount', 'currentValue', 'purchaseDate'],
+  sorts: ['purchaseDate', 'investmentAmount', 'currentValue', 'tokensPurchased'],
+  fields: [
+    'property',
+    'tokensPurchased',
+    'investmentAmount',
+    'tokenPrice',
+    'purchaseDate',
+    'status',
+    'currentValue',
+    'blockchainTransactionHash',
+    'dividends',
+    'sellOrders'
+  ],
+  defaultSort: '-purchaseDate',
+  defaultLimit: 20
+};
+
+const DIVIDEND_TYPES = ['Rental', 'Appreciation', 'Other'];
+
+// A settlement attempt still locked after this long is assumed to have crashed
+const SETTLEMENT_LOCK_MS = 10 * 60 * 1000;
+
 class InvestmentService {
-  // Get user investments
-  static async getUserInvestments(userId) {
-    // Get investments
-    const investments = await Investment.find({ user: userId });
+  // Get user investments with the filters, sorting and fields clients may use
+  static async getUserInvestments(userId, query = {}) {
+    const { documents, pagination } = await QueryBuilder.list(
+      Investment,
+      query,
+      INVESTMENT_LISTING,
+      { user: userId }
+    );
     
     // Calculate investment stats
     const stats = await Investment.calculateUserTotalInvestment(userId);
+    const displayStats = await this.getDisplayValues(userId, stats);
     
-    return { investments, stats };
+    return { investments: documents, stats, displayStats, pagination };
   }
 
   // Get investment by ID
@@ -22,12 +63,12 @@ class InvestmentService {
     const investment = await Investment.findById(investmentId);
     
     if (!investment) {
-      throw new Error('Investment not found');
+      throw new AppError('Investment not found', 404);
     }
     
     // Check if user is the owner of the investment
     if (investment.user._id.toString() !== userId) {
-      throw new Error('You do not have permission to view this investment');
+      throw new AppError('You do not have permission to view this investment', 403);
     }
     
     return investment;
@@ -39,131 +80,266 @@ class InvestmentService {
     const property = await Property.findById(investmentData.property);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('No property found with that ID', 404);
     }
     
     // Check if property is open for investment
     if (!property.isInvestmentOpen()) {
-      throw new Error('This property is not open for investment at this time');
+      throw new AppError('This property is not open for investment at this time');
     }
     
-    // Calculate tokens and amount
-    const tokensPurchased = investmentData.tokensPurchased || 
-      Math.floor(investmentData.investmentAmount / property.tokenPrice);
+    // The price is always the property's; a client amount is only accepted if it agrees
+    const tokensPurchased = Number(investmentData.tokensPurchased);
     
-    const investmentAmount = investmentData.investmentAmount || 
-      (tokensPurchased * property.tokenPrice);
+    if (!Number.isInteger(tokensPurchased) || tokensPurchased <= 0) {
+      throw new AppError('Invalid number of tokens requested');
+    }
+    
+    const investmentAmount = roundCurrency(tokensPurchased * property.tokenPrice);
     
-    if (tokensPurchased <= 0) {
-      throw new Error('Invalid number of tokens requested');
+    if (investmentData.investmentAmount !== undefined &&
+      roundCurrency(Number(investmentData.investmentAmount)) !== investmentAmount) {
+      throw new AppError(`${tokensPurchased} tokens cost ${investmentAmount} at the current token price`);
     }
     
     // Check if enough tokens are available
     if (tokensPurchased > property.availableTokens) {
-      throw new Error(`Only ${property.availableTokens} tokens available`);
+      throw new AppError(`Only ${property.availableTokens} tokens available`);
+    }
+    
+    // Check the round's hard cap
+    if (tokensPurchased > property.tokensUntilHardCap()) {
+      throw new AppError(`Only ${property.tokensUntilHardCap()} tokens remain before this round reaches its hard cap`);
     }
     
     // Check minimum investment requirement
     if (investmentAmount < property.minInvestment) {
-      throw new Error(`Minimum investment amount is ${property.minInvestment}`);
+      throw new AppError(`Minimum investment amount is ${property.minInvestment}`);
     }
     
     // Check if user has sufficient wallet balance
     const user = await User.findById(userId);
     
     if (user.walletBalance < investmentAmount) {
-      throw new Error('Insufficient wallet balance');
+      throw new AppError('Insufficient wallet balance');
     }
     
-    // Create investment
-    const newInvestment = await Investment.create({
-      user: userId,
-      property: property._id,
-      tokensPurchased,
-      investmentAmount,
-      tokenPrice: property.tokenPrice,
-      status: 'Active'
-    });
-    
-    // Update property's available tokens
-    property.availableTokens -= tokensPurchased;
-    
-    // Update funding percentage
-    property.fundingPercentage = (property.totalTokens - property.availableTokens) / property.totalTokens;
-    
-    await property.save();
-    
-    // Update user's wallet balance
-    user.walletBalance -= investmentAmount;
-    user.totalInvestments += investmentAmount;
-    await user.save();
-    
-    // Create transaction record
-    await Transaction.create({
-      user: userId,
-      type: 'Investment Purchase',
-      amount: investmentAmount,
-      status: 'Completed',
-      description: `Investment in ${property.title}`,
-      relatedEntity: {
-        entityType: 'Investment',
-        entityId: newInvestment._id
-      },
-      completedAt: Date.now()
+    // Reserve tokens, record the investment and move funds atomically
+    const newInvestment = await LedgerService.runInTransaction(async (session) => {
+      // Offering rules, checked against the purchases this transaction can see
+      await EligibilityService.assertEligible(user, property, {
+        tokens: tokensPurchased,
+        amount: investmentAmount
+      }, session);
+      
+      const reservedProperty = await Property.findOneAndUpdate(
+        {
+          _id: property._id,
+          status: 'Funding',
+          availableTokens: { $gte: tokensPurchased },
+          ...Property.withinHardCap(tokensPurchased)
+        },
+        { $inc: { availableTokens: -tokensPurchased } },
+        { new: true, session }
+      );
+      
+      if (!reservedProperty) {
+        throw new AppError('Not enough tokens available');
+      }
+      
+      // Update funding percentage
+      reservedProperty.fundingPercentage = 
+        (reservedProperty.totalTokens - reservedProperty.availableTokens) / reservedProperty.totalTokens;
+      await reservedProperty.save({ session });
+      
+      const [investment] = await Investment.create([{
+        user: userId,
+        property: property._id,
+        tokensPurchased,
+        investmentAmount,
+        tokenPrice: property.tokenPrice,
+        // Tokenized purchases become active once the tokens reach the buyer
+        status: property.blockchainTokenAddress ? 'Pending' : 'Active'
+      }], { session });
+      
+      // Create transaction record
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type: 'Investment Purchase',
+        amount: investmentAmount,
+        status: 'Completed',
+        description: `Investment in ${property.title}`,
+        relatedEntity: {
+          entityType: 'Investment',
+          entityId: investment._id
+        },
+        completedAt: Date.now()
+      }], { session });
+      
+      // Debit user's wallet
+      await LedgerService.transfer({
+        from: LedgerService.userWallet(userId),
+        to: LedgerService.propertyFunding(property._id),
+        amount: investmentAmount,
+        description: `Investment in ${property.title}`,
+        transactions: [transaction._id]
+      }, session);
+      
+      await User.updateOne(
+        { _id: userId },
+        { $inc: { totalInvestments: investmentAmount } },
+        { session }
+      );
+      
+      return investment;
     });
     
-    // If property has blockchain token, record on blockchain
+    // If property has blockchain token, deliver the tokens on chain
     if (property.blockchainTokenAddress) {
-      try {
-        // This would integrate with blockchain service
-        // const txHash = await blockchainService.transferTokens(...);
-        // newInvestment.blockchainTransactionHash = txHash;
-        // await newInvestment.save();
-      } catch (error) {
-        console.error('Blockchain transaction failed:', error);
-        // Still proceed with investment despite blockchain failure
-      }
+      return (await this.settleInvestment(newInvestment._id)) || newInvestment;
     }
     
     return newInvestment;
   }
 
-  // Create sell order
-  static async createSellOrder(investmentId, orderData, userId) {
-    const investment = await Investment.findById(investmentId);
+  // Transfer purchased tokens from the platform wallet to the buyer.
+  // Failures leave the investment pending and schedule a retry.
+  static async settleInvestment(investmentId) {
+    const now = new Date();
+    
+    // Claim the investment so that two runs never send the same tokens
+    const investment = await Investment.findOneAndUpdate(
+      {
+        _id: investmentId,
+        status: 'Pending',
+        blockchainTransactionHash: null,
+        $or: [
+          { 'settlement.lockedAt': null },
+          { 'settlement.lockedAt': { $lt: new Date(now.getTime() - SETTLEMENT_LOCK_MS) } }
+        ]
+      },
+      {
+        $set: { 'settlement.lockedAt': now, 'settlement.lastAttemptAt': now },
+        $inc: { 'settlement.attempts': 1 }
+      },
+      { new: true }
+    );
     
     if (!investment) {
-      throw new Error('Investment not found');
+      return null;
     }
     
-    // Check if user is the owner of the investment
-    if (investment.user._id.toString() !== userId) {
-      throw new Error('You do not have permission to sell this investment');
+    const update = { $unset: { 'settlement.lockedAt': '' } };
+    
+    try {
+      // A previous attempt may have broadcast before it could record the hash
+      let chainTransaction = await ChainTransaction.findOne({
+        'relatedEntity.entityType': 'Investment',
+        'relatedEntity.entityId': investment._id,
+        status: { $in: ['Pending', 'Confirmed'] }
+      });
+      
+      if (!chainTransaction) {
+        chainTransaction = await this.sendInvestmentTokens(investment);
+      }
+      
+      update.$set = { blockchainTransactionHash: chainTransaction.hash };
+      update.$unset['settlement.lastError'] = '';
+      update.$unset['settlement.nextAttemptAt'] = '';
+    } catch (error) {
+      console.error(`Token settlement failed for investment ${investment._id}: ${error.message}`);
+      
+      update.$set = {
+        'settlement.lastError': error.message,
+        'settlement.nextAttemptAt': new Date(Date.now() + this.settlementRetryDelay(investment.settlement.attempts))
+      };
     }
     
-    // Check if investment is active
-    if (investment.status !== 'Active') {
-      throw new Error('Only active investments can be sold');
+    // Update in place; the chain tracker may already have activated the investment
+    await Investment.updateOne({ _id: investment._id }, update);
+    
+    return Investment.findById(investment._id);
+  }
+  
+  // Broadcast the token transfer for an investment and start tracking it
+  static async sendInvestmentTokens(investment) {
+    const property = await Property.findById(investment.property._id)
+      .select('blockchainTokenAddress');
+    
+    if (!property || !property.blockchainTokenAddress) {
+      throw new Error('Property is not tokenized');
     }
     
-    // Validate sell order quantity
-    const quantity = parseInt(orderData.quantity);
+    const user = await User.findById(investment.user._id)
+      .select('walletAddress verificationStatus');
+    
+    let { walletAddress } = user;
     
-    if (isNaN(quantity) || quantity <= 0 || quantity > investment.tokensPurchased) {
-      throw new Error(`Invalid quantity. You can sell up to ${investment.tokensPurchased} tokens.`);
+    // Verified users whose wallet provisioning failed get one now
+    if (!walletAddress && user.verificationStatus === 'verified') {
+      ({ address: walletAddress } = await WalletService.provisionCustodialWallet(user._id));
     }
     
-    // Add sell order to investment
-    investment.sellOrders.push({
-      quantity,
-      price: orderData.price,
-      date: new Date(),
-      status: 'Open'
-    });
+    if (!walletAddress) {
+      throw new Error('Buyer has no wallet address yet');
+    }
     
-    await investment.save();
+    const platformAccount = blockchainService.getPlatformAccount();
+    
+    const result = await blockchainService.transferTokens(
+      property.blockchainTokenAddress,
+      platformAccount.address,
+      walletAddress,
+      investment.tokensPurchased,
+      platformAccount.privateKey,
+      { waitForReceipt: false }
+    );
+    
+    // The tracker activates the investment once the transfer is final
+    return ChainTrackerService.track(result.transactionHash, {
+      type: 'token_transfer',
+      from: platformAccount.address,
+      to: walletAddress,
+      nonce: result.nonce,
+      rawTransaction: result.rawTransaction,
+      relatedEntity: {
+        entityType: 'Investment',
+        entityId: investment._id
+      }
+    });
+  }
+  
+  // Minutes to wait before the next settlement attempt, capped at an hour
+  static settlementRetryDelay(attempts) {
+    return Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+  }
+  
+  // Retry every pending investment whose settlement is due
+  static async settlePendingInvestments(limit = 50) {
+    const due = await Investment.find({
+      status: 'Pending',
+      blockchainTransactionHash: null,
+      $or: [
+        { 'settlement.nextAttemptAt': null },
+        { 'settlement.nextAttemptAt': { $lte: new Date() } }
+      ]
+    })
+      .select('_id')
+      .sort('settlement.nextAttemptAt')
+      .limit(limit);
+    
+    const summary = { attempted: 0, settled: 0 };
+    
+    for (const { _id } of due) {
+      const investment = await this.settleInvestment(_id);
+      
+      if (investment) {
+        summary.attempted += 1;
+        if (investment.blockchainTransactionHash) summary.settled += 1;
+      }
+    }
     
-    return investment.sellOrders[investment.sellOrders.length - 1];
+    return summary;
   }
 
   // Cancel sell order
@@ -174,24 +350,24 @@ class InvestmentService {
     });
     
     if (!investment) {
-      throw new Error('Investment or sell order not found');
+      throw new AppError('Investment or sell order not found', 404);
     }
     
     // Check if user is the owner of the investment
     if (investment.user._id.toString() !== userId) {
-      throw new Error('You do not have permission to cancel this sell order');
+      throw new AppError('You do not have permission to cancel this sell order', 403);
     }
     
     // Find the sell order
     const sellOrder = investment.sellOrders.id(orderId);
     
     if (!sellOrder) {
-      throw new Error('Sell order not found');
+      throw new AppError('Sell order not found', 404);
     }
     
     // Check if sell order is still open
     if (sellOrder.status !== 'Open') {
-      throw new Error(`Cannot cancel order with status: ${sellOrder.status}`);
+      throw new AppError(`Cannot cancel order with status: ${sellOrder.status}`);
     }
     
     // Update sell order status
@@ -201,80 +377,89 @@ class InvestmentService {
     return sellOrder;
   }
 
-  // Update investment value
-  static async updateInvestmentValue(investmentId, newValue, userId) {
-    const investment = await Investment.findById(investmentId);
-    
-    if (!investment) {
-      throw new Error('Investment not found');
-    }
-    
-    // Check if user has permission (property owner or admin)
-    const property = await Property.findById(investment.property);
+  // Add dividend to investment
+  static async addDividend(investmentId, dividendData, user) {
+    const amount = roundCurrency(Number(dividendData.amount));
+    const type = dividendData.type || 'Rental';
     
-    if (!property) {
-      throw new Error('Property not found');
+    // Rejected before the ledger, which only accepts positive amounts
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Dividend amount must be a positive number');
     }
     
-    if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to update this investment value');
+    if (!DIVIDEND_TYPES.includes(type)) {
+      throw new AppError(`Dividend type must be one of: ${DIVIDEND_TYPES.join(', ')}`);
     }
     
-    // Update the current value
-    investment.currentValue = newValue;
-    await investment.save();
-    
-    return investment;
-  }
-
-  // Add dividend to investment
-  static async addDividend(investmentId, dividendData, userId) {
     const investment = await Investment.findById(investmentId);
     
     if (!investment) {
-      throw new Error('Investment not found');
+      throw new AppError('No investment found with that ID', 404);
     }
     
     // Check if user has permission (property owner or admin)
     const property = await Property.findById(investment.property);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
-    if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to add dividends');
+    if (property.owner.toString() !== user.id && user.role !== 'admin') {
+      throw new AppError('You do not have permission to add dividends', 403);
     }
     
-    // Add dividend to investment
-    investment.dividends.push({
-      amount: dividendData.amount,
-      date: new Date(),
-      type: dividendData.type || 'Rental'
+    // Record dividend and credit user's wallet atomically
+    const dividend = await LedgerService.runInTransaction(async (session) => {
+      const dividendInvestment = await Investment.findById(investment._id).session(session);
+      
+      dividendInvestment.dividends.push({
+        amount,
+        date: new Date(),
+        type
+      });
+      
+      await dividendInvestment.save({ session });
+      
+      // Create transaction record for dividend
+      const [transaction] = await Transaction.create([{
+        user: investment.user._id,
+        type: 'Dividend',
+        amount,
+        status: 'Completed',
+        description: `Dividend payment for ${property.title}`,
+        relatedEntity: {
+          entityType: 'Investment',
+          entityId: investment._id
+        },
+        completedAt: Date.now()
+      }], { session });
+      
+      await LedgerService.transfer({
+        from: LedgerService.propertyDistributions(property._id),
+        to: LedgerService.userWallet(investment.user._id),
+        amount,
+        description: `Dividend payment for ${property.title}`,
+        transactions: [transaction._id]
+      }, session);
+      
+      return dividendInvestment.dividends[dividendInvestment.dividends.length - 1];
     });
-    
-    await investment.save();
-    
-    // Create transaction record for dividend
-    await Transaction.create({
-      user: investment.user,
-      type: 'Dividend',
-      amount: dividendData.amount,
-      status: 'Completed',
-      description: `Dividend payment for ${property.title}`,
-      relatedEntity: {
-        entityType: 'Investment',
-        entityId: investment._id
-      },
-      completedAt: Date.now()
+
+    await NotificationService.notifyDividendPaid(investment.user._id, {
+      investment: investment._id,
+      amount: dividend.amount,
+      type: dividend.type,
+      propertyTitle: property.title
     });
-    
-    // Update user's wallet balance
-    const user = await User.findById(investment.user);
-    user.walletBalance += dividendData.amount;
-    await user.save();
-    
-    return investment.dividends[investment.dividends.length - 1];
+
+    return dividend;
+  }
+
+  // Portfolio totals converted from USD into the user's display currency
+  static async getDisplayValues(userId, stats) {
+    const user = await User.findById(userId).select('displayCurrency');
+
+    return FxService.convertValues(stats, 'USD', (user && user.displayCurrency) || 'USD');
   }
 
   // Get investment statistics
@@ -360,15 +545,18 @@ class InvestmentService {
       }
     ]);
     
+    const totals = stats[0] || {
+      totalInvested: 0,
+      totalCurrentValue: 0,
+      avgInvestment: 0,
+      minInvestment: 0,
+      maxInvestment: 0
+    };
+    
     return {
       investmentCount,
-      stats: stats[0] || {
-        totalInvested: 0,
-        totalCurrentValue: 0,
-        avgInvestment: 0,
-        minInvestment: 0,
-        maxInvestment: 0
-      },
+      stats: totals,
+      displayStats: await this.getDisplayValues(userId, totals),
       categoryDistribution,
       monthlyReturns
     };
@@ -376,29 +564,7 @@ class InvestmentService {
 
   // Get active sell orders
   static async getActiveSellOrders() {
-    const investments = await Investment.find({
-      'sellOrders.status': 'Open'
-    });
-    
-    const activeSellOrders = [];
-    
-    investments.forEach(investment => {
-      investment.sellOrders.forEach(order => {
-        if (order.status === 'Open') {
-          activeSellOrders.push({
-            orderId: order._id,
-            investmentId: investment._id,
-            property: investment.property,
-            user: investment.user,
-            quantity: order.quantity,
-            price: order.price,
-            date: order.date
-          });
-        }
-      });
-    });
-    
-    return activeSellOrders;
+    return MarketplaceService.getOpenSellOrders();
   }
 }
 
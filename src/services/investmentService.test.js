@@ -0,0 +1,30 @@
+// src/services/investmentService.test.js
+const mongoose = require('mongoose');
+const Investment = require('../models/Investment');
+const LedgerService = require('./ledgerService');
+const InvestmentService = require('./investmentService');
+
+describe('InvestmentService.addDividend', () => {
+  const owner = { id: new mongoose.Types.ObjectId().toString(), role: 'user' };
+
+  beforeEach(() => {
+    jest.spyOn(Investment, 'findById');
+    jest.spyOn(LedgerService, 'runInTransaction');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([0, -5, 'abc', undefined, Infinity])('rejects an amount of %p before touching the ledger', async (amount) => {
+    await expect(InvestmentService.addDividend(new mongoose.Types.ObjectId(), { amount }, owner))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(LedgerService.runInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown dividend types', async () => {
+    await expect(InvestmentService.addDividend(new mongoose.Types.ObjectId(), { amount: 10, type: 'Bonus' }, owner))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Investment.findById).not.toHaveBeenCalled();
+  });
+});
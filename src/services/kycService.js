@@ -0,0 +1,267 @@
+// src/services/kycService.js
+const fs = require('fs');
+const path = require('path');
+const env = require('../config/env');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const WalletService = require('./walletService');
+const AppError = require('../utils/appError');
+
+const DOCUMENT_TYPES = ['passport', 'driver_license', 'national_id'];
+const INVESTOR_TYPES = ['individual', 'institutional', 'accredited'];
+
+class KycService {
+  // Submit KYC documents with their uploaded images
+  static async submitDocuments(userId, documents) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.verificationStatus === 'verified') {
+      throw new AppError('Your account is already verified');
+    }
+
+    documents.forEach(doc => {
+      if (!DOCUMENT_TYPES.includes(doc.type)) {
+        throw new AppError(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+      }
+
+      if (!doc.documentNumber) {
+        throw new AppError('Document number is required');
+      }
+
+      if (!/^[A-Za-z]{2}$/.test(doc.country || '')) {
+        throw new AppError('Document country must be a two-letter ISO code');
+      }
+    });
+
+    // Add documents to user profile
+    documents.forEach(doc => {
+      user.kycDocuments.push({
+        type: doc.type,
+        documentNumber: doc.documentNumber,
+        country: doc.country.toUpperCase(),
+        uploadDate: new Date(),
+        files: doc.files || [],
+        verificationStatus: 'pending'
+      });
+    });
+
+    // Update verification status
+    user.verificationStatus = 'pending';
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  // Map uploaded multer files to document file records
+  static toDocumentFiles(uploadedFiles = {}) {
+    return ['front', 'back']
+      .filter(side => uploadedFiles[side] && uploadedFiles[side][0])
+      .map(side => {
+        const file = uploadedFiles[side][0];
+
+        return {
+          side,
+          path: path.relative(path.resolve(env.UPLOAD_DIR), file.path),
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size
+        };
+      });
+  }
+
+  // Get current user's KYC status and documents
+  static async getKycStatus(userId) {
+    const user = await User.findById(userId)
+      .select('verificationStatus kycDocuments kycVerifiedAt');
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return {
+      verificationStatus: user.verificationStatus,
+      verifiedAt: user.kycVerifiedAt,
+      documents: user.kycDocuments
+    };
+  }
+
+  // Get users with documents waiting for review, oldest first
+  static async getReviewQueue() {
+    const users = await User.aggregate([
+      {
+        $match: { 'kycDocuments.verificationStatus': 'pending' }
+      },
+      {
+        $project: {
+          name: 1,
+          email: 1,
+          investorType: 1,
+          verificationStatus: 1,
+          pendingDocuments: {
+            $filter: {
+              input: '$kycDocuments',
+              as: 'doc',
+              cond: { $eq: ['$$doc.verificationStatus', 'pending'] }
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          oldestUpload: { $min: '$pendingDocuments.uploadDate' }
+        }
+      },
+      {
+        $sort: { oldestUpload: 1 }
+      }
+    ]);
+
+    return users;
+  }
+
+  // Approve or reject a single KYC document
+  static async reviewDocument(userId, documentId, reviewData, reviewerId) {
+    const { decision, reason, investorType } = reviewData;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      throw new AppError('Decision must be approve or reject');
+    }
+
+    if (investorType !== undefined && (decision !== 'approve' || !INVESTOR_TYPES.includes(investorType))) {
+      throw new AppError(`Investor type can only be set when approving, to one of: ${INVESTOR_TYPES.join(', ')}`);
+    }
+
+    if (decision === 'reject' && !reason) {
+      throw new AppError('A reason is required when rejecting a document');
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const document = user.kycDocuments.id(documentId);
+
+    if (!document) {
+      throw new AppError('Document not found', 404);
+    }
+
+    if (document.verificationStatus !== 'pending') {
+      throw new AppError(`Cannot review document with status: ${document.verificationStatus}`);
+    }
+
+    document.verificationStatus = decision === 'approve' ? 'approved' : 'rejected';
+    document.rejectionReason = decision === 'reject' ? reason : undefined;
+    document.reviewedAt = new Date();
+    document.reviewedBy = reviewerId;
+
+    // Offering rules use the country of the latest approved document
+    if (decision === 'approve' && document.country) {
+      user.country = document.country;
+    }
+
+    // Accreditation is confirmed by the reviewer, never declared by the user
+    if (investorType) {
+      user.investorType = investorType;
+    }
+
+    const previousStatus = user.verificationStatus;
+    user.verificationStatus = this.rollupStatus(user.kycDocuments);
+
+    if (user.verificationStatus === 'verified' && previousStatus !== 'verified') {
+      user.kycVerifiedAt = new Date();
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    // Verified users get a custodial wallet; failures are retried when the wallet is requested
+    if (user.verificationStatus === 'verified' && previousStatus !== 'verified') {
+      try {
+        await WalletService.provisionCustodialWallet(user._id);
+      } catch (error) {
+        console.error(`Failed to provision wallet for user ${user._id}: ${error.message}`);
+      }
+    }
+
+    await this.notifyDecision(user, document);
+
+    return { user, document };
+  }
+
+  // Derive user's verification status from document decisions
+  static rollupStatus(documents) {
+    if (documents.some(doc => doc.verificationStatus === 'pending')) {
+      return 'pending';
+    }
+
+    if (documents.some(doc => doc.verificationStatus === 'approved')) {
+      return 'verified';
+    }
+
+    return documents.length > 0 ? 'rejected' : 'unverified';
+  }
+
+  // Tell the user about a document decision
+  static async notifyDecision(user, document) {
+    const approved = document.verificationStatus === 'approved';
+    const documentName = document.type.replace('_', ' ');
+
+    let message = approved ?
+      `Your ${documentName} was approved.` :
+      `Your ${documentName} was rejected: ${document.rejectionReason}`;
+
+    if (user.verificationStatus === 'verified') {
+      message += ' Your account is now verified.';
+    } else if (user.verificationStatus === 'rejected') {
+      message += ' Please submit a new document to complete verification.';
+    }
+
+    await NotificationService.notify(user._id, {
+      type: 'kyc_decision',
+      title: approved ? 'KYC document approved' : 'KYC document rejected',
+      message,
+      data: {
+        documentId: document._id,
+        decision: document.verificationStatus,
+        verificationStatus: user.verificationStatus
+      },
+      email: {
+        template: 'kycDecision',
+        data: { approved, message }
+      }
+    });
+  }
+
+  // Resolve the file of a KYC document for reviewers
+  static async getDocumentFile(userId, documentId, side) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const document = user.kycDocuments.id(documentId);
+    const file = document && document.files.find(f => f.side === side);
+
+    if (!file) {
+      throw new AppError('Document file not found', 404);
+    }
+
+    const uploadDirectory = path.resolve(env.UPLOAD_DIR);
+    const absolutePath = path.resolve(uploadDirectory, file.path);
+
+    // Stored paths must stay inside the upload directory
+    if (!absolutePath.startsWith(uploadDirectory + path.sep) || !fs.existsSync(absolutePath)) {
+      throw new AppError('Document file not found', 404);
+    }
+
+    return { path: absolutePath, mimeType: file.mimeType };
+  }
+}
+
+module.exports = KycService;
@@ -0,0 +1,349 @@
+// src/services/ledgerService.js
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+class LedgerService {
+  // Run a unit of work inside a MongoDB transaction
+  static async runInTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Account specification for a user's wallet
+  static userWallet(userId, currency = 'USD') {
+    return {
+      code: `user:${userId}:wallet:${currency}`,
+      name: 'User wallet',
+      type: 'liability',
+      kind: 'wallet',
+      user: userId,
+      currency
+    };
+  }
+
+  // Account specification for the platform's side of currency conversions
+  static platformFx(currency = 'USD') {
+    return {
+      code: `platform:fx:${currency}`,
+      name: 'FX conversions',
+      type: 'equity',
+      kind: 'fx',
+      currency
+    };
+  }
+
+  // Account specification for a user's funds reserved by pending withdrawals
+  static userHold(userId, currency = 'USD') {
+    return {
+      code: `user:${userId}:hold:${currency}`,
+      name: 'User funds on hold',
+      type: 'liability',
+      kind: 'hold',
+      user: userId,
+      currency
+    };
+  }
+
+  // Account specification for platform cash held at banks and processors
+  static platformCash(currency = 'USD') {
+    return {
+      code: `platform:cash:${currency}`,
+      name: 'Platform cash',
+      type: 'asset',
+      kind: 'cash',
+      currency
+    };
+  }
+
+  // Account specification for funds raised by a property
+  static propertyFunding(propertyId) {
+    return {
+      code: `property:${propertyId}:funding`,
+      name: 'Property funding payable',
+      type: 'liability',
+      kind: 'funding',
+      property: propertyId
+    };
+  }
+
+  // Account specification for payouts made by a property
+  static propertyDistributions(propertyId) {
+    return {
+      code: `property:${propertyId}:distributions`,
+      name: 'Property distributions',
+      type: 'expense',
+      kind: 'distributions',
+      property: propertyId
+    };
+  }
+
+  // Account specification for balances that existed before the ledger
+  static openingBalances(currency = 'USD') {
+    return {
+      code: `platform:opening-balances:${currency}`,
+      name: 'Opening balances',
+      type: 'equity',
+      kind: 'opening',
+      currency
+    };
+  }
+
+  // Get ledger account, creating it on first use
+  static async getOrCreateAccount(spec, session) {
+    const { code, ...fields } = spec;
+
+    const result = await LedgerAccount.findOneAndUpdate(
+      { code },
+      { $setOnInsert: { code, ...fields } },
+      {
+        new: true,
+        upsert: true,
+        session,
+        includeResultMetadata: true
+      }
+    );
+
+    const account = result.value;
+    const created = !result.lastErrorObject.updatedExisting;
+
+    // Carry over wallet balances recorded before the ledger existed, which were all USD
+    if (created && account.kind === 'wallet' && account.currency === 'USD') {
+      const user = await User.findById(account.user).session(session);
+
+      if (user && user.walletBalance) {
+        await this.post({
+          description: 'Opening wallet balance',
+          lines: [
+            { account: this.openingBalances(account.currency), debit: user.walletBalance },
+            { account: spec, credit: user.walletBalance }
+          ]
+        }, session);
+
+        return LedgerAccount.findById(account._id).session(session);
+      }
+    }
+
+    return account;
+  }
+
+  // Post a balanced journal entry and update account balances
+  static async post(entryData, session) {
+    if (!session) {
+      throw new Error('Ledger entries must be posted inside a database transaction');
+    }
+
+    const { description, lines, transactions = [], metadata } = entryData;
+
+    // Amounts of different currencies cannot balance each other
+    const currency = lines[0].account.currency || 'USD';
+
+    if (lines.some(line => (line.account.currency || 'USD') !== currency)) {
+      throw new AppError('Journal entry mixes currencies', 500);
+    }
+
+    // Convert to minor units and check the entry balances
+    const normalizedLines = lines.map(line => ({
+      account: line.account,
+      debit: toMinorUnits(line.debit || 0, currency),
+      credit: toMinorUnits(line.credit || 0, currency)
+    }));
+
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    normalizedLines.forEach(line => {
+      if (line.debit < 0 || line.credit < 0 || (line.debit > 0) === (line.credit > 0)) {
+        throw new AppError('Each ledger line must have either a debit or a credit', 500);
+      }
+
+      totalDebits += line.debit;
+      totalCredits += line.credit;
+    });
+
+    if (totalDebits !== totalCredits) {
+      throw new AppError('Journal entry is not balanced', 500);
+    }
+
+    const postedLines = [];
+
+    for (const line of normalizedLines) {
+      const account = await this.getOrCreateAccount(line.account, session);
+      const delta = account.normalBalance === 'debit' ?
+        line.debit - line.credit :
+        line.credit - line.debit;
+
+      // Wallets can never be overdrawn
+      const filter = { _id: account._id };
+
+      if (account.kind === 'wallet' && delta < 0) {
+        filter.balance = { $gte: -delta };
+      }
+
+      const updatedAccount = await LedgerAccount.findOneAndUpdate(
+        filter,
+        { $inc: { balance: delta } },
+        { new: true, session }
+      );
+
+      if (!updatedAccount) {
+        throw new AppError('Insufficient wallet balance');
+      }
+
+      // Keep the user's wallet balances in sync within the same transaction
+      if (account.kind === 'wallet') {
+        const balance = fromMinorUnits(updatedAccount.balance, currency);
+        const balances = { [`walletBalances.${currency}`]: balance };
+
+        if (currency === 'USD') {
+          balances.walletBalance = balance;
+        }
+
+        await User.updateOne({ _id: account.user }, { $set: balances }, { session });
+      }
+
+      postedLines.push({
+        account: account._id,
+        debit: line.debit,
+        credit: line.credit
+      });
+    }
+
+    const [entry] = await JournalEntry.create([{
+      description,
+      lines: postedLines,
+      transactions,
+      metadata
+    }], { session });
+
+    // Link the entry to the transactions that produced it
+    if (transactions.length > 0) {
+      await Transaction.updateMany(
+        { _id: { $in: transactions } },
+        { $push: { ledgerEntries: entry._id } },
+        { session }
+      );
+    }
+
+    return entry;
+  }
+
+  // Post a two-line entry debiting `from` and crediting `to`
+  static async transfer(transferData, session) {
+    const { from, to, amount, description, transactions, metadata } = transferData;
+
+    return this.post({
+      description,
+      lines: [
+        { account: from, debit: amount },
+        { account: to, credit: amount }
+      ],
+      transactions,
+      metadata
+    }, session);
+  }
+
+  // Get account balance in currency units
+  static async getAccountBalance(code) {
+    const account = await LedgerAccount.findOne({ code });
+
+    return account ? fromMinorUnits(account.balance, account.currency) : 0;
+  }
+
+  // Recompute account balance from its journal entries, optionally as it was before a date
+  static async getDerivedBalance(code, before = null) {
+    const account = await LedgerAccount.findOne({ code });
+
+    if (!account) {
+      return 0;
+    }
+
+    const match = { 'lines.account': account._id };
+
+    if (before) {
+      match.postedAt = { $lt: before };
+    }
+
+    const totals = await JournalEntry.aggregate([
+      {
+        $match: match
+      },
+      {
+        $unwind: '$lines'
+      },
+      {
+        $match: { 'lines.account': account._id }
+      },
+      {
+        $group: {
+          _id: null,
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const { debit, credit } = totals[0] || { debit: 0, credit: 0 };
+
+    return fromMinorUnits(account.normalBalance === 'debit' ? debit - credit : credit - debit, account.currency);
+  }
+
+  // Journal entries of an account posted in [from, to), with the balance after each one
+  static async getAccountActivity(code, from, to) {
+    const account = await LedgerAccount.findOne({ code });
+    const openingBalance = await this.getDerivedBalance(code, from);
+
+    if (!account) {
+      return { openingBalance, closingBalance: openingBalance, entries: [] };
+    }
+
+    const journalEntries = await JournalEntry.find({
+      'lines.account': account._id,
+      postedAt: { $gte: from, $lt: to }
+    }).sort('postedAt _id');
+
+    let balance = toMinorUnits(openingBalance, account.currency);
+
+    const entries = journalEntries.map(entry => {
+      // Net effect of the entry on this account, positive when it increases the balance
+      const change = entry.lines
+        .filter(line => line.account.equals(account._id))
+        .reduce((sum, line) => sum + (account.normalBalance === 'debit'
+          ? line.debit - line.credit
+          : line.credit - line.debit), 0);
+
+      balance += change;
+
+      return {
+        postedAt: entry.postedAt,
+        description: entry.description,
+        amount: fromMinorUnits(change, account.currency),
+        balance: fromMinorUnits(balance, account.currency),
+        transactions: entry.transactions
+      };
+    });
+
+    return {
+      openingBalance,
+      closingBalance: fromMinorUnits(balance, account.currency),
+      entries
+    };
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,153 @@
+// src/services/ledgerService.test.js
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+
+const SESSION = {};
+
+// Ledger accounts kept in memory, with the update semantics post() relies on
+const mockAccounts = () => {
+  const accounts = new Map();
+
+  jest.spyOn(LedgerAccount, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    // getOrCreateAccount upserts by code
+    if (filter.code) {
+      let account = accounts.get(filter.code);
+      const updatedExisting = Boolean(account);
+
+      if (!account) {
+        account = new LedgerAccount(update.$setOnInsert);
+        accounts.set(filter.code, account);
+      }
+
+      return options.includeResultMetadata ? { value: account, lastErrorObject: { updatedExisting } } : account;
+    }
+
+    const account = [...accounts.values()].find(candidate => candidate._id.equals(filter._id));
+
+    if (filter.balance && account.balance < filter.balance.$gte) {
+      return null;
+    }
+
+    account.balance += update.$inc.balance;
+    return account;
+  });
+
+  return accounts;
+};
+
+describe('LedgerService.post', () => {
+  let accounts;
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    accounts = mockAccounts();
+    jest.spyOn(User, 'findById').mockReturnValue({ session: async () => null });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(JournalEntry, 'create').mockImplementation(async ([entry]) => [{ _id: new mongoose.Types.ObjectId(), ...entry }]);
+    jest.spyOn(Transaction, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('posts a balanced entry in minor units and syncs the wallet balance', async () => {
+    const transactionId = new mongoose.Types.ObjectId();
+
+    const entry = await LedgerService.transfer({
+      from: LedgerService.platformCash(),
+      to: LedgerService.userWallet(userId),
+      amount: 125.5,
+      description: 'Deposit',
+      transactions: [transactionId]
+    }, SESSION);
+
+    expect(accounts.get('platform:cash:USD').balance).toBe(12550);
+    expect(accounts.get(`user:${userId}:wallet:USD`).balance).toBe(12550);
+    expect(entry.lines.map(line => [line.debit, line.credit])).toEqual([[12550, 0], [0, 12550]]);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $set: { 'walletBalances.USD': 125.5, walletBalance: 125.5 } },
+      { session: SESSION }
+    );
+    expect(Transaction.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [transactionId] } },
+      { $push: { ledgerEntries: entry._id } },
+      { session: SESSION }
+    );
+  });
+
+  test('rejects entries that do not balance', async () => {
+    await expect(LedgerService.post({
+      description: 'Unbalanced',
+      lines: [
+        { account: LedgerService.platformCash(), debit: 10 },
+        { account: LedgerService.userWallet(userId), credit: 9.99 }
+      ]
+    }, SESSION)).rejects.toThrow('Journal entry is not balanced');
+
+    expect(LedgerAccount.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects entries mixing currencies', async () => {
+    await expect(LedgerService.post({
+      description: 'Mixed',
+      lines: [
+        { account: LedgerService.platformCash('EUR'), debit: 10 },
+        { account: LedgerService.userWallet(userId), credit: 10 }
+      ]
+    }, SESSION)).rejects.toThrow('Journal entry mixes currencies');
+  });
+
+  test('refuses to post outside a database transaction', async () => {
+    await expect(LedgerService.transfer({
+      from: LedgerService.platformCash(),
+      to: LedgerService.userWallet(userId),
+      amount: 10,
+      description: 'No session'
+    })).rejects.toThrow('inside a database transaction');
+  });
+
+  test('never overdraws a wallet', async () => {
+    await LedgerService.transfer({
+      from: LedgerService.platformCash(),
+      to: LedgerService.userWallet(userId),
+      amount: 50,
+      description: 'Deposit'
+    }, SESSION);
+
+    await expect(LedgerService.transfer({
+      from: LedgerService.userWallet(userId),
+      to: LedgerService.propertyFunding(new mongoose.Types.ObjectId()),
+      amount: 50.01,
+      description: 'Investment'
+    }, SESSION)).rejects.toThrow('Insufficient wallet balance');
+
+    expect(accounts.get(`user:${userId}:wallet:USD`).balance).toBe(5000);
+  });
+
+  test('lets a wallet be spent down to zero', async () => {
+    const propertyId = new mongoose.Types.ObjectId();
+
+    await LedgerService.transfer({
+      from: LedgerService.platformCash(),
+      to: LedgerService.userWallet(userId),
+      amount: 50,
+      description: 'Deposit'
+    }, SESSION);
+
+    await LedgerService.transfer({
+      from: LedgerService.userWallet(userId),
+      to: LedgerService.propertyFunding(propertyId),
+      amount: 50,
+      description: 'Investment'
+    }, SESSION);
+
+    expect(accounts.get(`user:${userId}:wallet:USD`).balance).toBe(0);
+    expect(accounts.get(`property:${propertyId}:funding`).balance).toBe(5000);
+  });
+});
@@ -0,0 +1,542 @@
+// src/services/marketplaceService.js
+const BuyOrder = require('../models/BuyOrder');
+const Trade = require('../models/Trade');
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const EligibilityService = require('./eligibilityService');
+const AppError = require('../utils/appError');
+const { roundCurrency } = require('../utils/money');
+
+class MarketplaceService {
+  // Place buy order and match it against the order book
+  static async createBuyOrder(orderData, userId) {
+    const property = await Property.findById(orderData.property);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    // Rounds that may still be refunded are not traded
+    if (!property.isTradable()) {
+      throw new AppError('Tokens of this property cannot be traded at this time');
+    }
+
+    const quantity = parseInt(orderData.quantity, 10);
+    const price = parseFloat(orderData.price);
+
+    if (isNaN(quantity) || quantity <= 0) {
+      throw new AppError('Invalid quantity. You must buy at least 1 token.');
+    }
+
+    if (isNaN(price) || price <= 0) {
+      throw new AppError('Invalid price. Price must be greater than zero.');
+    }
+
+    // Check the property's offering rules and if user can pay for the whole order at the limit price
+    const user = await User.findById(userId);
+    const maxCost = roundCurrency(quantity * price);
+
+    await EligibilityService.assertEligible(user, property, { tokens: quantity, amount: maxCost });
+
+    if (user.walletBalance < maxCost) {
+      throw new AppError('Insufficient wallet balance');
+    }
+
+    const buyOrder = await BuyOrder.create({
+      user: userId,
+      property: property._id,
+      quantity,
+      price
+    });
+
+    const trades = await this.matchOrders(property._id);
+
+    return {
+      buyOrder: await BuyOrder.findById(buyOrder._id),
+      trades
+    };
+  }
+
+  // Place sell order and match it against the order book
+  static async createSellOrder(orderData, userId) {
+    const investment = await Investment.findById(orderData.investment);
+
+    if (!investment) {
+      throw new AppError('Investment not found', 404);
+    }
+
+    // Check if user is the owner of the investment
+    if (investment.user._id.toString() !== userId) {
+      throw new AppError('You do not have permission to sell this investment', 403);
+    }
+
+    // Check if investment is active
+    if (investment.status !== 'Active') {
+      throw new AppError('Only active investments can be sold');
+    }
+
+    const property = await Property.findById(investment.property._id);
+
+    if (!property.isTradable()) {
+      throw new AppError('Tokens of this property cannot be traded at this time');
+    }
+
+    const quantity = parseInt(orderData.quantity, 10);
+    const price = parseFloat(orderData.price);
+
+    if (isNaN(quantity) || quantity <= 0 || quantity > investment.availableToSell) {
+      throw new AppError(`Invalid quantity. You can sell up to ${investment.availableToSell} tokens.`);
+    }
+
+    if (isNaN(price) || price <= 0) {
+      throw new AppError('Invalid price. Price must be greater than zero.');
+    }
+
+    investment.sellOrders.push({
+      quantity,
+      price,
+      date: new Date(),
+      status: 'Open'
+    });
+
+    await investment.save();
+
+    const sellOrder = investment.sellOrders[investment.sellOrders.length - 1];
+    const trades = await this.matchOrders(investment.property._id);
+
+    const updatedInvestment = await Investment.findById(investment._id);
+
+    return {
+      sellOrder: updatedInvestment.sellOrders.id(sellOrder._id),
+      trades
+    };
+  }
+
+  // Cancel buy order
+  static async cancelBuyOrder(orderId, userId) {
+    const buyOrder = await BuyOrder.findById(orderId);
+
+    if (!buyOrder) {
+      throw new AppError('Buy order not found', 404);
+    }
+
+    // Check if user is the owner of the order
+    if (buyOrder.user.toString() !== userId) {
+      throw new AppError('You do not have permission to cancel this buy order', 403);
+    }
+
+    // Check if buy order is still open
+    if (buyOrder.status !== 'Open') {
+      throw new AppError(`Cannot cancel order with status: ${buyOrder.status}`);
+    }
+
+    buyOrder.status = 'Cancelled';
+    buyOrder.cancelReason = 'Cancelled by user';
+    await buyOrder.save();
+
+    return buyOrder;
+  }
+
+  // Get user's buy orders
+  static async getUserBuyOrders(userId, filters = {}) {
+    const query = { user: userId };
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.property) {
+      query.property = filters.property;
+    }
+
+    const buyOrders = await BuyOrder.find(query)
+      .populate({ path: 'property', select: 'title tokenPrice' })
+      .sort('-createdAt');
+
+    return buyOrders;
+  }
+
+  // Get open sell orders, optionally for a single property
+  static async getOpenSellOrders(propertyId) {
+    const query = { 'sellOrders.status': 'Open', status: 'Active' };
+
+    if (propertyId) {
+      query.property = propertyId;
+    }
+
+    const investments = await Investment.find(query);
+
+    return this.flattenSellOrders(investments)
+      .map(ask => ({
+        orderId: ask.order._id,
+        investmentId: ask.investment._id,
+        property: ask.investment.property,
+        user: ask.investment.user,
+        quantity: ask.order.quantity,
+        filledQuantity: ask.order.filledQuantity,
+        remainingQuantity: ask.remaining,
+        price: ask.order.price,
+        date: ask.order.date
+      }));
+  }
+
+  // Get aggregated order book for a property
+  static async getOrderBook(propertyId) {
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    const bids = await BuyOrder.aggregate([
+      {
+        $match: { property: property._id, status: 'Open' }
+      },
+      {
+        $group: {
+          _id: '$price',
+          quantity: { $sum: { $subtract: ['$quantity', '$filledQuantity'] } },
+          orders: { $sum: 1 }
+        }
+      },
+      {
+        $project: { _id: 0, price: '$_id', quantity: 1, orders: 1 }
+      },
+      {
+        $sort: { price: -1 }
+      }
+    ]);
+
+    const investments = await Investment.find({
+      property: property._id,
+      status: 'Active',
+      'sellOrders.status': 'Open'
+    });
+
+    const askLevels = {};
+    this.flattenSellOrders(investments).forEach(ask => {
+      const level = askLevels[ask.order.price] || { price: ask.order.price, quantity: 0, orders: 0 };
+      level.quantity += ask.remaining;
+      level.orders += 1;
+      askLevels[ask.order.price] = level;
+    });
+
+    const asks = Object.values(askLevels).sort((a, b) => a.price - b.price);
+
+    const lastTrade = await Trade.findOne({ property: property._id })
+      .sort('-executedAt')
+      .select('price quantity executedAt');
+
+    return {
+      property: {
+        id: property._id,
+        title: property.title,
+        tokenPrice: property.tokenPrice
+      },
+      bids,
+      asks,
+      spread: bids.length && asks.length ? roundCurrency(asks[0].price - bids[0].price) : null,
+      lastTrade
+    };
+  }
+
+  // Get recent trades for a property
+  static async getPropertyTrades(propertyId, limit = 50) {
+    const trades = await Trade.find({ property: propertyId })
+      .sort('-executedAt')
+      .limit(limit)
+      .select('quantity price amount executedAt');
+
+    return trades;
+  }
+
+  // Match open buy orders against open sell orders for a property
+  static async matchOrders(propertyId) {
+    const trades = [];
+
+    // Bids in price-time priority
+    const bids = await BuyOrder.find({ property: propertyId, status: 'Open' })
+      .sort({ price: -1, createdAt: 1 });
+
+    if (bids.length === 0) {
+      return trades;
+    }
+
+    const investments = await Investment.find({
+      property: propertyId,
+      status: 'Active',
+      'sellOrders.status': 'Open'
+    });
+
+    // Asks in price-time priority
+    const asks = this.flattenSellOrders(investments);
+
+    for (const bid of bids) {
+      for (const ask of asks) {
+        if (bid.status !== 'Open') break;
+        if (ask.order.status !== 'Open' || ask.remaining <= 0) continue;
+        if (ask.order.price > bid.price) break;
+
+        // Users cannot trade with themselves
+        if (ask.investment.user._id.toString() === bid.user.toString()) continue;
+
+        const quantity = Math.min(bid.quantity - bid.filledQuantity, ask.remaining);
+
+        // Resting (older) order sets the execution price
+        const price = ask.order.date <= bid.createdAt ? ask.order.price : bid.price;
+
+        const trade = await this.settleFill(bid, ask, quantity, price);
+
+        if (trade) {
+          trades.push(trade);
+        }
+      }
+    }
+
+    return trades;
+  }
+
+  // Settle a single fill of up to `requested` tokens between a buy order and a sell order
+  static async settleFill(bid, ask, requested, price) {
+    const propertyId = ask.investment.property._id;
+    const propertyTitle = ask.investment.property.title;
+
+    const result = await LedgerService.runInTransaction(async (session) => {
+      // Re-read both orders inside the transaction so retries start clean
+      const buyOrder = await BuyOrder.findById(bid._id).session(session);
+      const sellerInvestment = await Investment.findById(ask.investment._id).session(session);
+      const sellOrder = sellerInvestment.sellOrders.id(ask.order._id);
+
+      // Another fill may have used up either order or the seller's tokens since the book was read
+      const quantity = Math.min(
+        requested,
+        buyOrder.quantity - buyOrder.filledQuantity,
+        sellOrder.quantity - (sellOrder.filledQuantity || 0),
+        sellerInvestment.status === 'Active' ? sellerInvestment.tokensPurchased : 0
+      );
+
+      if (buyOrder.status !== 'Open' || sellOrder.status !== 'Open' || quantity <= 0) {
+        return {
+          skipped: true,
+          buyOrder,
+          askRemaining: sellOrder.status === 'Open' && sellerInvestment.status === 'Active'
+            ? Math.min(sellOrder.quantity - (sellOrder.filledQuantity || 0), sellerInvestment.tokensPurchased)
+            : 0
+        };
+      }
+
+      const amount = roundCurrency(quantity * price);
+
+      // Check buyer can still pay, otherwise the buy order can never fill
+      const buyer = await User.findById(bid.user).session(session);
+
+      if (!buyer || buyer.walletBalance < amount) {
+        return { insufficientFunds: true };
+      }
+
+      // Offering rules may have changed, or other purchases used up the buyer's limits
+      const property = await Property.findById(propertyId).session(session);
+      const eligibility = await EligibilityService.check(buyer, property, { tokens: quantity, amount }, session);
+
+      if (!eligibility.eligible) {
+        return { ineligible: eligibility.reasons };
+      }
+
+      // Move cost basis out of the seller's investment
+      const costBasis = roundCurrency(
+        sellerInvestment.investmentAmount * quantity / sellerInvestment.tokensPurchased
+      );
+      const soldValue = roundCurrency(
+        sellerInvestment.currentValue * quantity / sellerInvestment.tokensPurchased
+      );
+
+      sellerInvestment.tokensPurchased -= quantity;
+      sellerInvestment.investmentAmount = roundCurrency(sellerInvestment.investmentAmount - costBasis);
+      sellerInvestment.currentValue = roundCurrency(sellerInvestment.currentValue - soldValue);
+
+      sellOrder.filledQuantity = (sellOrder.filledQuantity || 0) + quantity;
+
+      if (sellOrder.filledQuantity >= sellOrder.quantity) {
+        sellOrder.status = 'Filled';
+        sellOrder.filledAt = new Date();
+      }
+
+      if (sellerInvestment.tokensPurchased === 0) {
+        sellerInvestment.status = 'Sold';
+      }
+
+      await sellerInvestment.save({ session });
+
+      // Move tokens into the buyer's investment
+      let buyerInvestment = await Investment.findOne({
+        user: bid.user,
+        property: propertyId,
+        status: 'Active'
+      }).session(session);
+
+      if (buyerInvestment) {
+        buyerInvestment.tokensPurchased += quantity;
+        buyerInvestment.investmentAmount = roundCurrency(buyerInvestment.investmentAmount + amount);
+        buyerInvestment.currentValue = roundCurrency(buyerInvestment.currentValue + amount);
+        await buyerInvestment.save({ session });
+      } else {
+        [buyerInvestment] = await Investment.create([{
+          user: bid.user,
+          property: propertyId,
+          tokensPurchased: quantity,
+          investmentAmount: amount,
+          tokenPrice: price,
+          status: 'Active'
+        }], { session });
+      }
+
+      // Update buy order
+      buyOrder.filledQuantity += quantity;
+
+      if (buyOrder.filledQuantity === buyOrder.quantity) {
+        buyOrder.status = 'Filled';
+        buyOrder.filledAt = new Date();
+      }
+
+      await buyOrder.save({ session });
+
+      const sellerId = sellerInvestment.user._id;
+
+      const [trade] = await Trade.create([{
+        property: propertyId,
+        buyer: bid.user,
+        seller: sellerId,
+        buyOrder: bid._id,
+        sellOrder: sellOrder._id,
+        sellerInvestment: sellerInvestment._id,
+        buyerInvestment: buyerInvestment._id,
+        quantity,
+        price,
+        amount,
+        costBasis
+      }], { session });
+
+      // Create paired transaction records
+      const [sellerTransaction, buyerTransaction] = await Transaction.create([
+        {
+          user: sellerId,
+          type: 'Investment Sale',
+          amount,
+          status: 'Completed',
+          description: `Sold ${quantity} tokens of ${propertyTitle}`,
+          relatedEntity: {
+            entityType: 'Investment',
+            entityId: sellerInvestment._id
+          },
+          metadata: { trade: trade._id, price, quantity },
+          completedAt: Date.now()
+        },
+        {
+          user: bid.user,
+          type: 'Investment Purchase',
+          amount,
+          status: 'Completed',
+          description: `Bought ${quantity} tokens of ${propertyTitle} on the marketplace`,
+          relatedEntity: {
+            entityType: 'Investment',
+            entityId: buyerInvestment._id
+          },
+          metadata: { trade: trade._id, price, quantity },
+          completedAt: Date.now()
+        }
+      ], { session, ordered: true });
+
+      // Pay the seller from the buyer's wallet
+      await LedgerService.transfer({
+        from: LedgerService.userWallet(bid.user),
+        to: LedgerService.userWallet(sellerId),
+        amount,
+        description: `Marketplace trade of ${quantity} ${propertyTitle} tokens`,
+        transactions: [sellerTransaction._id, buyerTransaction._id],
+        metadata: { trade: trade._id }
+      }, session);
+
+      await User.updateOne(
+        { _id: bid.user },
+        { $inc: { totalInvestments: amount } },
+        { session }
+      );
+
+      trade.sellerTransaction = sellerTransaction._id;
+      trade.buyerTransaction = buyerTransaction._id;
+      await trade.save({ session });
+
+      return { trade, buyOrder, sellOrder, quantity, amount };
+    });
+
+    if (result.insufficientFunds) {
+      bid.status = 'Cancelled';
+      bid.cancelReason = 'Insufficient wallet balance';
+      await bid.save();
+      return null;
+    }
+
+    if (result.ineligible) {
+      bid.status = 'Cancelled';
+      bid.cancelReason = result.ineligible.map(reason => reason.message).join('. ');
+      await bid.save();
+      return null;
+    }
+
+    if (result.skipped) {
+      bid.filledQuantity = result.buyOrder.filledQuantity;
+      bid.status = result.buyOrder.status;
+      ask.remaining = result.askRemaining;
+      return null;
+    }
+
+    const { quantity, amount } = result;
+
+    // Keep the in-memory book in step with what was committed
+    bid.filledQuantity = result.buyOrder.filledQuantity;
+    bid.status = result.buyOrder.status;
+    ask.order.filledQuantity = result.sellOrder.filledQuantity;
+    ask.order.status = result.sellOrder.status;
+    ask.remaining -= quantity;
+
+    await NotificationService.notifySellOrderFilled(result.trade.seller, {
+      trade: result.trade._id,
+      sellOrder: result.sellOrder,
+      propertyTitle,
+      quantity,
+      price,
+      amount
+    });
+
+    return result.trade;
+  }
+
+  // Flatten open sell orders of investments into asks sorted by price-time priority
+  static flattenSellOrders(investments) {
+    const asks = [];
+
+    investments.forEach(investment => {
+      investment.sellOrders.forEach(order => {
+        if (order.status !== 'Open') return;
+
+        // Never offer more tokens than the seller still holds
+        const remaining = Math.min(
+          order.quantity - (order.filledQuantity || 0),
+          investment.tokensPurchased
+        );
+
+        if (remaining > 0) {
+          asks.push({ investment, order, remaining });
+        }
+      });
+    });
+
+    return asks.sort((a, b) => a.order.price - b.order.price || a.order.date - b.order.date);
+  }
+}
+
+module.exports = MarketplaceService;
@@ -0,0 +1,251 @@
+// src/services/marketplaceService.test.js
+const mongoose = require('mongoose');
+const BuyOrder = require('../models/BuyOrder');
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Trade = require('../models/Trade');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const EligibilityService = require('./eligibilityService');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const MarketplaceService = require('./marketplaceService');
+
+const propertyId = new mongoose.Types.ObjectId();
+const property = { _id: propertyId, title: 'Harbour Lofts' };
+
+const bidFrom = (user, price, quantity, createdAt) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user,
+  property: propertyId,
+  price,
+  quantity,
+  filledQuantity: 0,
+  status: 'Open',
+  createdAt: new Date(createdAt)
+});
+
+const holdingOf = (user, tokensPurchased, sellOrders) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: { _id: user },
+  property,
+  tokensPurchased,
+  sellOrders: sellOrders.map(order => ({
+    _id: new mongoose.Types.ObjectId(),
+    filledQuantity: 0,
+    status: 'Open',
+    ...order,
+    date: new Date(order.date)
+  }))
+});
+
+describe('MarketplaceService.matchOrders', () => {
+  const buyer = new mongoose.Types.ObjectId();
+  const seller = new mongoose.Types.ObjectId();
+  const otherSeller = new mongoose.Types.ObjectId();
+  let fills;
+
+  const givenBook = (bids, investments) => {
+    jest.spyOn(BuyOrder, 'find').mockReturnValue({ sort: async () => bids });
+    jest.spyOn(Investment, 'find').mockResolvedValue(investments);
+  };
+
+  beforeEach(() => {
+    fills = [];
+
+    // Settle in memory, updating the book as the real settlement does
+    jest.spyOn(MarketplaceService, 'settleFill').mockImplementation(async (bid, ask, quantity, price) => {
+      bid.filledQuantity += quantity;
+      if (bid.filledQuantity === bid.quantity) bid.status = 'Filled';
+      ask.remaining -= quantity;
+
+      const fill = { bid: bid._id, seller: ask.investment.user._id, sellOrder: ask.order._id, quantity, price };
+      fills.push(fill);
+      return fill;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fills the cheapest asks first until the bid is filled', async () => {
+    const bid = bidFrom(buyer, 12, 8, '2026-01-02');
+    const cheap = holdingOf(seller, 5, [{ price: 10, quantity: 5, date: '2026-01-01' }]);
+    const dear = holdingOf(otherSeller, 10, [{ price: 11, quantity: 10, date: '2026-01-01' }]);
+
+    givenBook([bid], [dear, cheap]);
+
+    const trades = await MarketplaceService.matchOrders(propertyId);
+
+    expect(trades.map(trade => [trade.seller, trade.quantity, trade.price])).toEqual([
+      [seller, 5, 10],
+      [otherSeller, 3, 11]
+    ]);
+    expect(bid.status).toBe('Filled');
+  });
+
+  test('executes at the price of the older order', async () => {
+    const restingBid = bidFrom(buyer, 12, 1, '2026-01-01');
+    const laterAsk = holdingOf(seller, 1, [{ price: 10, quantity: 1, date: '2026-01-02' }]);
+
+    givenBook([restingBid], [laterAsk]);
+
+    const [trade] = await MarketplaceService.matchOrders(propertyId);
+
+    expect(trade.price).toBe(12);
+  });
+
+  test('gives earlier asks at the same price priority', async () => {
+    const bid = bidFrom(buyer, 10, 2, '2026-01-03');
+    const later = holdingOf(seller, 2, [{ price: 10, quantity: 2, date: '2026-01-02' }]);
+    const earlier = holdingOf(otherSeller, 2, [{ price: 10, quantity: 2, date: '2026-01-01' }]);
+
+    givenBook([bid], [later, earlier]);
+
+    const trades = await MarketplaceService.matchOrders(propertyId);
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0].seller).toBe(otherSeller);
+  });
+
+  test('does not cross bids below the best ask', async () => {
+    givenBook(
+      [bidFrom(buyer, 9.99, 1, '2026-01-02')],
+      [holdingOf(seller, 1, [{ price: 10, quantity: 1, date: '2026-01-01' }])]
+    );
+
+    const trades = await MarketplaceService.matchOrders(propertyId);
+
+    expect(trades).toEqual([]);
+    expect(MarketplaceService.settleFill).not.toHaveBeenCalled();
+  });
+
+  test('never matches users with themselves', async () => {
+    const bid = bidFrom(buyer, 10, 1, '2026-01-02');
+    const own = holdingOf(buyer, 1, [{ price: 9, quantity: 1, date: '2026-01-01' }]);
+    const theirs = holdingOf(seller, 1, [{ price: 10, quantity: 1, date: '2026-01-01' }]);
+
+    givenBook([bid], [own, theirs]);
+
+    const trades = await MarketplaceService.matchOrders(propertyId);
+
+    expect(trades.map(trade => trade.seller)).toEqual([seller]);
+  });
+
+  test('skips the order book when there are no bids', async () => {
+    givenBook([], []);
+
+    expect(await MarketplaceService.matchOrders(propertyId)).toEqual([]);
+    expect(Investment.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('MarketplaceService.flattenSellOrders', () => {
+  test('never offers more tokens than the seller still holds', () => {
+    const investment = holdingOf(new mongoose.Types.ObjectId(), 3, [
+      { price: 10, quantity: 5, filledQuantity: 1, date: '2026-01-01' },
+      { price: 11, quantity: 2, status: 'Cancelled', date: '2026-01-01' }
+    ]);
+
+    const asks = MarketplaceService.flattenSellOrders([investment]);
+
+    expect(asks).toHaveLength(1);
+    expect(asks[0].remaining).toBe(3);
+  });
+});
+
+describe('MarketplaceService.settleFill', () => {
+  const buyer = new mongoose.Types.ObjectId();
+  const seller = new mongoose.Types.ObjectId();
+  let buyOrder;
+  let sellerInvestment;
+
+  // Documents as stored, which a concurrent fill may have changed since the book was read
+  const givenStored = ({ bidQuantity, tokensHeld, askQuantity, askFilled = 0 }) => {
+    buyOrder = new BuyOrder({ user: buyer, property: propertyId, quantity: bidQuantity, price: 10 });
+    buyOrder.save = jest.fn().mockResolvedValue();
+
+    sellerInvestment = new Investment({
+      user: seller,
+      property: propertyId,
+      tokensPurchased: tokensHeld,
+      investmentAmount: tokensHeld * 10,
+      currentValue: tokensHeld * 10,
+      tokenPrice: 10,
+      status: 'Active',
+      sellOrders: [{ quantity: askQuantity, filledQuantity: askFilled, price: 10, date: new Date(), status: 'Open' }]
+    });
+    sellerInvestment.save = jest.fn().mockResolvedValue();
+
+    jest.spyOn(BuyOrder, 'findById').mockReturnValue({ session: async () => buyOrder });
+    jest.spyOn(Investment, 'findById').mockReturnValue({ session: async () => sellerInvestment });
+  };
+
+  // The bid and ask as matchOrders saw them
+  const book = (quantity) => ({
+    bid: { _id: buyOrder._id, user: buyer, quantity: buyOrder.quantity, filledQuantity: 0, status: 'Open', save: jest.fn() },
+    ask: {
+      investment: { _id: sellerInvestment._id, property },
+      order: { _id: sellerInvestment.sellOrders[0]._id, filledQuantity: 0, status: 'Open' },
+      remaining: quantity
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(LedgerService, 'runInTransaction').mockImplementation(work => work({}));
+    jest.spyOn(LedgerService, 'transfer').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ session: async () => ({ _id: buyer, walletBalance: 1000 }) });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Property, 'findById').mockReturnValue({ session: async () => property });
+    jest.spyOn(EligibilityService, 'check').mockResolvedValue({ eligible: true, reasons: [] });
+    jest.spyOn(Investment, 'findOne').mockReturnValue({ session: async () => null });
+    jest.spyOn(Investment, 'create').mockImplementation(async ([investment]) => [{ _id: new mongoose.Types.ObjectId(), ...investment }]);
+    jest.spyOn(Trade, 'create').mockImplementation(async ([trade]) => [{ _id: new mongoose.Types.ObjectId(), ...trade, save: jest.fn() }]);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (transactions) => transactions.map(transaction => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...transaction
+    })));
+    jest.spyOn(NotificationService, 'notifySellOrderFilled').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fills no more than the seller still holds', async () => {
+    // Matched for 5, but another fill already took 3 of the seller's 5 tokens
+    givenStored({ bidQuantity: 5, tokensHeld: 2, askQuantity: 5, askFilled: 3 });
+    const { bid, ask } = book(5);
+
+    const trade = await MarketplaceService.settleFill(bid, ask, 5, 10);
+
+    expect(trade).toMatchObject({ quantity: 2, amount: 20 });
+    expect(sellerInvestment.tokensPurchased).toBe(0);
+    expect(sellerInvestment.status).toBe('Sold');
+    expect(LedgerService.transfer).toHaveBeenCalledWith(expect.objectContaining({ amount: 20 }), expect.anything());
+    expect(ask.remaining).toBe(3);
+  });
+
+  test('settles nothing once the holding is sold out', async () => {
+    givenStored({ bidQuantity: 5, tokensHeld: 0, askQuantity: 5 });
+    const { bid, ask } = book(5);
+
+    expect(await MarketplaceService.settleFill(bid, ask, 5, 10)).toBeNull();
+    expect(LedgerService.transfer).not.toHaveBeenCalled();
+    expect(ask.remaining).toBe(0);
+    expect(bid.status).toBe('Open');
+  });
+
+  test('fills no more than the buy order still wants', async () => {
+    givenStored({ bidQuantity: 4, tokensHeld: 10, askQuantity: 10 });
+    buyOrder.filledQuantity = 3;
+    const { bid, ask } = book(10);
+
+    const trade = await MarketplaceService.settleFill(bid, ask, 4, 10);
+
+    expect(trade.quantity).toBe(1);
+    expect(buyOrder.status).toBe('Filled');
+    expect(bid.status).toBe('Filled');
+  });
+});
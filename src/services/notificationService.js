@@ -0,0 +1,176 @@
+// src/services/notificationService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+const AppError = require('../utils/appError');
+const { formatAmount } = require('../utils/money');
+
+class NotificationService {
+  // Create in-app notification for a user
+  static async notify(userId, notificationData) {
+    const notification = await Notification.create({
+      user: userId,
+      type: notificationData.type,
+      title: notificationData.title,
+      message: notificationData.message,
+      data: notificationData.data
+    });
+
+    // Send the matching email template when one is given
+    if (notificationData.email) {
+      const user = await User.findById(userId).select('name email');
+
+      if (user) {
+        await EmailService.queue(notificationData.email.template, user, notificationData.email.data);
+      }
+    }
+
+    return notification;
+  }
+
+  // Notify without failing the caller, for events that already happened
+  static async notifySafely(userId, notificationData) {
+    try {
+      return await this.notify(userId, notificationData);
+    } catch (error) {
+      console.error(`Failed to notify user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Tell the user a deposit reached their wallet
+  static async notifyDepositConfirmed(transaction) {
+    return this.notifySafely(transaction.user._id, {
+      type: 'deposit_confirmed',
+      title: 'Deposit confirmed',
+      message: `Your deposit of ${formatAmount(transaction.amount, transaction.currency)} is now available in your wallet.`,
+      data: {
+        transaction: transaction._id,
+        amount: transaction.amount,
+        currency: transaction.currency
+      },
+      email: {
+        template: 'depositConfirmed',
+        data: { amount: transaction.amount, currency: transaction.currency }
+      }
+    });
+  }
+
+  // Tell the user a property payout was credited
+  static async notifyDividendPaid(userId, payout) {
+    return this.notifySafely(userId, {
+      type: 'dividend_paid',
+      title: `Payout from ${payout.propertyTitle}`,
+      message: `A ${payout.type.toLowerCase()} payout of ${formatAmount(payout.amount)} from ${payout.propertyTitle} was credited to your wallet.`,
+      data: {
+        investment: payout.investment,
+        amount: payout.amount,
+        type: payout.type
+      },
+      email: {
+        template: 'dividendPaid',
+        data: { amount: payout.amount, type: payout.type, propertyTitle: payout.propertyTitle }
+      }
+    });
+  }
+
+  // Tell the seller some of their tokens were sold
+  static async notifySellOrderFilled(sellerId, fill) {
+    const remainingQuantity = fill.sellOrder.quantity - fill.sellOrder.filledQuantity;
+
+    return this.notifySafely(sellerId, {
+      type: 'sell_order_filled',
+      title: remainingQuantity > 0 ? 'Sell order partially filled' : 'Sell order filled',
+      message: `You sold ${fill.quantity} tokens of ${fill.propertyTitle} for ${formatAmount(fill.amount)}.`,
+      data: {
+        trade: fill.trade,
+        sellOrder: fill.sellOrder._id,
+        quantity: fill.quantity,
+        price: fill.price,
+        amount: fill.amount
+      },
+      email: {
+        template: 'sellOrderFilled',
+        data: {
+          propertyTitle: fill.propertyTitle,
+          quantity: fill.quantity,
+          price: fill.price,
+          amount: fill.amount,
+          remainingQuantity
+        }
+      }
+    });
+  }
+
+  // Tell an investor the round they invested in closed successfully
+  static async notifyFundingClosed(userId, property) {
+    return this.notifySafely(userId, {
+      type: 'funding_closed',
+      title: `${property.title} is fully funded`,
+      message: `The funding round of ${property.title} closed after raising ${formatAmount(property.fundingRound.amountRaised)}. Your investment is confirmed.`,
+      data: {
+        property: property._id,
+        amountRaised: property.fundingRound.amountRaised
+      },
+      email: {
+        template: 'fundingClosed',
+        data: { propertyTitle: property.title, amountRaised: property.fundingRound.amountRaised }
+      }
+    });
+  }
+
+  // Tell an investor their purchase was refunded because the round missed its soft cap
+  static async notifyFundingRefunded(userId, property, refund) {
+    return this.notifySafely(userId, {
+      type: 'funding_refunded',
+      title: `${property.title} did not reach its funding target`,
+      message: `The funding round of ${property.title} did not reach its target. ${formatAmount(refund.amount)} was returned to your wallet.`,
+      data: {
+        property: property._id,
+        transaction: refund._id,
+        amount: refund.amount
+      },
+      email: {
+        template: 'fundingRefunded',
+        data: { propertyTitle: property.title, amount: refund.amount }
+      }
+    });
+  }
+
+  // Get user notifications
+  static async getUserNotifications(userId, options = {}) {
+    const query = { user: userId };
+
+    if (options.unreadOnly) {
+      query.readAt = { $exists: false };
+    }
+
+    const notifications = await Notification.find(query)
+      .sort('-createdAt')
+      .limit(options.limit || 50);
+
+    const unreadCount = await Notification.countDocuments({
+      user: userId,
+      readAt: { $exists: false }
+    });
+
+    return { notifications, unreadCount };
+  }
+
+  // Mark notification as read
+  static async markAsRead(notificationId, userId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, user: userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    return notification;
+  }
+}
+
+module.exports = NotificationService;
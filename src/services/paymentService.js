@@ -0,0 +1,191 @@
+// src/services/paymentService.js
+const env = require('../config/env');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const FakePaymentProvider = require('../payments/fakeProvider');
+const StripePaymentProvider = require('../payments/stripeProvider');
+const AppError = require('../utils/appError');
+
+const PROVIDERS = {
+  fake: FakePaymentProvider,
+  stripe: StripePaymentProvider
+};
+
+// Settings each provider cannot take payments or verify webhooks without
+const PROVIDER_SETTINGS = {
+  fake: ['PAYMENT_WEBHOOK_SECRET'],
+  stripe: ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET']
+};
+
+// Transaction payment methods handled by a provider, and the provider method used
+const METHODS = {
+  'Credit Card': 'card',
+  'Debit Card': 'card',
+  'Bank Transfer': 'bank_transfer'
+};
+
+class PaymentService {
+  static providers = new Map();
+
+  // Refuse a provider missing its settings, and production settings that would let anyone sign payment events
+  static checkConfiguration() {
+    const settings = PROVIDER_SETTINGS[env.PAYMENT_PROVIDER];
+
+    if (!settings) {
+      throw new Error(`PAYMENT_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const missing = settings.filter(setting => !env[setting]);
+
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(' and ')} must be set to use the ${env.PAYMENT_PROVIDER} payment provider`);
+    }
+
+    // The fake provider signs with a known secret and never moves money
+    if (env.NODE_ENV === 'production' && env.PAYMENT_PROVIDER === 'fake') {
+      throw new Error('PAYMENT_PROVIDER must be a real payment provider in production');
+    }
+  }
+
+  // Provider instance by name, the configured one by default
+  static getProvider(name = env.PAYMENT_PROVIDER) {
+    if (!PROVIDERS[name]) {
+      throw new AppError(`Unknown payment provider: ${name}`, 404);
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, new PROVIDERS[name]());
+    }
+
+    return this.providers.get(name);
+  }
+
+  // Provider method for a transaction payment method, or null if paid outside providers
+  static getMethod(paymentMethod) {
+    return METHODS[paymentMethod] || null;
+  }
+
+  // Fee the configured provider charges for a deposit
+  static calculateFee(paymentMethod, amount) {
+    const method = this.getMethod(paymentMethod);
+
+    return method ? this.getProvider().calculateFee(method, amount) : 0;
+  }
+
+  // Fee schedules of the configured provider
+  static getFeeSchedule() {
+    const provider = this.getProvider();
+
+    return { provider: provider.name, fees: provider.fees };
+  }
+
+  // Start collecting a pending deposit; returns what the client needs to pay
+  static async initiateDeposit(transaction) {
+    const method = this.getMethod(transaction.paymentMethod);
+
+    // Other methods are confirmed manually by an admin
+    if (!method) {
+      return null;
+    }
+
+    const provider = this.getProvider();
+    const paymentData = {
+      amount: transaction.amount,
+      currency: transaction.currency,
+      reference: transaction._id.toString()
+    };
+
+    let payment;
+
+    try {
+      payment = method === 'card'
+        ? await provider.createCardPayment(paymentData)
+        : await provider.createBankTransfer(paymentData);
+    } catch (error) {
+      console.error(`Payment provider ${provider.name} failed for transaction ${transaction._id}:`, error.message);
+
+      await Transaction.updateOne(
+        { _id: transaction._id, status: 'Pending' },
+        { $set: { status: 'Failed', 'metadata.failureReason': error.message } }
+      );
+
+      throw new AppError('The payment provider is unavailable, please try again later', 502);
+    }
+
+    transaction.payment = {
+      provider: provider.name,
+      id: payment.id,
+      reference: payment.reference
+    };
+
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { payment: transaction.payment } });
+
+    return payment;
+  }
+
+  // Reject withdrawals the configured provider would have nowhere to send
+  static checkPayoutDestination(user, paymentMethod) {
+    if (this.getMethod(paymentMethod) && this.getProvider().payoutAccountRequired && !user.payoutAccountId) {
+      throw new AppError('Set up a payout account before withdrawing by card or bank transfer');
+    }
+  }
+
+  // Send an approved withdrawal to the user; the provider's webhook reports the outcome
+  static async initiatePayout(transaction) {
+    const method = this.getMethod(transaction.paymentMethod);
+
+    // Other methods are paid out manually and then confirmed by an admin
+    if (!method) {
+      return null;
+    }
+
+    const provider = this.getProvider();
+    const user = await User.findById(transaction.user._id || transaction.user).select('payoutAccountId');
+
+    if (provider.payoutAccountRequired && !(user && user.payoutAccountId)) {
+      throw new AppError('The user has no payout account to send the withdrawal to');
+    }
+
+    let payout;
+
+    try {
+      payout = await provider.createPayout({
+        amount: transaction.amount,
+        currency: transaction.currency,
+        method,
+        reference: transaction._id.toString(),
+        account: user && user.payoutAccountId
+      });
+    } catch (error) {
+      console.error(`Payment provider ${provider.name} failed to pay out transaction ${transaction._id}:`, error.message);
+      throw new AppError('The payment provider could not send the payout', 502);
+    }
+
+    transaction.payment = {
+      provider: provider.name,
+      id: payout.id
+    };
+
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { payment: transaction.payment } });
+
+    return payout;
+  }
+
+  // Verify a provider webhook and normalize its event
+  static parseWebhook(providerName, rawBody, headers) {
+    if (!rawBody) {
+      throw new AppError('Missing webhook payload', 400);
+    }
+
+    // Only the configured provider can report payments
+    if (providerName !== env.PAYMENT_PROVIDER) {
+      throw new AppError(`Unknown payment provider: ${providerName}`, 404);
+    }
+
+    const provider = this.getProvider(providerName);
+
+    return { provider: provider.name, ...provider.parseWebhook(rawBody, headers) };
+  }
+}
+
+module.exports = PaymentService;
@@ -1,7 +1,101 @@
 // src/services/propertyService.js
+const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const Investment = require('../models/Investment');
+const Transaction = require('../models/Transaction');
+const Trade = require('../models/Trade');
+const ChainTrackerService = require('./chainTrackerService');
 const blockchainService = require('../utils/blockchain');
+const AppError = require('../utils/appError');
+const { roundCurrency } = require('../utils/money');
+const { DAY_MS, parseDateRange } = require('../utils/dateRange');
+const QueryBuilder = require('../utils/queryBuilder');
+
+// What clients may filter, sort and select when listing properties
+const PROPERTY_LISTING = {
+  filters: [
+    'category',
+    'riskLevel',
+    'status',
+    'tokenPrice',
+    'minInvestment',
+    'totalValue',
+    'projectedReturn',
+    'fundingPercentage',
+    'availableTokens',
+    'isFeatured',
+    'location.city',
+    'location.state',
+    'location.country',
+    'createdAt'
+  ],
+  sorts: [
+    'createdAt',
+    'title',
+    'tokenPrice',
+    'minInvestment',
+    'totalValue',
+    'projectedReturn',
+    'fundingPercentage'
+  ],
+  fields: [
+    'title',
+    'description',
+    'location',
+    'category',
+    'totalValue',
+    'minInvestment',
+    'tokenPrice',
+    'availableTokens',
+    'totalTokens',
+    'projectedReturn',
+    'riskLevel',
+    'fundingPercentage',
+    'images',
+    'documents',
+    'isFeatured',
+    'status',
+    'blockchainTokenAddress',
+    'investmentWindowStart',
+    'investmentWindowEnd',
+    'createdAt'
+  ],
+  defaultSort: '-createdAt',
+  defaultLimit: 10
+};
+
+// Descriptive fields an owner may edit at any time
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'category',
+  'projectedReturn',
+  'riskLevel',
+  'images',
+  'documents',
+  'offeringRules'
+];
+
+// Terms of the offering, editable until funding starts
+const OFFERING_TERMS = ['tokenPrice', 'totalTokens', 'minInvestment', 'fundingTarget'];
+
+const METRIC_GRANULARITIES = ['day', 'week', 'month'];
+
+// Days of recent purchases the funding pace is measured over
+const VELOCITY_WINDOW_DAYS = 30;
+
+// Legacy [lng, lat] pairs covered by the 2dsphere index
+const GEO_FIELD = 'location.coordinates.coordinates';
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_SEARCH_RADIUS_KM = 50;
+const MAX_SEARCH_LIMIT = 100;
+
+const isLatitude = value => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = value => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Case-insensitive match of a whole value, with regex characters escaped
+const exactMatch = value => new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
 
 class PropertyService {
   // Create new property
@@ -20,30 +114,73 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     return property;
   }
 
-  // Update property
-  static async updateProperty(propertyId, updateData, userId) {
-    // Get property to check ownership
+  // Update the fields an owner may edit; status, value, supply and features have their own paths
+  static async updateProperty(propertyId, updateData, user) {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('No property found with that ID', 404);
     }
     
-    // Check if user is the owner
-    if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to update this property');
+    // Check if user is the owner or has admin role
+    if (property.owner.toString() !== user.id && user.role !== 'admin') {
+      throw new AppError('You do not have permission to update this property', 403);
+    }
+    
+    const fields = Object.keys(updateData);
+    const rejected = fields.filter(field => !EDITABLE_FIELDS.includes(field) && !OFFERING_TERMS.includes(field));
+    
+    if (rejected.length > 0) {
+      throw new AppError(
+        `These fields cannot be updated here: ${rejected.join(', ')}. ` +
+        'Use the status endpoint for status changes, valuations for the value and the admin endpoints to feature properties'
+      );
+    }
+    
+    const update = {};
+    fields.forEach(field => {
+      update[field] = updateData[field];
+    });
+    
+    // Offering terms are fixed once a round starts
+    if (fields.some(field => OFFERING_TERMS.includes(field))) {
+      if (!['Draft', 'Active'].includes(property.status)) {
+        throw new AppError('Token price, supply, minimum investment and funding targets cannot change once funding has started');
+      }
+      
+      const terms = {
+        totalTokens: update.totalTokens !== undefined ? Number(update.totalTokens) : property.totalTokens,
+        tokenPrice: update.tokenPrice !== undefined ? Number(update.tokenPrice) : property.tokenPrice
+      };
+      
+      if (!(Number.isInteger(terms.totalTokens) && terms.totalTokens > 0) || !(terms.tokenPrice > 0)) {
+        throw new AppError('Total tokens must be a positive integer and the token price positive');
+      }
+      
+      const targetError = Property.checkFundingTarget(
+        update.fundingTarget !== undefined ? update.fundingTarget : property.fundingTarget,
+        terms
+      );
+      
+      if (targetError) {
+        throw new AppError(targetError);
+      }
+      
+      // Nothing is sold before funding, so every token is still available
+      if (update.totalTokens !== undefined) {
+        update.availableTokens = terms.totalTokens;
+      }
     }
     
-    // Update property
     const updatedProperty = await Property.findByIdAndUpdate(
       propertyId,
-      updateData,
+      { $set: update },
       { 
         new: true, 
         runValidators: true 
@@ -59,19 +196,19 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to delete this property');
+      throw new AppError('You do not have permission to delete this property', 403);
     }
     
     // Check if property has investments
     const hasInvestments = await Investment.exists({ property: propertyId });
     
     if (hasInvestments && property.status !== 'Draft') {
-      throw new Error('Cannot delete property with active investments');
+      throw new AppError('Cannot delete property with active investments');
     }
     
     await Property.findByIdAndDelete(propertyId);
@@ -79,32 +216,11 @@ class PropertyService {
     return { success: true };
   }
 
-  // Get properties with filters and pagination
-  static async getProperties(queryParams, pagination = {}) {
-    // Extract pagination params
-    const page = pagination.page || 1;
-    const limit = pagination.limit || 10;
-    const skip = (page - 1) * limit;
-    
-    // Build query
-    let query = Property.find(queryParams);
-    
-    // Apply pagination
-    query = query.skip(skip).limit(limit);
+  // List properties with the filters, sorting and fields clients may use
+  static async getProperties(query) {
+    const { documents, pagination } = await QueryBuilder.list(Property, query, PROPERTY_LISTING);
     
-    // Execute query
-    const properties = await query;
-    const total = await Property.countDocuments(queryParams);
-    
-    return {
-      properties,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    return { properties: documents, pagination };
   }
 
   // Get featured properties
@@ -125,17 +241,22 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to tokenize this property');
+      throw new AppError('You do not have permission to tokenize this property', 403);
     }
     
     // Check if property is already tokenized
     if (property.blockchainTokenAddress) {
-      throw new Error('Property is already tokenized');
+      throw new AppError('Property is already tokenized', 409);
+    }
+    
+    // Earlier buyers would never receive tokens for their purchases
+    if (await Investment.exists({ property: property._id })) {
+      throw new AppError('Properties must be tokenized before they receive investments', 409);
     }
     
     // Create token on blockchain
@@ -156,6 +277,15 @@ class PropertyService {
     property.blockchainTokenAddress = tokenResult.tokenAddress;
     await property.save();
     
+    // Follow the creation until it has enough confirmations
+    await ChainTrackerService.track(tokenResult.transactionHash, {
+      type: 'token_creation',
+      relatedEntity: {
+        entityType: 'Property',
+        entityId: property._id
+      }
+    });
+    
     return {
       property,
       transactionHash: tokenResult.transactionHash
@@ -168,12 +298,12 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to update this property');
+      throw new AppError('You do not have permission to update this property', 403);
     }
     
     // Validate status transition
@@ -182,11 +312,17 @@ class PropertyService {
       'Active': ['Funding', 'Closed'],
       'Funding': ['Closed', 'Sold'],
       'Closed': ['Sold'],
+      'Failed': [],
       'Sold': []
     };
     
     if (!validStatusTransitions[property.status].includes(status)) {
-      throw new Error(`Cannot transition from ${property.status} to ${status}`);
+      throw new AppError(`Cannot transition from ${property.status} to ${status}`);
+    }
+    
+    // Rounds that miss their soft cap are refunded when they end, not closed
+    if (property.status === 'Funding' && status === 'Closed' && !property.softCapReached()) {
+      throw new AppError('This round has not reached its soft cap yet');
     }
     
     // Update status
@@ -209,12 +345,12 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to view these investments');
+      throw new AppError('You do not have permission to view these investments', 403);
     }
     
     // Get investments
@@ -223,20 +359,37 @@ class PropertyService {
     return investments;
   }
 
-  // Get property metrics/analytics
-  static async getPropertyMetrics(propertyId, userId) {
+  // Get property metrics/analytics for the owner
+  // options: from/to (date strings), granularity (day, week or month)
+  static async getPropertyMetrics(propertyId, userId, options = {}) {
     // Get property to check ownership
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to view these metrics');
+      throw new AppError('You do not have permission to view these metrics', 403);
+    }
+    
+    const granularity = options.granularity || 'day';
+    
+    if (!METRIC_GRANULARITIES.includes(granularity)) {
+      throw new AppError(`granularity must be one of ${METRIC_GRANULARITIES.join(', ')}`);
     }
     
+    // From the start of the raise by default
+    const period = parseDateRange(
+      options.from,
+      options.to,
+      property.investmentWindowStart || property.createdAt
+    );
+    const bucket = field => ({
+      $dateTrunc: { date: field, unit: granularity, startOfWeek: 'monday', timezone: 'UTC' }
+    });
+    
     // Get investment metrics
     const investmentMetrics = await Investment.aggregate([
       {
@@ -262,35 +415,35 @@ class PropertyService {
       }
     ]);
     
-    // Get daily investment activity
-    const investmentActivity = await Investment.aggregate([
+    // Primary purchases are the raise; marketplace purchases only change hands
+    const investmentIds = await Investment.find({ property: property._id }).distinct('_id');
+    const purchaseMatch = {
+      type: 'Investment Purchase',
+      status: 'Completed',
+      'relatedEntity.entityId': { $in: investmentIds },
+      'metadata.trade': { $exists: false }
+    };
+    
+    // Get investment activity per period
+    const investmentActivity = await Transaction.aggregate([
       {
-        $match: { property: property._id }
+        $match: { ...purchaseMatch, createdAt: { $gte: period.from, $lt: period.to } }
       },
       {
         $group: {
-          _id: {
-            year: { $year: '$purchaseDate' },
-            month: { $month: '$purchaseDate' },
-            day: { $dayOfMonth: '$purchaseDate' }
-          },
-          investmentAmount: { $sum: '$investmentAmount' },
-          tokensPurchased: { $sum: '$tokensPurchased' },
+          _id: bucket('$createdAt'),
+          investmentAmount: { $sum: '$amount' },
+          purchases: { $sum: 1 },
           investors: { $addToSet: '$user' }
         }
       },
       {
         $project: {
           _id: 0,
-          date: {
-            $dateFromParts: {
-              year: '$_id.year',
-              month: '$_id.month',
-              day: '$_id.day'
-            }
-          },
+          date: '$_id',
           investmentAmount: 1,
-          tokensPurchased: 1,
+          tokensPurchased: { $round: [{ $divide: ['$investmentAmount', property.tokenPrice] }, 0] },
+          purchases: 1,
           uniqueInvestors: { $size: '$investors' }
         }
       },
@@ -299,6 +452,116 @@ class PropertyService {
       }
     ]);
     
+    // Raise by investor type over the period
+    const investorTypes = await Transaction.aggregate([
+      {
+        $match: { ...purchaseMatch, createdAt: { $gte: period.from, $lt: period.to } }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'user',
+          foreignField: '_id',
+          as: 'investor'
+        }
+      },
+      {
+        $unwind: '$investor'
+      },
+      {
+        $group: {
+          _id: '$investor.investorType',
+          investmentAmount: { $sum: '$amount' },
+          investors: { $addToSet: '$user' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          investorType: '$_id',
+          investmentAmount: 1,
+          investors: { $size: '$investors' }
+        }
+      },
+      {
+        $sort: { investmentAmount: -1 }
+      }
+    ]);
+    
+    // Funding velocity over the trailing window, or since the raise started if more recent
+    const now = new Date();
+    const velocityStart = new Date(Math.max(
+      now.getTime() - VELOCITY_WINDOW_DAYS * DAY_MS,
+      (property.investmentWindowStart || property.createdAt).getTime()
+    ));
+    const [recent] = await Transaction.aggregate([
+      {
+        $match: { ...purchaseMatch, createdAt: { $gte: velocityStart } }
+      },
+      {
+        $group: { _id: null, amount: { $sum: '$amount' } }
+      }
+    ]);
+    
+    const velocityDays = Math.max((now - velocityStart) / DAY_MS, 1);
+    const amountPerDay = recent ? recent.amount / velocityDays : 0;
+    const tokensPerDay = amountPerDay / property.tokenPrice;
+    
+    // Projected close date at the current pace, if there is any
+    let projectedCloseDate = null;
+    
+    if (property.availableTokens === 0) {
+      projectedCloseDate = now;
+    } else if (tokensPerDay > 0) {
+      projectedCloseDate = new Date(now.getTime() + (property.availableTokens / tokensPerDay) * DAY_MS);
+    }
+    
+    // Get secondary market volume per period
+    const tradeMatch = {
+      property: property._id,
+      executedAt: { $gte: period.from, $lt: period.to }
+    };
+    
+    const [secondaryTotals] = await Trade.aggregate([
+      {
+        $match: tradeMatch
+      },
+      {
+        $group: {
+          _id: null,
+          trades: { $sum: 1 },
+          tokens: { $sum: '$quantity' },
+          volume: { $sum: '$amount' }
+        }
+      }
+    ]);
+    
+    const secondaryActivity = await Trade.aggregate([
+      {
+        $match: tradeMatch
+      },
+      {
+        $group: {
+          _id: bucket('$executedAt'),
+          trades: { $sum: 1 },
+          tokens: { $sum: '$quantity' },
+          volume: { $sum: '$amount' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          date: '$_id',
+          trades: 1,
+          tokens: 1,
+          volume: 1
+        }
+      },
+      {
+        $sort: { date: 1 }
+      }
+    ]);
+    
     return {
       property: {
         title: property.title,
@@ -306,7 +569,14 @@ class PropertyService {
         totalTokens: property.totalTokens,
         availableTokens: property.availableTokens,
         fundingPercentage: property.fundingPercentage,
-        status: property.status
+        status: property.status,
+        investmentWindowStart: property.investmentWindowStart,
+        investmentWindowEnd: property.investmentWindowEnd
+      },
+      period: {
+        from: period.from,
+        to: period.to,
+        granularity
       },
       investmentMetrics: investmentMetrics[0] || {
         totalInvestments: 0,
@@ -314,7 +584,25 @@ class PropertyService {
         averageInvestment: 0,
         totalTokensSold: 0
       },
-      investmentActivity
+      investmentActivity,
+      investorTypes,
+      velocity: {
+        since: velocityStart,
+        amountPerDay: roundCurrency(amountPerDay),
+        tokensPerDay: Math.round(tokensPerDay * 100) / 100,
+        projectedCloseDate,
+        // Whether the raise completes before the investment window ends
+        onTrack: property.investmentWindowEnd && projectedCloseDate
+          ? projectedCloseDate <= property.investmentWindowEnd
+          : null
+      },
+      secondaryMarket: {
+        trades: secondaryTotals ? secondaryTotals.trades : 0,
+        tokens: secondaryTotals ? secondaryTotals.tokens : 0,
+        volume: secondaryTotals ? roundCurrency(secondaryTotals.volume) : 0,
+        averagePrice: secondaryTotals ? roundCurrency(secondaryTotals.volume / secondaryTotals.tokens) : 0,
+        activity: secondaryActivity
+      }
     };
   }
   
@@ -324,19 +612,19 @@ class PropertyService {
     const property = await Property.findById(propertyId);
     
     if (!property) {
-      throw new Error('Property not found');
+      throw new AppError('Property not found', 404);
     }
     
     // Check if user is the owner
     if (property.owner.toString() !== userId) {
-      throw new Error('You do not have permission to update this property');
+      throw new AppError('You do not have permission to update this property', 403);
     }
     
     // Validate document type
     const validTypes = ['Prospectus', 'Title Deed', 'Environmental Report', 'Valuation Report'];
     
     if (!validTypes.includes(document.type)) {
-      throw new Error('Invalid document type');
+      throw new AppError('Invalid document type');
     }
     
     // Add document to property
@@ -350,49 +638,206 @@ class PropertyService {
     return property;
   }
   
-  // Search properties
+  // Search listed properties with full-text relevance, distance or newest-first ordering,
+  // returning facet counts for the whole result set and a cursor for the next page
   static async searchProperties(searchParams) {
-    const { query, category, minPrice, maxPrice, location, status } = searchParams;
+    const {
+      q,
+      category,
+      riskLevel,
+      status,
+      minPrice,
+      maxPrice,
+      city,
+      country,
+      near,
+      radius,
+      bbox,
+      cursor
+    } = searchParams;
+    
+    const limit = Math.min(parseInt(searchParams.limit, 10) || 20, MAX_SEARCH_LIMIT);
     
     // Build search query
-    const searchQuery = {};
+    const filter = {};
     
-    if (query) {
-      searchQuery.$or = [
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ];
+    if (q) {
+      filter.$text = { $search: String(q) };
     }
     
-    if (category) {
-      searchQuery.category = category;
-    }
+    // Query values are coerced to strings so they cannot carry operators
+    if (category) filter.category = String(category);
+    if (riskLevel) filter.riskLevel = String(riskLevel);
+    
+    // Only listed properties unless a status is requested
+    filter.status = status ? String(status) : { $in: ['Active', 'Funding'] };
     
     if (minPrice || maxPrice) {
-      searchQuery.tokenPrice = {};
-      if (minPrice) searchQuery.tokenPrice.$gte = minPrice;
-      if (maxPrice) searchQuery.tokenPrice.$lte = maxPrice;
+      filter.tokenPrice = {};
+      if (minPrice) filter.tokenPrice.$gte = Number(minPrice);
+      if (maxPrice) filter.tokenPrice.$lte = Number(maxPrice);
     }
     
-    if (location) {
-      searchQuery['location.city'] = { $regex: location, $options: 'i' };
+    if (city) filter['location.city'] = exactMatch(city);
+    if (country) filter['location.country'] = exactMatch(country);
+    
+    let nearPoint = null;
+    
+    if (near) {
+      const [lat, lng] = String(near).split(',').map(Number);
+      
+      if (!isLatitude(lat) || !isLongitude(lng)) {
+        throw new AppError('near must be given as lat,lng');
+      }
+      
+      nearPoint = [lng, lat];
     }
     
-    if (status) {
-      searchQuery.status = status;
+    const radiusKm = radius === undefined ? DEFAULT_SEARCH_RADIUS_KM : Number(radius);
+    
+    if (!(radiusKm > 0)) {
+      throw new AppError('radius must be a positive number of kilometres');
+    }
+    
+    if (bbox) {
+      const [minLng, minLat, maxLng, maxLat] = String(bbox).split(',').map(Number);
+      
+      if (![minLng, maxLng].every(isLongitude) || ![minLat, maxLat].every(isLatitude) ||
+          minLng >= maxLng || minLat >= maxLat) {
+        throw new AppError('bbox must be given as minLng,minLat,maxLng,maxLat');
+      }
+      
+      filter[GEO_FIELD] = {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[
+              [minLng, minLat],
+              [maxLng, minLat],
+              [maxLng, maxLat],
+              [minLng, maxLat],
+              [minLng, minLat]
+            ]]
+          }
+        }
+      };
+    }
+    
+    const pipeline = [];
+    let sort;
+    
+    if (nearPoint && !q && !bbox) {
+      // Closest first; $geoNear must be the first stage and cannot be combined with $text
+      pipeline.push({
+        $geoNear: {
+          near: { type: 'Point', coordinates: nearPoint },
+          key: GEO_FIELD,
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: filter
+        }
+      });
+      sort = { field: 'distance', direction: 1 };
+    } else {
+      if (nearPoint) {
+        const within = { $centerSphere: [nearPoint, radiusKm / EARTH_RADIUS_KM] };
+        
+        // A radius next to a bounding box narrows it further
+        if (filter[GEO_FIELD]) {
+          filter.$and = [{ [GEO_FIELD]: { $geoWithin: within } }];
+        } else {
+          filter[GEO_FIELD] = { $geoWithin: within };
+        }
+      }
+      
+      pipeline.push({ $match: filter });
+      
+      if (q) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        sort = { field: 'score', direction: -1 };
+      } else {
+        sort = { field: 'createdAt', direction: -1 };
+      }
     }
     
-    // Only return active or funding properties
-    if (!status) {
-      searchQuery.status = { $in: ['Active', 'Funding'] };
+    const page = [];
+    
+    if (cursor) {
+      page.push({ $match: this.cursorFilter(cursor, sort) });
     }
     
-    // Execute search
-    const properties = await Property.find(searchQuery)
-      .sort('-createdAt')
-      .limit(20);
+    page.push(
+      { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+      { $limit: limit + 1 },
+      { $project: { __v: 0 } }
+    );
     
-    return properties;
+    pipeline.push({
+      $facet: {
+        results: page,
+        total: [{ $count: 'count' }],
+        category: [{ $sortByCount: '$category' }],
+        riskLevel: [{ $sortByCount: '$riskLevel' }],
+        status: [{ $sortByCount: '$status' }]
+      }
+    });
+    
+    const [result] = await Property.aggregate(pipeline);
+    
+    // One extra result tells whether there is a next page
+    const hasMore = result.results.length > limit;
+    const properties = result.results.slice(0, limit);
+    const last = properties[properties.length - 1];
+    
+    const facet = buckets => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+    
+    return {
+      properties,
+      total: result.total.length ? result.total[0].count : 0,
+      facets: {
+        category: facet(result.category),
+        riskLevel: facet(result.riskLevel),
+        status: facet(result.status)
+      },
+      nextCursor: hasMore ? this.encodeCursor(last, sort) : null
+    };
+  }
+  
+  // Opaque cursor holding the sort value and ID of the last result
+  static encodeCursor(property, sort) {
+    return Buffer.from(JSON.stringify({
+      sort: sort.field,
+      value: property[sort.field],
+      id: property._id.toString()
+    })).toString('base64url');
+  }
+  
+  // Match results after a cursor in the given sort order
+  static cursorFilter(cursor, sort) {
+    let decoded;
+    
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      throw new AppError('Invalid cursor');
+    }
+    
+    // A cursor only continues the same kind of search
+    if (!decoded || decoded.sort !== sort.field || !mongoose.isValidObjectId(decoded.id)) {
+      throw new AppError('Invalid cursor');
+    }
+    
+    const value = sort.field === 'createdAt' ? new Date(decoded.value) : decoded.value;
+    const id = new mongoose.Types.ObjectId(decoded.id);
+    const after = sort.direction === 1 ? '$gt' : '$lt';
+    
+    return {
+      $or: [
+        { [sort.field]: { [after]: value } },
+        { [sort.field]: value, _id: { [after]: id } }
+      ]
+    };
   }
 }
 
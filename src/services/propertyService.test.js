@@ -0,0 +1,78 @@
+// src/services/propertyService.test.js
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const PropertyService = require('./propertyService');
+
+const ownerId = new mongoose.Types.ObjectId();
+const owner = { id: ownerId.toString(), role: 'user' };
+
+const propertyIn = (status) => new Property({
+  title: 'Harbour Lofts',
+  owner: ownerId,
+  status,
+  totalTokens: 1000,
+  availableTokens: 1000,
+  tokenPrice: 50
+});
+
+describe('PropertyService.updateProperty', () => {
+  beforeEach(() => {
+    jest.spyOn(Property, 'findByIdAndUpdate').mockImplementation(async (id, update) => update.$set);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('updates descriptive fields', async () => {
+    const property = propertyIn('Funding');
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+
+    const updated = await PropertyService.updateProperty(property._id, { title: 'Harbour Lofts II' }, owner);
+
+    expect(updated).toEqual({ title: 'Harbour Lofts II' });
+  });
+
+  test.each([
+    [{ status: 'Closed' }],
+    [{ isFeatured: true }],
+    [{ totalValue: 1 }],
+    [{ availableTokens: 0 }],
+    [{ fundingRound: { outcome: 'Succeeded' } }],
+    [{ blockchainTokenAddress: '0x0000000000000000000000000000000000000001' }]
+  ])('rejects %o', async (update) => {
+    const property = propertyIn('Draft');
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+
+    await expect(PropertyService.updateProperty(property._id, update, owner))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Property.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('keeps every token available when the supply changes before funding', async () => {
+    const property = propertyIn('Draft');
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+
+    const updated = await PropertyService.updateProperty(property._id, { totalTokens: 2000 }, owner);
+
+    expect(updated).toEqual({ totalTokens: 2000, availableTokens: 2000 });
+  });
+
+  test('fixes the offering terms once funding starts', async () => {
+    const property = propertyIn('Funding');
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+
+    await expect(PropertyService.updateProperty(property._id, { tokenPrice: 10 }, owner))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('only lets the owner or an admin update', async () => {
+    const property = propertyIn('Draft');
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+
+    await expect(PropertyService.updateProperty(property._id, { title: 'Mine now' }, {
+      id: new mongoose.Types.ObjectId().toString(),
+      role: 'user'
+    })).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
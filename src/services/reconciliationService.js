@@ -0,0 +1,107 @@
+// src/services/reconciliationService.js
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const blockchainService = require('../utils/blockchain');
+const AppError = require('../utils/appError');
+
+class ReconciliationService {
+  // Compare on-chain token balances with recorded holdings of a property
+  static async reconcileProperty(propertyId) {
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    if (!property.blockchainTokenAddress) {
+      throw new AppError('Property is not tokenized');
+    }
+
+    try {
+      // A user may hold several investments in the same property
+      const holdings = await Investment.aggregate([
+        { $match: { property: property._id, status: 'Active' } },
+        { $group: { _id: '$user', tokens: { $sum: '$tokensPurchased' } } }
+      ]);
+
+      const users = await User.find({ _id: { $in: holdings.map(holding => holding._id) } })
+        .select('walletAddress');
+      const addresses = new Map(users.map(user => [user._id.toString(), user.walletAddress]));
+
+      const mismatches = [];
+      const missingAddresses = [];
+
+      for (const holding of holdings) {
+        const address = addresses.get(holding._id.toString());
+
+        if (!address) {
+          missingAddresses.push(holding._id);
+          continue;
+        }
+
+        const onChainTokens = parseFloat(
+          await blockchainService.getTokenBalance(property.blockchainTokenAddress, address)
+        );
+
+        if (onChainTokens !== holding.tokens) {
+          mismatches.push({
+            user: holding._id,
+            address,
+            expectedTokens: holding.tokens,
+            onChainTokens,
+            difference: onChainTokens - holding.tokens
+          });
+        }
+      }
+
+      return ReconciliationReport.create({
+        property: property._id,
+        tokenAddress: property.blockchainTokenAddress,
+        status: mismatches.length > 0 ? 'Mismatched' : 'Matched',
+        holdersChecked: holdings.length - missingAddresses.length,
+        mismatches,
+        missingAddresses
+      });
+    } catch (error) {
+      return ReconciliationReport.create({
+        property: property._id,
+        tokenAddress: property.blockchainTokenAddress,
+        status: 'Error',
+        errorMessage: error.message
+      });
+    }
+  }
+
+  // Reconcile every tokenized property
+  static async reconcileAll() {
+    const properties = await Property.find({ blockchainTokenAddress: { $exists: true, $ne: null } })
+      .select('_id');
+
+    const reports = [];
+
+    for (const property of properties) {
+      reports.push(await this.reconcileProperty(property._id));
+    }
+
+    return reports;
+  }
+
+  // Get reconciliation reports, newest first
+  static async getReports(filters = {}, limit = 50) {
+    const query = {};
+
+    if (filters.property) query.property = filters.property;
+    if (filters.status) query.status = filters.status;
+
+    const reports = await ReconciliationReport.find(query)
+      .populate('property', 'title blockchainTokenAddress')
+      .sort('-runAt')
+      .limit(limit);
+
+    return reports;
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,176 @@
+// src/services/sessionService.js
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const JWTService = require('../utils/jwt');
+const AppError = require('../utils/appError');
+
+class SessionService {
+  // Extract device details from an incoming request
+  static contextFromRequest(req) {
+    const userAgent = req.get('User-Agent') || '';
+
+    return {
+      userAgent,
+      ip: req.ip,
+      device: (req.body && req.body.deviceName) || this.describeDevice(userAgent)
+    };
+  }
+
+  // Build a short device description from a user agent
+  static describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return userAgent.slice(0, 100);
+
+    return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+  }
+
+  // Start a new session and issue its tokens
+  static async createSession(user, context = {}) {
+    const session = new Session({
+      user: user._id,
+      tokenId: crypto.randomUUID(),
+      device: context.device,
+      userAgent: context.userAgent,
+      ip: context.ip,
+      expiresAt: new Date()
+    });
+
+    const refreshToken = JWTService.createRefreshToken(user, session);
+    session.expiresAt = JWTService.getExpiry(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      accessToken: JWTService.createAccessToken(user, session),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new token pair
+  static async rotateSession(refreshToken, context = {}) {
+    const decoded = JWTService.verifyRefreshToken(refreshToken);
+
+    if (!decoded || !decoded.sid || !decoded.jti) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+      throw new AppError('Session has expired or was revoked. Please log in again.', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      throw new AppError('User no longer exists', 401);
+    }
+
+    if ((user.tokenVersion || 0) !== decoded.tokenVersion) {
+      throw new AppError('Session has expired or was revoked. Please log in again.', 401);
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      await this.revokeSession(session._id, user._id, 'password_changed');
+      throw new AppError('User recently changed password. Please log in again.', 401);
+    }
+
+    // Swap the token ID only if the presented token is still the current one
+    const newTokenId = crypto.randomUUID();
+    const rotatedSession = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: decoded.jti, revokedAt: { $exists: false } },
+      {
+        $set: {
+          tokenId: newTokenId,
+          lastUsedAt: new Date(),
+          ip: context.ip || session.ip,
+          userAgent: context.userAgent || session.userAgent
+        }
+      },
+      { new: true }
+    );
+
+    // An older token of this session was replayed, so it may be stolen
+    if (!rotatedSession) {
+      await this.revokeSession(session._id, user._id, 'reuse_detected');
+      throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+    }
+
+    return {
+      session: rotatedSession,
+      user,
+      accessToken: JWTService.createAccessToken(user, rotatedSession),
+      refreshToken: JWTService.createRefreshToken(user, rotatedSession)
+    };
+  }
+
+  // Check that an access token's session is still active
+  static async isSessionActive(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return Boolean(session && session.isActive);
+  }
+
+  // Get user's active sessions
+  static async listSessions(userId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-tokenId -__v')
+      .sort('-lastUsedAt');
+
+    return sessions;
+  }
+
+  // Revoke a single session
+  static async revokeSession(sessionId, userId, reason = 'revoked') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    return session;
+  }
+
+  // Revoke every session of a user, optionally keeping one
+  static async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId) {
+    const query = { user: userId, revokedAt: { $exists: false } };
+
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,328 @@
+// src/services/statementService.js
+const Investment = require('../models/Investment');
+const Property = require('../models/Property');
+const Trade = require('../models/Trade');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const AppError = require('../utils/appError');
+const { CURRENCIES, roundAmount, roundCurrency } = require('../utils/money');
+const { toCsv, renderPdf, drawTable } = require('../utils/documents');
+const { parseDateRange } = require('../utils/dateRange');
+
+const DIVIDEND_TYPES = ['Rental', 'Appreciation', 'Other'];
+
+// Date part of a timestamp, as used in file names and documents
+const formatDate = date => date.toISOString().slice(0, 10);
+
+// Last day covered by a period whose end is exclusive
+const formatPeriodEnd = date => formatDate(new Date(date.getTime() - 1));
+
+class StatementService {
+  // Wallet activity of a currency over a period, with opening and closing balances
+  static async getStatement(userId, { from, to, currency = 'USD' } = {}) {
+    if (!CURRENCIES.includes(currency)) {
+      throw new AppError(`Unsupported currency: ${currency}`);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // The current month by default
+    const now = new Date();
+    const period = parseDateRange(from, to, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+    const activity = await LedgerService.getAccountActivity(
+      LedgerService.userWallet(user._id, currency).code,
+      period.from,
+      period.to
+    );
+
+    // Transaction type and reference for each ledger entry
+    const transactionIds = activity.entries.flatMap(entry => entry.transactions);
+    const transactions = await Transaction.find({ _id: { $in: transactionIds } }).select('type description');
+    const transactionsById = new Map(transactions.map(transaction => [transaction._id.toString(), transaction]));
+
+    const entries = activity.entries.map(entry => {
+      const transaction = entry.transactions
+        .map(id => transactionsById.get(id.toString()))
+        .find(Boolean);
+
+      return {
+        date: entry.postedAt,
+        type: transaction ? transaction.type : 'Adjustment',
+        description: entry.description,
+        reference: transaction ? transaction._id.toString() : '',
+        amount: entry.amount,
+        balance: entry.balance
+      };
+    });
+
+    const sum = amounts => roundAmount(amounts.reduce((total, amount) => total + amount, 0), currency);
+
+    return {
+      user: { id: user._id, name: user.name, email: user.email },
+      currency,
+      period,
+      openingBalance: activity.openingBalance,
+      closingBalance: activity.closingBalance,
+      totalCredits: sum(entries.filter(entry => entry.amount > 0).map(entry => entry.amount)),
+      totalDebits: sum(entries.filter(entry => entry.amount < 0).map(entry => -entry.amount)),
+      entries,
+      generatedAt: new Date()
+    };
+  }
+
+  static statementToCsv(statement) {
+    return toCsv([
+      ['Statement', statement.user.name, statement.currency],
+      ['Period', formatDate(statement.period.from), formatPeriodEnd(statement.period.to)],
+      ['Opening balance', statement.openingBalance],
+      [],
+      ['Date', 'Type', 'Description', 'Reference', 'Amount', 'Balance'],
+      ...statement.entries.map(entry => [
+        entry.date,
+        entry.type,
+        entry.description,
+        entry.reference,
+        entry.amount,
+        entry.balance
+      ]),
+      [],
+      ['Total credits', statement.totalCredits],
+      ['Total debits', statement.totalDebits],
+      ['Closing balance', statement.closingBalance]
+    ]);
+  }
+
+  static statementToPdf(statement) {
+    return renderPdf(doc => {
+      doc.font('Helvetica-Bold').fontSize(18).text('TheBoost account statement');
+      doc.font('Helvetica').fontSize(10).moveDown(0.5)
+        .text(`${statement.user.name} <${statement.user.email}>`)
+        .text(`Period: ${formatDate(statement.period.from)} to ${formatPeriodEnd(statement.period.to)}`)
+        .text(`Currency: ${statement.currency}`)
+        .text(`Opening balance: ${statement.openingBalance}`)
+        .moveDown();
+
+      drawTable(
+        doc,
+        ['Date', 'Type', 'Description', 'Amount', 'Balance'],
+        statement.entries.map(entry => [
+          formatDate(entry.date),
+          entry.type,
+          entry.description,
+          entry.amount,
+          entry.balance
+        ]),
+        [70, 90, 195, 70, 70]
+      );
+
+      doc.moveDown()
+        .font('Helvetica').fontSize(10)
+        .text(`Total credits: ${statement.totalCredits}`)
+        .text(`Total debits: ${statement.totalDebits}`)
+        .font('Helvetica-Bold')
+        .text(`Closing balance: ${statement.closingBalance}`)
+        .font('Helvetica').fontSize(8).moveDown()
+        .text(`Generated ${statement.generatedAt.toISOString()}`);
+    });
+  }
+
+  // Dividends by type and realized marketplace gains per property for a calendar year
+  static async getTaxReport(userId, year = new Date().getUTCFullYear() - 1) {
+    const reportYear = parseInt(year, 10);
+
+    if (!reportYear || reportYear < 2000 || reportYear > new Date().getUTCFullYear()) {
+      throw new AppError('year must be a valid past or current year');
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const start = new Date(Date.UTC(reportYear, 0, 1));
+    const end = new Date(Date.UTC(reportYear + 1, 0, 1));
+
+    const dividends = await Investment.aggregate([
+      {
+        $match: { user: user._id }
+      },
+      {
+        $unwind: '$dividends'
+      },
+      {
+        $match: { 'dividends.date': { $gte: start, $lt: end } }
+      },
+      {
+        $group: {
+          _id: { property: '$property', type: '$dividends.type' },
+          amount: { $sum: '$dividends.amount' }
+        }
+      }
+    ]);
+
+    const gains = await Trade.aggregate([
+      {
+        $match: { seller: user._id, executedAt: { $gte: start, $lt: end } }
+      },
+      {
+        $group: {
+          _id: '$property',
+          quantity: { $sum: '$quantity' },
+          proceeds: { $sum: '$amount' },
+          costBasis: { $sum: '$costBasis' }
+        }
+      }
+    ]);
+
+    // One row per property with dividends or sales
+    const properties = new Map();
+    const getRow = (propertyId) => {
+      const key = propertyId.toString();
+
+      if (!properties.has(key)) {
+        properties.set(key, {
+          property: propertyId,
+          title: '',
+          dividends: Object.fromEntries(DIVIDEND_TYPES.map(type => [type, 0])),
+          totalDividends: 0,
+          tokensSold: 0,
+          proceeds: 0,
+          costBasis: 0,
+          realizedGain: 0
+        });
+      }
+
+      return properties.get(key);
+    };
+
+    for (const dividend of dividends) {
+      const row = getRow(dividend._id.property);
+      const type = DIVIDEND_TYPES.includes(dividend._id.type) ? dividend._id.type : 'Other';
+
+      row.dividends[type] = roundCurrency(row.dividends[type] + dividend.amount);
+      row.totalDividends = roundCurrency(row.totalDividends + dividend.amount);
+    }
+
+    for (const gain of gains) {
+      const row = getRow(gain._id);
+
+      row.tokensSold = gain.quantity;
+      row.proceeds = roundCurrency(gain.proceeds);
+      row.costBasis = roundCurrency(gain.costBasis);
+      row.realizedGain = roundCurrency(gain.proceeds - gain.costBasis);
+    }
+
+    const rows = [...properties.values()];
+
+    // Property titles for display; deleted properties keep their ID only
+    const titles = await Property.find({ _id: { $in: rows.map(row => row.property) } }).select('title');
+
+    for (const property of titles) {
+      properties.get(property._id.toString()).title = property.title;
+    }
+
+    const total = field => roundCurrency(rows.reduce((sum, row) => sum + row[field], 0));
+
+    return {
+      user: { id: user._id, name: user.name, email: user.email },
+      year: reportYear,
+      currency: 'USD',
+      properties: rows,
+      totals: {
+        dividends: Object.fromEntries(DIVIDEND_TYPES.map(type => [
+          type,
+          roundCurrency(rows.reduce((sum, row) => sum + row.dividends[type], 0))
+        ])),
+        totalDividends: total('totalDividends'),
+        proceeds: total('proceeds'),
+        costBasis: total('costBasis'),
+        realizedGain: total('realizedGain')
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  static taxReportToCsv(report) {
+    return toCsv([
+      ['Tax report', report.user.name, report.year, report.currency],
+      [],
+      [
+        'Property',
+        'Title',
+        ...DIVIDEND_TYPES.map(type => `${type} dividends`),
+        'Total dividends',
+        'Tokens sold',
+        'Proceeds',
+        'Cost basis',
+        'Realized gain'
+      ],
+      ...report.properties.map(row => [
+        row.property,
+        row.title,
+        ...DIVIDEND_TYPES.map(type => row.dividends[type]),
+        row.totalDividends,
+        row.tokensSold,
+        row.proceeds,
+        row.costBasis,
+        row.realizedGain
+      ]),
+      [
+        'Total',
+        '',
+        ...DIVIDEND_TYPES.map(type => report.totals.dividends[type]),
+        report.totals.totalDividends,
+        '',
+        report.totals.proceeds,
+        report.totals.costBasis,
+        report.totals.realizedGain
+      ]
+    ]);
+  }
+
+  static taxReportToPdf(report) {
+    return renderPdf(doc => {
+      doc.font('Helvetica-Bold').fontSize(18).text(`TheBoost tax report ${report.year}`);
+      doc.font('Helvetica').fontSize(10).moveDown(0.5)
+        .text(`${report.user.name} <${report.user.email}>`)
+        .text(`Amounts in ${report.currency}`)
+        .moveDown();
+
+      doc.font('Helvetica-Bold').fontSize(12).text('Dividends').moveDown(0.5);
+      drawTable(
+        doc,
+        ['Property', ...DIVIDEND_TYPES, 'Total'],
+        [
+          ...report.properties
+            .filter(row => row.totalDividends)
+            .map(row => [row.title || row.property, ...DIVIDEND_TYPES.map(type => row.dividends[type]), row.totalDividends]),
+          ['Total', ...DIVIDEND_TYPES.map(type => report.totals.dividends[type]), report.totals.totalDividends]
+        ],
+        [175, 80, 80, 80, 80]
+      );
+
+      doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Realized gains').moveDown(0.5);
+      drawTable(
+        doc,
+        ['Property', 'Tokens sold', 'Proceeds', 'Cost basis', 'Gain'],
+        [
+          ...report.properties
+            .filter(row => row.tokensSold)
+            .map(row => [row.title || row.property, row.tokensSold, row.proceeds, row.costBasis, row.realizedGain]),
+          ['Total', '', report.totals.proceeds, report.totals.costBasis, report.totals.realizedGain]
+        ],
+        [175, 80, 80, 80, 80]
+      );
+
+      doc.font('Helvetica').fontSize(8).moveDown()
+        .text(`Generated ${report.generatedAt.toISOString()}. Realized gains use the purchase cost of the tokens sold.`);
+    });
+  }
+}
+
+module.exports = StatementService;
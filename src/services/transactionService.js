@@ -1,62 +1,85 @@
 // src/services/transactionService.js
+const env = require('../config/env');
 const Transaction = require('../models/Transaction');
+const Investment = require('../models/Investment');
 const User = require('../models/User');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerService = require('./ledgerService');
+const FundingService = require('./fundingService');
+const NotificationService = require('./notificationService');
+const FxService = require('./fxService');
+const PaymentService = require('./paymentService');
+const AppError = require('../utils/appError');
+const QueryBuilder = require('../utils/queryBuilder');
+const { CURRENCIES, roundCurrency, roundAmount } = require('../utils/money');
+
+const WITHDRAWAL_LIMITS = JSON.parse(env.WITHDRAWAL_LIMITS);
+
+// What clients may filter, sort and select when listing transactions
+const TRANSACTION_LISTING = {
+  filters: ['type', 'status', 'currency', 'paymentMethod', 'amount', 'createdAt', 'completedAt'],
+  sorts: ['createdAt', 'completedAt', 'amount'],
+  fields: [
+    'type',
+    'amount',
+    'currency',
+    'status',
+    'description',
+    'relatedEntity',
+    'paymentMethod',
+    'blockchainTransactionHash',
+    'review',
+    'fx',
+    'fee',
+    'createdAt',
+    'completedAt'
+  ],
+  defaultSort: '-createdAt',
+  defaultLimit: 20
+};
 
 class TransactionService {
-  // Get user transactions with filters
-  static async getUserTransactions(userId, filters = {}, pagination = {}) {
-    // Merge filters with user ID
-    const queryParams = { ...filters, user: userId };
-    
-    // Extract pagination params
-    const page = pagination.page || 1;
-    const limit = pagination.limit || 20;
-    const skip = (page - 1) * limit;
-    
-    // Build query
-    let query = Transaction.find(queryParams);
-    
-    // Apply sorting
-    if (pagination.sort) {
-      query = query.sort(pagination.sort);
-    } else {
-      query = query.sort('-createdAt');
-    }
-    
-    // Apply pagination
-    query = query.skip(skip).limit(limit);
-    
-    // Execute query
-    const transactions = await query;
-    const total = await Transaction.countDocuments(queryParams);
+  // Get user transactions with the filters, sorting and fields clients may use
+  static async getUserTransactions(userId, query = {}) {
+    const { documents, pagination } = await QueryBuilder.list(
+      Transaction,
+      query,
+      TRANSACTION_LISTING,
+      { user: userId }
+    );
     
     // Get transaction summary
     const summary = await Transaction.getUserTransactionSummary(userId);
     
     return {
-      transactions,
+      transactions: documents,
       summary,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination
     };
   }
 
+  // List all users' transactions for admins
+  static async listTransactions(query = {}) {
+    const { documents, pagination } = await QueryBuilder.list(Transaction, query, {
+      ...TRANSACTION_LISTING,
+      filters: [...TRANSACTION_LISTING.filters, 'user']
+    });
+    
+    return { transactions: documents, pagination };
+  }
+
   // Get transaction by ID
   static async getTransactionById(transactionId, userId) {
     const transaction = await Transaction.findById(transactionId)
       .populate('relatedEntity.entityId');
     
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new AppError('Transaction not found', 404);
     }
     
     // Check if user owns the transaction
     if (transaction.user._id.toString() !== userId) {
-      throw new Error('You do not have permission to view this transaction');
+      throw new AppError('You do not have permission to view this transaction', 403);
     }
     
     return transaction;
@@ -64,114 +87,566 @@ class TransactionService {
 
   // Create deposit transaction
   static async createDeposit(depositData, userId) {
+    const amount = Number(depositData.amount);
+    
     // Validate deposit amount
-    if (!depositData.amount || depositData.amount <= 0) {
-      throw new Error('Invalid deposit amount');
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Invalid deposit amount');
+    }
+    
+    // Crypto deposits are detected on chain once sent to the deposit address
+    if (depositData.paymentMethod === 'Cryptocurrency') {
+      throw new AppError('Send crypto to your deposit address from GET /api/transactions/deposit-address');
+    }
+    
+    // Processing fee is deducted from the amount credited
+    const fee = PaymentService.calculateFee(depositData.paymentMethod, amount);
+    
+    if (fee >= amount) {
+      throw new AppError(`Deposit must be larger than the processing fee of ${fee}`);
     }
     
     // Create pending deposit transaction
     const transaction = await Transaction.create({
       user: userId,
       type: 'Deposit',
-      amount: depositData.amount,
+      amount,
       currency: depositData.currency || 'USD',
       status: 'Pending',
       description: depositData.description || 'Wallet deposit',
       paymentMethod: depositData.paymentMethod,
-      metadata: depositData.metadata || {}
+      metadata: depositData.metadata || {},
+      fee
     });
     
-    // Note: In a real application, this would integrate with a payment processor
-    // and the status would be updated asynchronously
+    // The provider webhook completes or fails the deposit
+    const payment = await PaymentService.initiateDeposit(transaction);
     
-    return transaction;
+    return { transaction, payment };
   }
 
   // Create withdrawal transaction
   static async createWithdrawal(withdrawalData, userId) {
+    const currency = withdrawalData.currency || 'USD';
+    
+    if (!CURRENCIES.includes(currency)) {
+      throw new AppError(`Unsupported currency: ${currency}`);
+    }
+    
+    const amount = roundAmount(Number(withdrawalData.amount), currency);
+    
     // Validate withdrawal amount
-    if (!withdrawalData.amount || withdrawalData.amount <= 0) {
-      throw new Error('Invalid withdrawal amount');
+    if (!amount || amount <= 0) {
+      throw new AppError('Invalid withdrawal amount');
     }
     
-    // Check user's wallet balance
     const user = await User.findById(userId);
     
-    if (user.walletBalance < withdrawalData.amount) {
-      throw new Error('Insufficient wallet balance');
+    if (!user) {
+      throw new AppError('User not found', 404);
     }
     
-    // Create pending withdrawal transaction
-    const transaction = await Transaction.create({
-      user: userId,
-      type: 'Withdrawal',
-      amount: withdrawalData.amount,
-      currency: withdrawalData.currency || 'USD',
-      status: 'Pending',
-      description: withdrawalData.description || 'Wallet withdrawal',
-      paymentMethod: withdrawalData.paymentMethod,
-      metadata: withdrawalData.withdrawalDetails || {}
+    PaymentService.checkPayoutDestination(user, withdrawalData.paymentMethod);
+    
+    // Limits are in USD, so other currencies count at their current value
+    const usdValue = currency === 'USD'
+      ? amount
+      : (await FxService.convert(amount, currency, 'USD')).amount;
+    
+    // Limit check, hold and request run together so concurrent requests see each other
+    const transaction = await LedgerService.runInTransaction(async (session) => {
+      const allowance = await this.getWithdrawalAllowance(user, session);
+      const remaining = Math.min(allowance.daily.remaining, allowance.monthly.remaining);
+      
+      if (usdValue > remaining) {
+        throw new AppError(`Withdrawal exceeds your limits; you can withdraw up to ${remaining} USD right now`);
+      }
+      
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type: 'Withdrawal',
+        amount,
+        currency,
+        status: 'Pending',
+        description: withdrawalData.description || 'Wallet withdrawal',
+        paymentMethod: withdrawalData.paymentMethod,
+        metadata: { ...withdrawalData.withdrawalDetails, usdValue },
+        review: { status: 'Awaiting' }
+      }], { session });
+      
+      // Reserve the funds; fails if the available balance is too low
+      await LedgerService.transfer({
+        from: LedgerService.userWallet(userId, currency),
+        to: LedgerService.userHold(userId, currency),
+        amount,
+        description: `Hold for withdrawal ${transaction._id}`,
+        transactions: [transaction._id]
+      }, session);
+      
+      return transaction;
     });
     
-    // Note: In a real application, this would integrate with a payment processor
-    // and the status would be updated asynchronously
+    return transaction;
+  }
+
+  // Withdrawal limits of the user's investor type and what is left of them
+  static async getWithdrawalAllowance(user, session = null) {
+    const limits = WITHDRAWAL_LIMITS[user.investorType] || WITHDRAWAL_LIMITS.individual;
+    
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    
+    // Requested and paid withdrawals count at their USD value; refunds issued by admins do not
+    const withdrawnValue = { $ifNull: ['$metadata.usdValue', '$amount'] };
+    const [usage] = await Transaction.aggregate([
+      {
+        $match: {
+          user: user._id,
+          type: 'Withdrawal',
+          status: { $in: ['Pending', 'Completed'] },
+          'metadata.refundedTransaction': { $exists: false },
+          createdAt: { $gte: startOfMonth }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          monthly: { $sum: withdrawnValue },
+          daily: { $sum: { $cond: [{ $gte: ['$createdAt', startOfDay] }, withdrawnValue, 0] } }
+        }
+      }
+    ]).session(session);
+    
+    const describe = (limit, used) => ({
+      limit,
+      used: roundCurrency(used),
+      remaining: roundCurrency(Math.max(limit - used, 0))
+    });
+    
+    return {
+      investorType: user.investorType,
+      daily: describe(limits.daily, usage ? usage.daily : 0),
+      monthly: describe(limits.monthly, usage ? usage.monthly : 0)
+    };
+  }
+
+  // Withdrawals waiting for an admin, oldest first
+  static async getWithdrawalQueue(pagination = {}) {
+    const query = { type: 'Withdrawal', status: 'Pending', 'review.status': 'Awaiting' };
+    
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+    const skip = (page - 1) * limit;
+    
+    const transactions = await Transaction.find(query)
+      .sort('createdAt')
+      .skip(skip)
+      .limit(limit);
+    const total = await Transaction.countDocuments(query);
+    
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Approve a withdrawal and send it to the payment provider
+  static async approveWithdrawal(transactionId, adminId) {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, type: 'Withdrawal', status: 'Pending', 'review.status': 'Awaiting' },
+      {
+        $set: {
+          'review.status': 'Approved',
+          'review.reviewedBy': adminId,
+          'review.reviewedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    
+    if (!transaction) {
+      throw await this.reviewError(transactionId);
+    }
+    
+    let payout;
+    
+    try {
+      payout = await PaymentService.initiatePayout(transaction);
+    } catch (error) {
+      await this.releaseWithdrawal(transaction._id, 'Payout could not be sent');
+      throw error;
+    }
+    
+    return {
+      transaction: await Transaction.findById(transaction._id),
+      payout
+    };
+  }
+
+  // Reject a withdrawal and return the held funds
+  static async rejectWithdrawal(transactionId, adminId, reason) {
+    const transaction = await this.releaseWithdrawal(
+      transactionId,
+      reason || 'Withdrawal was rejected',
+      {
+        'review.status': 'Rejected',
+        'review.reviewedBy': adminId,
+        'review.reviewedAt': new Date(),
+        'review.reason': reason
+      },
+      { 'review.status': 'Awaiting' }
+    );
+    
+    if (!transaction) {
+      throw await this.reviewError(transactionId);
+    }
     
     return transaction;
   }
 
+  // Error explaining why a withdrawal cannot be reviewed
+  static async reviewError(transactionId) {
+    const transaction = await Transaction.findById(transactionId);
+    
+    if (!transaction || transaction.type !== 'Withdrawal') {
+      return new AppError('Withdrawal not found', 404);
+    }
+    
+    return new AppError('Withdrawal was already reviewed', 409);
+  }
+
+  // Fail a pending withdrawal and move its held funds back to the wallet.
+  // Returns null when the withdrawal is no longer pending or does not match the filter.
+  static async releaseWithdrawal(transactionId, reason, update = {}, filter = {}) {
+    return LedgerService.runInTransaction(async (session) => {
+      const transaction = await Transaction.findOneAndUpdate(
+        { _id: transactionId, type: 'Withdrawal', status: 'Pending', ...filter },
+        { $set: { status: 'Failed', 'metadata.failureReason': reason, ...update } },
+        { new: true, session }
+      );
+      
+      if (!transaction) {
+        return null;
+      }
+      
+      // Withdrawals requested before holds existed never reserved funds
+      if (transaction.review && transaction.review.status) {
+        await LedgerService.transfer({
+          from: LedgerService.userHold(transaction.user._id, transaction.currency),
+          to: LedgerService.userWallet(transaction.user._id, transaction.currency),
+          amount: transaction.amount,
+          description: `Release of withdrawal ${transaction._id}`,
+          transactions: [transaction._id]
+        }, session);
+      }
+      
+      return transaction;
+    });
+  }
+
   // Confirm transaction (For admin/system use)
   static async confirmTransaction(transactionId, confirmationData, adminId) {
     const transaction = await Transaction.findById(transactionId);
     
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new AppError('Transaction not found', 404);
     }
     
-    // Check if transaction is already completed
-    if (transaction.status === 'Completed') {
-      throw new Error('Transaction is already completed');
+    // Only pending transactions can be confirmed
+    if (transaction.status !== 'Pending') {
+      throw new AppError(`Cannot confirm transaction with status: ${transaction.status}`);
     }
     
-    // Update transaction status
-    transaction.status = 'Completed';
-    transaction.completedAt = new Date();
+    if (transaction.review && transaction.review.status && transaction.review.status !== 'Approved') {
+      throw new AppError('Withdrawal must be approved before it is completed');
+    }
     
-    if (confirmationData.blockchainTransactionHash) {
-      transaction.blockchainTransactionHash = confirmationData.blockchainTransactionHash;
+    // Deposits are credited net of the processing fee
+    const netAmount = roundAmount(transaction.amount - (transaction.fee || 0), transaction.currency);
+    
+    // Crypto deposits are exchanged into USD at the rate quoted now, unless users hold crypto
+    const autoConvert = transaction.type === 'Deposit' &&
+      transaction.currency !== 'USD' &&
+      env.FX_AUTO_CONVERT_DEPOSITS;
+    const quote = autoConvert ? await FxService.convert(netAmount, transaction.currency, 'USD') : null;
+    
+    // Complete transaction and move funds atomically
+    const confirmedTransaction = await LedgerService.runInTransaction(async (session) => {
+      const update = {
+        status: 'Completed',
+        completedAt: new Date()
+      };
+      
+      if (confirmationData.blockchainTransactionHash) {
+        update.blockchainTransactionHash = confirmationData.blockchainTransactionHash;
+      }
+      
+      if (quote) {
+        update.fx = {
+          to: 'USD',
+          rate: quote.rate,
+          convertedAmount: quote.amount,
+          provider: quote.provider,
+          quotedAt: quote.fetchedAt
+        };
+      }
+      
+      const confirmedTransaction = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'Pending' },
+        { $set: update },
+        { new: true, session }
+      );
+      
+      if (!confirmedTransaction) {
+        throw new AppError('Transaction was already processed', 409);
+      }
+      
+      const wallet = LedgerService.userWallet(transaction.user._id, transaction.currency);
+      const cash = LedgerService.platformCash(transaction.currency);
+      
+      if (transaction.type === 'Deposit') {
+        await LedgerService.transfer({
+          from: cash,
+          to: wallet,
+          amount: netAmount,
+          description: `Deposit ${transaction._id}`,
+          metadata: { confirmedBy: adminId },
+          transactions: [transaction._id]
+        }, session);
+        
+        if (quote) {
+          await this.recordConversion({
+            userId: transaction.user._id,
+            from: transaction.currency,
+            to: 'USD',
+            amount: netAmount,
+            quote,
+            description: `Conversion of deposit ${transaction._id}`,
+            metadata: { deposit: transaction._id }
+          }, session);
+        }
+      } else if (transaction.type === 'Withdrawal') {
+        // Held withdrawals are paid from the hold placed when they were requested
+        const isHeld = Boolean(transaction.review && transaction.review.status);
+        
+        await LedgerService.transfer({
+          from: isHeld ? LedgerService.userHold(transaction.user._id, transaction.currency) : wallet,
+          to: cash,
+          amount: transaction.amount,
+          description: `Withdrawal ${transaction._id}`,
+          metadata: { confirmedBy: adminId },
+          transactions: [transaction._id]
+        }, session);
+      }
+      
+      return Transaction.findById(confirmedTransaction._id).session(session);
+    });
+
+    if (confirmedTransaction.type === 'Deposit') {
+      await NotificationService.notifyDepositConfirmed(confirmedTransaction);
     }
+
+    return confirmedTransaction;
+  }
+
+  // Exchange funds between two of the user's wallets at the current rate
+  static async convertCurrency(userId, conversionData) {
+    const { from, to } = conversionData;
     
-    await transaction.save();
+    if (!CURRENCIES.includes(from) || !CURRENCIES.includes(to) || from === to) {
+      throw new AppError(`Conversions need two different currencies out of ${CURRENCIES.join(', ')}`);
+    }
     
-    // Update user's wallet balance
-    const user = await User.findById(transaction.user);
+    const amount = roundAmount(Number(conversionData.amount), from);
     
-    if (transaction.type === 'Deposit') {
-      user.walletBalance += transaction.amount;
-    } else if (transaction.type === 'Withdrawal') {
-      user.walletBalance -= transaction.amount;
+    if (!amount || amount <= 0) {
+      throw new AppError('Invalid conversion amount');
     }
     
-    await user.save();
+    // The rate is fixed before any funds move and stored with the conversion
+    const quote = await FxService.convert(amount, from, to);
     
-    return transaction;
+    if (quote.amount <= 0) {
+      throw new AppError(`Amount is too small to convert to ${to}`);
+    }
+    
+    return LedgerService.runInTransaction(session => this.recordConversion({
+      userId,
+      from,
+      to,
+      amount,
+      quote
+    }, session));
+  }
+
+  // Record a completed conversion at a quoted rate and move the funds through the FX accounts
+  static async recordConversion({ userId, from, to, amount, quote, description, metadata }, session) {
+    const [conversion] = await Transaction.create([{
+      user: userId,
+      type: 'Conversion',
+      amount,
+      currency: from,
+      status: 'Completed',
+      description: description || `Conversion from ${from} to ${to}`,
+      completedAt: new Date(),
+      fx: {
+        to,
+        rate: quote.rate,
+        convertedAmount: quote.amount,
+        provider: quote.provider,
+        quotedAt: quote.fetchedAt
+      },
+      metadata
+    }], { session });
+    
+    // Fails if the wallet being converted from is short of funds
+    await LedgerService.transfer({
+      from: LedgerService.userWallet(userId, from),
+      to: LedgerService.platformFx(from),
+      amount,
+      description: `Conversion ${conversion._id}`,
+      transactions: [conversion._id]
+    }, session);
+    
+    await LedgerService.transfer({
+      from: LedgerService.platformFx(to),
+      to: LedgerService.userWallet(userId, to),
+      amount: quote.amount,
+      description: `Conversion ${conversion._id}`,
+      transactions: [conversion._id]
+    }, session);
+    
+    return conversion;
+  }
+
+  // Available and held funds per currency, with their total in the user's display currency
+  static async getBalances(userId) {
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    
+    const accounts = await LedgerAccount.find({ user: user._id, kind: { $in: ['wallet', 'hold'] } });
+    const balances = new Map();
+    
+    for (const account of accounts) {
+      if (!balances.has(account.currency)) {
+        balances.set(account.currency, { currency: account.currency, available: 0, onHold: 0 });
+      }
+      
+      const amount = await LedgerService.getAccountBalance(account.code);
+      balances.get(account.currency)[account.kind === 'wallet' ? 'available' : 'onHold'] = amount;
+    }
+    
+    const displayCurrency = user.displayCurrency || 'USD';
+    let total = 0;
+    
+    for (const balance of balances.values()) {
+      const { rate } = await FxService.getRate(balance.currency, displayCurrency);
+      total += (balance.available + balance.onHold) * rate;
+    }
+    
+    return {
+      balances: [...balances.values()],
+      total: {
+        currency: displayCurrency,
+        amount: roundAmount(total, displayCurrency)
+      }
+    };
+  }
+
+  // Complete or fail the deposit a verified provider event refers to
+  static async applyPaymentEvent(event) {
+    const succeeded = ['payment.succeeded', 'payout.paid'].includes(event.type);
+    const failed = ['payment.failed', 'payout.failed'].includes(event.type);
+    
+    if (!succeeded && !failed) {
+      return { handled: false };
+    }
+    
+    const transaction = await Transaction.findOne({
+      'payment.provider': event.provider,
+      'payment.id': event.paymentId
+    });
+    
+    // Replayed events find the transaction already settled
+    if (!transaction || transaction.status !== 'Pending') {
+      return { handled: false, transaction };
+    }
+    
+    if (failed) {
+      const reason = event.failureReason || 'Payment failed';
+      const failedTransaction = transaction.type === 'Withdrawal'
+        ? await this.releaseWithdrawal(transaction._id, reason)
+        : await Transaction.findOneAndUpdate(
+          { _id: transaction._id, status: 'Pending' },
+          { $set: { status: 'Failed', 'metadata.failureReason': reason } },
+          { new: true }
+        );
+      
+      return { handled: Boolean(failedTransaction), transaction: failedTransaction || transaction };
+    }
+    
+    if (event.amount !== undefined && roundCurrency(event.amount) !== roundCurrency(transaction.amount)) {
+      throw new AppError(`Payment ${event.paymentId} amount does not match transaction ${transaction._id}`, 409);
+    }
+    
+    try {
+      const confirmedTransaction = await this.confirmTransaction(
+        transaction._id,
+        {},
+        `payment:${event.provider}`
+      );
+      
+      return { handled: true, transaction: confirmedTransaction };
+    } catch (error) {
+      // A concurrent delivery of the same event confirmed it first
+      if (error.statusCode === 409) {
+        return { handled: false, transaction };
+      }
+      throw error;
+    }
   }
 
   // Cancel transaction
-  static async cancelTransaction(transactionId, userId) {
+  static async cancelTransaction(transactionId, userId, isAdmin = false) {
     const transaction = await Transaction.findById(transactionId);
     
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new AppError('Transaction not found', 404);
     }
     
     // Check if user owns the transaction
-    if (transaction.user._id.toString() !== userId) {
-      throw new Error('You do not have permission to cancel this transaction');
+    if (transaction.user._id.toString() !== userId && !isAdmin) {
+      throw new AppError('You do not have permission to cancel this transaction', 403);
     }
     
     // Check if transaction can be cancelled
     if (transaction.status !== 'Pending') {
-      throw new Error(`Cannot cancel transaction with status: ${transaction.status}`);
+      throw new AppError(`Cannot cancel transaction with status: ${transaction.status}`);
+    }
+    
+    if (transaction.type === 'Withdrawal') {
+      // Approved withdrawals are already on their way to the user
+      const cancelledTransaction = await this.releaseWithdrawal(
+        transaction._id,
+        'Cancelled',
+        {},
+        { 'review.status': { $ne: 'Approved' } }
+      );
+      
+      if (!cancelledTransaction) {
+        throw new AppError('Withdrawal can no longer be cancelled', 409);
+      }
+      
+      return cancelledTransaction;
     }
     
     // Update transaction status
@@ -245,48 +720,104 @@ class TransactionService {
     const transaction = await Transaction.findById(transactionId);
     
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new AppError('Transaction not found', 404);
     }
     
     // Only completed transactions can be refunded
     if (transaction.status !== 'Completed') {
-      throw new Error(`Cannot refund transaction with status: ${transaction.status}`);
+      throw new AppError(`Cannot refund transaction with status: ${transaction.status}`);
     }
     
     // Only certain transaction types can be refunded
     const refundableTypes = ['Deposit', 'Investment Purchase'];
     
     if (!refundableTypes.includes(transaction.type)) {
-      throw new Error(`Cannot refund transaction of type: ${transaction.type}`);
+      throw new AppError(`Cannot refund transaction of type: ${transaction.type}`);
     }
     
-    // Create refund transaction
-    const refundTransaction = await Transaction.create({
-      user: transaction.user,
-      type: transaction.type === 'Deposit' ? 'Withdrawal' : 'Investment Sale',
-      amount: transaction.amount,
-      currency: transaction.currency,
-      status: 'Completed',
-      description: refundData.reason || `Refund for transaction ${transaction._id}`,
-      relatedEntity: transaction.relatedEntity,
-      completedAt: new Date(),
-      metadata: {
-        refundedTransaction: transaction._id,
-        refundReason: refundData.reason
-      }
-    });
-    
-    // Update original transaction status
-    transaction.status = 'Refunded';
-    await transaction.save();
+    // Marketplace purchases were paid to another investor, not the property
+    if (transaction.metadata && transaction.metadata.trade) {
+      throw new AppError('Marketplace purchases cannot be refunded');
+    }
     
-    // Update user's wallet balance if needed
+    // Purchases also cancel the investment and put its tokens back on offer
     if (transaction.type === 'Investment Purchase') {
-      const user = await User.findById(transaction.user);
-      user.walletBalance += transaction.amount;
-      await user.save();
+      const investment = await Investment.findById(transaction.relatedEntity.entityId);
+      
+      if (!investment) {
+        throw new AppError('Investment of the purchase not found', 404);
+      }
+      
+      // Tokens on chain cannot be taken back from the investor's wallet
+      if (investment.blockchainTransactionHash) {
+        throw new AppError('Tokens of this purchase were already delivered on chain and cannot be refunded', 409);
+      }
+      
+      const refund = await FundingService.refundPurchase(transaction, investment.property, {
+        reason: refundData.reason,
+        refundedBy: adminId
+      });
+      
+      if (!refund) {
+        throw new AppError('Transaction was already processed', 409);
+      }
+      
+      return refund;
     }
     
+    // Deposits return what they credited: the net amount, or its USD value when auto-converted.
+    // Deposits confirmed before conversions were recorded kept the rate in metadata.
+    const fx = transaction.fx && transaction.fx.to
+      ? transaction.fx
+      : transaction.metadata && transaction.metadata.fx;
+    const refunded = fx
+      ? { amount: fx.convertedAmount, currency: fx.to }
+      : {
+        amount: roundAmount(transaction.amount - (transaction.fee || 0), transaction.currency),
+        currency: transaction.currency
+      };
+    
+    // Mark original as refunded, record refund and move funds atomically
+    const refundTransaction = await LedgerService.runInTransaction(async (session) => {
+      const refundedTransaction = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'Completed' },
+        { $set: { status: 'Refunded' } },
+        { new: true, session }
+      );
+      
+      if (!refundedTransaction) {
+        throw new AppError('Transaction was already processed', 409);
+      }
+      
+      // Create refund transaction
+      const [refund] = await Transaction.create([{
+        user: transaction.user._id,
+        type: 'Withdrawal',
+        amount: refunded.amount,
+        currency: refunded.currency,
+        status: 'Completed',
+        description: refundData.reason || `Refund for transaction ${transaction._id}`,
+        relatedEntity: transaction.relatedEntity,
+        completedAt: new Date(),
+        metadata: {
+          refundedTransaction: transaction._id,
+          refundReason: refundData.reason,
+          refundedBy: adminId
+        }
+      }], { session });
+      
+      // Return deposited funds to the payer
+      await LedgerService.transfer({
+        from: LedgerService.userWallet(transaction.user._id, refunded.currency),
+        to: LedgerService.platformCash(refunded.currency),
+        amount: refunded.amount,
+        description: `Refund of deposit ${transaction._id}`,
+        transactions: [transaction._id, refund._id]
+      }, session);
+      
+      return refund;
+    });
+    
     return refundTransaction;
   }
 }
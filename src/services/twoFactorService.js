@@ -0,0 +1,245 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const env = require('../config/env');
+const User = require('../models/User');
+const TOTPService = require('../utils/totp');
+const AppError = require('../utils/appError');
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.backupCodes',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.failedAttempts'
+].join(' ');
+
+class TwoFactorService {
+  // Hash a backup code, ignoring formatting
+  static hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+    return crypto
+      .createHash('sha256')
+      .update(normalized)
+      .digest('hex');
+  }
+
+  // Generate one-time backup codes formatted as xxxxx-xxxxx
+  static generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  // Load user with two-factor secrets
+  static async findUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  // Get two-factor status without exposing secrets
+  static async getStatus(userId) {
+    const user = await this.findUser(userId);
+    const backupCodes = user.twoFactor.backupCodes || [];
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: backupCodes.filter(code => !code.usedAt).length
+    };
+  }
+
+  // Start enrollment by generating a secret to scan
+  static async setup(userId) {
+    const user = await this.findUser(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled');
+    }
+
+    const secret = TOTPService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUrl: TOTPService.provisioningUri(secret, user.email, env.TWO_FACTOR_ISSUER)
+    };
+  }
+
+  // Finish enrollment once the user proves the app is set up
+  static async enable(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first');
+    }
+
+    const step = TOTPService.verifyCode(user.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => ({
+      codeHash: this.hashBackupCode(backupCode)
+    }));
+    await user.save({ validateBeforeSave: false });
+
+    return { backupCodes };
+  }
+
+  // Turn off two-factor authentication
+  static async disable(userId, password, code) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!password || !(await user.correctPassword(password, user.password))) {
+      throw new AppError('Your password is wrong', 401);
+    }
+
+    await this.verify(userId, code);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.backupCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+  }
+
+  // Replace all backup codes
+  static async regenerateBackupCodes(userId, code) {
+    await this.verify(userId, code);
+
+    const backupCodes = this.generateBackupCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.backupCodes': backupCodes.map(backupCode => ({
+            codeHash: this.hashBackupCode(backupCode)
+          }))
+        }
+      }
+    );
+
+    return { backupCodes };
+  }
+
+  // Check an authenticator or backup code; each code is accepted only once
+  static async verify(userId, code) {
+    const user = await this.findUser(userId);
+    const { twoFactor } = user;
+
+    if (!twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is not enabled');
+    }
+
+    if (twoFactor.lockedUntil && twoFactor.lockedUntil > new Date()) {
+      throw new AppError('Too many invalid codes. Please try again later.', 429);
+    }
+
+    if (!code) {
+      throw new AppError('A two-factor code is required', 401);
+    }
+
+    const step = TOTPService.verifyCode(twoFactor.secret, code);
+
+    if (step !== null) {
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': { $exists: false } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+      );
+
+      if (claimed.modifiedCount === 1) {
+        return { method: 'totp' };
+      }
+    } else {
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.backupCodes': {
+            $elemMatch: { codeHash: this.hashBackupCode(code), usedAt: { $exists: false } }
+          }
+        },
+        {
+          $set: {
+            'twoFactor.backupCodes.$.usedAt': new Date(),
+            'twoFactor.failedAttempts': 0
+          }
+        }
+      );
+
+      if (claimed.modifiedCount === 1) {
+        return { method: 'backup_code' };
+      }
+    }
+
+    await this.recordFailure(user._id);
+
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  // Count a failed code and lock verification after too many
+  static async recordFailure(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true }
+    ).select('+twoFactor.failedAttempts');
+
+    if (user && user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'twoFactor.failedAttempts': 0,
+            'twoFactor.lockedUntil': new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+          }
+        }
+      );
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,114 @@
+// src/services/valuationService.js
+const Property = require('../models/Property');
+const Investment = require('../models/Investment');
+const PropertyValuation = require('../models/PropertyValuation');
+const LedgerService = require('./ledgerService');
+const AppError = require('../utils/appError');
+
+class ValuationService {
+  // Record new valuation and revalue investments
+  static async recordValuation(propertyId, valuationData, userId) {
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    // Check if user is the owner
+    if (property.owner.toString() !== userId) {
+      throw new AppError('You do not have permission to value this property', 403);
+    }
+
+    const totalValue = parseFloat(valuationData.totalValue);
+
+    if (isNaN(totalValue) || totalValue <= 0) {
+      throw new AppError('Invalid total value');
+    }
+
+    const valuationDate = valuationData.valuationDate ?
+      new Date(valuationData.valuationDate) :
+      new Date();
+
+    if (isNaN(valuationDate.getTime()) || valuationDate > new Date()) {
+      throw new AppError('Valuation date cannot be in the future');
+    }
+
+    return LedgerService.runInTransaction(async (session) => {
+      const previousValuation = await PropertyValuation.findOne({
+        property: property._id,
+        valuationDate: { $lte: valuationDate }
+      })
+        .sort('-valuationDate')
+        .session(session);
+
+      const tokenValue = totalValue / property.totalTokens;
+
+      const [valuation] = await PropertyValuation.create([{
+        property: property._id,
+        valuationDate,
+        totalValue,
+        previousValue: previousValuation ? previousValuation.totalValue : property.totalValue,
+        tokenValue,
+        source: valuationData.source,
+        appraisalDocument: valuationData.appraisalDocument,
+        notes: valuationData.notes,
+        recordedBy: userId
+      }], { session });
+
+      // Backdated valuations only fill in history
+      const newerValuation = await PropertyValuation.exists({
+        property: property._id,
+        _id: { $ne: valuation._id },
+        valuationDate: { $gt: valuationDate }
+      }).session(session);
+
+      if (!newerValuation) {
+        await Property.updateOne(
+          { _id: property._id },
+          { $set: { totalValue } },
+          { session }
+        );
+
+        // Revalue every holding from its token share
+        await Investment.updateMany(
+          { property: property._id, status: { $in: ['Active', 'Pending'] } },
+          [
+            {
+              $set: {
+                currentValue: { $round: [{ $multiply: ['$tokensPurchased', tokenValue] }, 2] }
+              }
+            }
+          ],
+          { session }
+        );
+      }
+
+      return valuation;
+    });
+  }
+
+  // Get property valuation history
+  static async getValuationHistory(propertyId, dateRange = {}) {
+    const property = await Property.findById(propertyId);
+
+    if (!property) {
+      throw new AppError('Property not found', 404);
+    }
+
+    const query = { property: property._id };
+
+    if (dateRange.from || dateRange.to) {
+      query.valuationDate = {};
+      if (dateRange.from) query.valuationDate.$gte = new Date(dateRange.from);
+      if (dateRange.to) query.valuationDate.$lte = new Date(dateRange.to);
+    }
+
+    const valuations = await PropertyValuation.find(query)
+      .sort('valuationDate')
+      .select('-recordedBy -__v');
+
+    return valuations;
+  }
+}
+
+module.exports = ValuationService;
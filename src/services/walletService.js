@@ -0,0 +1,187 @@
+// src/services/walletService.js
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const blockchainService = require('../utils/blockchain');
+const EncryptionService = require('../utils/encryption');
+const AppError = require('../utils/appError');
+
+class WalletService {
+  // Create a custodial wallet for a user, returning the existing one if any
+  static async provisionCustodialWallet(userId) {
+    const existing = await Wallet.findOne({ user: userId });
+
+    if (existing) {
+      return existing;
+    }
+
+    const { address, privateKey } = await blockchainService.createWallet();
+
+    try {
+      const wallet = await Wallet.create({
+        user: userId,
+        address,
+        type: 'custodial',
+        encryptedKey: EncryptionService.encrypt(privateKey)
+      });
+
+      await User.updateOne({ _id: userId }, { $set: { walletAddress: address } });
+
+      return wallet;
+    } catch (error) {
+      // Another request provisioned the wallet first
+      if (error.code === 11000) {
+        return Wallet.findOne({ user: userId });
+      }
+      throw error;
+    }
+  }
+
+  // Get user's wallet with on-chain token balances per property
+  static async getUserWallet(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    let wallet = await Wallet.findOne({ user: userId });
+
+    // Catch up on verified users whose provisioning failed at approval time
+    if (!wallet && user.verificationStatus === 'verified') {
+      wallet = await this.provisionCustodialWallet(userId);
+    }
+
+    if (!wallet) {
+      throw new AppError('You do not have a wallet yet. It is created once your account is verified.', 404);
+    }
+
+    const holdings = await Investment.aggregate([
+      { $match: { user: user._id, status: 'Active' } },
+      { $group: { _id: '$property', tokens: { $sum: '$tokensPurchased' } } },
+      {
+        $lookup: {
+          from: 'properties',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'property'
+        }
+      },
+      { $unwind: '$property' }
+    ]);
+
+    const balances = [];
+
+    for (const holding of holdings) {
+      const { property } = holding;
+      const balance = {
+        property: property._id,
+        title: property.title,
+        tokenAddress: property.blockchainTokenAddress,
+        recordedTokens: holding.tokens,
+        onChainTokens: null
+      };
+
+      if (property.blockchainTokenAddress) {
+        try {
+          balance.onChainTokens = parseFloat(
+            await blockchainService.getTokenBalance(property.blockchainTokenAddress, wallet.address)
+          );
+        } catch {
+          balance.error = 'Balance is temporarily unavailable';
+        }
+      }
+
+      balances.push(balance);
+    }
+
+    return { wallet, balances };
+  }
+
+  // Message the user signs to prove control of an external address
+  static getOwnershipMessage(userId, address) {
+    return `I confirm that I control ${address.toLowerCase()} and want to use it for my TheBoost account ${userId}.`;
+  }
+
+  // Use a self-custody address instead of a custodial wallet
+  static async registerExternalAddress(userId, address, signature) {
+    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      throw new AppError('Please provide a valid wallet address');
+    }
+
+    if (!signature) {
+      throw new AppError('Please sign the ownership message with this address');
+    }
+
+    let signer;
+
+    try {
+      signer = blockchainService.web3.eth.accounts.recover(
+        this.getOwnershipMessage(userId, address),
+        signature
+      );
+    } catch {
+      throw new AppError('Invalid signature');
+    }
+
+    if (signer.toLowerCase() !== address.toLowerCase()) {
+      throw new AppError('Signature does not match the address', 401);
+    }
+
+    const existing = await Wallet.findOne({ user: userId });
+
+    // Tokens already sent to the custodial wallet would be left behind
+    if (existing && existing.type === 'custodial') {
+      const hasSettledTokens = await Investment.exists({
+        user: userId,
+        status: 'Active',
+        blockchainTransactionHash: { $exists: true, $ne: null }
+      });
+
+      if (hasSettledTokens) {
+        throw new AppError('Your custodial wallet already holds tokens and cannot be replaced', 409);
+      }
+    }
+
+    const checksumAddress = blockchainService.web3.utils.toChecksumAddress(address);
+
+    let wallet;
+
+    try {
+      wallet = await Wallet.findOneAndUpdate(
+        { user: userId },
+        {
+          $set: { address: checksumAddress, type: 'external', verifiedAt: new Date() },
+          $unset: { encryptedKey: '' },
+          $setOnInsert: { user: userId }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This address is already linked to another account', 409);
+      }
+      throw error;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { walletAddress: checksumAddress } });
+
+    return wallet;
+  }
+
+  // Decrypt the private key of a custodial wallet for signing; never expose it
+  static async getSigningKey(userId) {
+    const wallet = await Wallet.findOne({ user: userId, type: 'custodial' }).select('+encryptedKey');
+
+    if (!wallet) {
+      throw new AppError('User has no custodial wallet', 404);
+    }
+
+    return {
+      address: wallet.address,
+      privateKey: EncryptionService.decrypt(wallet.encryptedKey)
+    };
+  }
+}
+
+module.exports = WalletService;
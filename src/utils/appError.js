@@ -0,0 +1,20 @@
+// src/utils/appError.js
+
+/**
+ * Operational error carrying an HTTP status code for the error handler
+ * @param {string} message - Error message returned to the client
+ * @param {number} statusCode - HTTP status code
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+
+    this.statusCode = statusCode;
+    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.isOperational = true;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = AppError;
@@ -13,12 +13,19 @@ class BlockchainService {
     
     // Contract addresses
     this.registryAddress = env.REGISTRY_CONTRACT_ADDRESS;
+    
+    // Next nonce per address and the queue serializing nonce reservations
+    this.nonces = new Map();
+    this.nonceQueues = new Map();
   }
 
   initializeProvider() {
     let provider;
     
-    switch(env.BLOCKCHAIN_NETWORK) {
+    switch(env.BLOCKCHAIN_RPC_URL ? 'custom' : env.BLOCKCHAIN_NETWORK) {
+      case 'custom':
+        provider = env.BLOCKCHAIN_RPC_URL;
+        break;
       case 'local':
         provider = 'http://localhost:8545';
         break;
@@ -33,6 +40,136 @@ class BlockchainService {
     }
     
     this.web3 = new Web3(provider);
+    this.web3.eth.transactionPollingTimeout = env.BLOCKCHAIN_TX_TIMEOUT;
+  }
+
+  // Platform account that signs registry calls
+  getPlatformAccount() {
+    if (!env.PLATFORM_PRIVATE_KEY) {
+      throw new Error('PLATFORM_PRIVATE_KEY is not configured');
+    }
+
+    if (!this.platformAccount) {
+      this.platformAccount = this.web3.eth.accounts.privateKeyToAccount(
+        this.normalizePrivateKey(env.PLATFORM_PRIVATE_KEY)
+      );
+    }
+
+    return this.platformAccount;
+  }
+
+  normalizePrivateKey(privateKey) {
+    return privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  }
+
+  async getChainId() {
+    if (!this.chainId) {
+      this.chainId = await this.web3.eth.getChainId();
+    }
+    return this.chainId;
+  }
+
+  // Reserve the next nonce for an address; reservations for one address run one at a time
+  reserveNonce(address) {
+    const key = address.toLowerCase();
+    const previous = this.nonceQueues.get(key) || Promise.resolve();
+
+    const reservation = previous.then(async () => {
+      // The node's pending count catches transactions sent by other processes
+      const pendingCount = await this.web3.eth.getTransactionCount(address, 'pending');
+      const nonce = Math.max(this.nonces.get(key) || 0, pendingCount);
+
+      this.nonces.set(key, nonce + 1);
+      return nonce;
+    });
+
+    this.nonceQueues.set(key, reservation.catch(() => {}));
+    return reservation;
+  }
+
+  // Give back a nonce whose transaction never reached the node
+  releaseNonce(address, nonce) {
+    const key = address.toLowerCase();
+
+    if (this.nonces.get(key) === nonce + 1) {
+      this.nonces.set(key, nonce);
+    } else {
+      // Later nonces are already out; resync from the node next time
+      this.nonces.delete(key);
+    }
+  }
+
+  // Estimate gas, sign and broadcast a transaction
+  async sendTransaction({ to, data, value = '0' }, privateKey, options = {}) {
+    const account = this.web3.eth.accounts.privateKeyToAccount(
+      this.normalizePrivateKey(privateKey)
+    );
+    const from = account.address;
+
+    // Estimation fails early if the call would revert
+    const estimatedGas = await this.web3.eth.estimateGas({ from, to, data, value });
+    const gas = Math.ceil(estimatedGas * env.BLOCKCHAIN_GAS_MULTIPLIER);
+    const gasPrice = await this.web3.eth.getGasPrice();
+    const chainId = await this.getChainId();
+    const nonce = await this.reserveNonce(from);
+
+    let signedTx;
+
+    try {
+      signedTx = await account.signTransaction({
+        from,
+        to,
+        data,
+        value,
+        gas,
+        gasPrice,
+        nonce,
+        chainId
+      });
+    } catch (error) {
+      this.releaseNonce(from, nonce);
+      throw error;
+    }
+
+    return this.broadcast(signedTx.rawTransaction, {
+      from,
+      nonce,
+      waitForReceipt: options.waitForReceipt !== false
+    });
+  }
+
+  // Broadcast a signed transaction, resolving with its hash or once it is mined
+  broadcast(rawTransaction, { from, nonce, waitForReceipt }) {
+    return new Promise((resolve, reject) => {
+      let transactionHash;
+
+      const sending = this.web3.eth.sendSignedTransaction(rawTransaction);
+
+      sending.once('transactionHash', (hash) => {
+        transactionHash = hash;
+
+        if (!waitForReceipt) {
+          resolve({ transactionHash, from, nonce, rawTransaction, receipt: null });
+        }
+      });
+
+      sending
+        .then((receipt) => {
+          resolve({ transactionHash: receipt.transactionHash, from, nonce, rawTransaction, receipt });
+        })
+        .catch((error) => {
+          // Rejected before reaching the node, so the nonce is still free
+          if (!transactionHash && from) {
+            this.releaseNonce(from, nonce);
+          }
+
+          if (error.receipt) {
+            return reject(new Error(`Transaction ${error.receipt.transactionHash} was reverted`));
+          }
+
+          reject(error);
+        });
+    });
   }
 
   // Create new wallet
@@ -65,17 +202,77 @@ class BlockchainService {
     }
   }
 
+  // Latest block number of the connected node
+  async getLatestBlockNumber() {
+    return this.web3.eth.getBlockNumber();
+  }
+
+  // Ether sent directly to any of the given lowercase addresses within a block range
+  async getEtherTransfers(addresses, fromBlock, toBlock) {
+    const transfers = [];
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const block = await this.web3.eth.getBlock(blockNumber, true);
+
+      if (!block) continue;
+
+      for (const transaction of block.transactions) {
+        if (!transaction.to || transaction.value === '0' || !addresses.has(transaction.to.toLowerCase())) {
+          continue;
+        }
+
+        transfers.push({
+          transactionHash: transaction.hash,
+          from: transaction.from,
+          to: transaction.to,
+          value: parseFloat(this.web3.utils.fromWei(transaction.value)),
+          blockNumber
+        });
+      }
+    }
+
+    return transfers;
+  }
+
+  // ERC-20 Transfer events to any of the given lowercase addresses within a block range
+  async getTokenTransfers(tokenAddress, addresses, fromBlock, toBlock, decimals = 18) {
+    const tokenContract = new this.web3.eth.Contract(
+      this.propertyTokenABI,
+      tokenAddress
+    );
+
+    const events = await tokenContract.getPastEvents('Transfer', {
+      filter: { to: [...addresses] },
+      fromBlock,
+      toBlock
+    });
+
+    return events
+      .filter(event => addresses.has(event.returnValues.to.toLowerCase()))
+      .map(event => ({
+        transactionHash: event.transactionHash,
+        from: event.returnValues.from,
+        to: event.returnValues.to,
+        value: Number(event.returnValues.value) / 10 ** decimals,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex
+      }));
+  }
+
   // Create property token contract
   async createPropertyToken(propertyId, totalSupply, propertyName, propertySymbol) {
     try {
+      if (!this.registryAddress) {
+        throw new Error('REGISTRY_CONTRACT_ADDRESS is not configured');
+      }
+
       // Get registry contract
       const registry = new this.web3.eth.Contract(
         this.registryABI,
         this.registryAddress
       );
       
-      // Create token through registry
-      // Note: In a real implementation, this would use the platform wallet to sign
+      // Create token through registry, signed by the platform wallet
       const transaction = registry.methods.createPropertyToken(
         propertyId,
         this.web3.utils.toWei(totalSupply.toString()),
@@ -83,25 +280,40 @@ class BlockchainService {
         propertySymbol
       );
       
-      // This is a placeholder - actual implementation would sign and send the transaction
-      // const gas = await transaction.estimateGas({ from: platformWallet });
-      // const signedTx = await web3.eth.accounts.signTransaction({...}, privateKey);
-      // const receipt = await web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+      const { transactionHash, receipt } = await this.sendTransaction(
+        { to: this.registryAddress, data: transaction.encodeABI() },
+        this.getPlatformAccount().privateKey
+      );
+      
+      // Registry keeps the token deployed for each property
+      const tokenAddress = await registry.methods
+        .getPropertyToken(propertyId)
+        .call({}, receipt.blockNumber);
       
-      // Simulate response
       return {
-        transactionHash: '0x' + Math.random().toString(16).substr(2, 64),
-        tokenAddress: '0x' + Math.random().toString(16).substr(2, 40)
+        transactionHash,
+        tokenAddress,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed
       };
     } catch (error) {
       console.error('Error creating property token:', error);
-      throw new Error('Failed to create property token');
+      throw new Error(`Failed to create property token: ${error.message}`);
     }
   }
 
-  // Transfer tokens
-  async transferTokens(tokenAddress, fromAddress, toAddress, amount, privateKey) {
+  // Transfer tokens, signed with the sender's key (platform wallet by default)
+  async transferTokens(tokenAddress, fromAddress, toAddress, amount, privateKey, options = {}) {
     try {
+      const signingKey = this.normalizePrivateKey(
+        privateKey || this.getPlatformAccount().privateKey
+      );
+      const signer = this.web3.eth.accounts.privateKeyToAccount(signingKey);
+
+      if (signer.address.toLowerCase() !== fromAddress.toLowerCase()) {
+        throw new Error('Private key does not belong to the sending address');
+      }
+
       const tokenContract = new this.web3.eth.Contract(
         this.propertyTokenABI,
         tokenAddress
@@ -110,19 +322,22 @@ class BlockchainService {
       const amountWei = this.web3.utils.toWei(amount.toString());
       const transaction = tokenContract.methods.transfer(toAddress, amountWei);
       
-      // This is a placeholder - actual implementation would sign and send the transaction
-      // const gas = await transaction.estimateGas({ from: fromAddress });
-      // const signedTx = await web3.eth.accounts.signTransaction({...}, privateKey);
-      // const receipt = await web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+      const { transactionHash, nonce, rawTransaction, receipt } = await this.sendTransaction(
+        { to: tokenAddress, data: transaction.encodeABI() },
+        signingKey,
+        options
+      );
       
-      // Simulate response
       return {
-        transactionHash: '0x' + Math.random().toString(16).substr(2, 64),
-        status: true
+        transactionHash,
+        nonce,
+        rawTransaction,
+        status: receipt ? receipt.status : 'pending',
+        blockNumber: receipt ? receipt.blockNumber : undefined
       };
     } catch (error) {
       console.error('Error transferring tokens:', error);
-      throw new Error('Failed to transfer tokens');
+      throw new Error(`Failed to transfer tokens: ${error.message}`);
     }
   }
 
@@ -135,10 +350,13 @@ class BlockchainService {
         return { status: 'pending' };
       }
       
+      const latestBlock = await this.web3.eth.getBlockNumber();
+      
       return {
         status: receipt.status ? 'confirmed' : 'failed',
         blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed
+        gasUsed: receipt.gasUsed,
+        confirmations: Math.max(latestBlock - receipt.blockNumber + 1, 0)
       };
     } catch (error) {
       console.error('Error getting transaction status:', error);
@@ -146,6 +364,31 @@ class BlockchainService {
     }
   }
 
+  // Check whether the node still knows a transaction (mined or in the mempool)
+  async isTransactionKnown(txHash) {
+    const tx = await this.web3.eth.getTransaction(txHash);
+    return Boolean(tx);
+  }
+
+  // Number of mined transactions sent from an address, i.e. its next unused nonce on chain
+  async getConfirmedNonce(address) {
+    return Number(await this.web3.eth.getTransactionCount(address, 'latest'));
+  }
+
+  // Send an already signed transaction again after the node dropped it
+  async rebroadcast(rawTransaction) {
+    try {
+      const { transactionHash } = await this.broadcast(rawTransaction, { waitForReceipt: false });
+      return transactionHash;
+    } catch (error) {
+      // The node may have picked it up again in the meantime
+      if (/already known|nonce too low/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   // Verify blockchain transaction
   async verifyTransaction(txHash) {
     try {
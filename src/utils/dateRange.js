@@ -0,0 +1,35 @@
+// src/utils/dateRange.js
+const AppError = require('./appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date range from query strings
+ * @param {string} from - Start date, inclusive
+ * @param {string} to - End date; dates without a time include the whole day
+ * @param {Date} defaultFrom - Start used when `from` is missing
+ * @returns {{from: Date, to: Date}} - Range with an exclusive end, `to` defaulting to now
+ */
+const parseDateRange = (from, to, defaultFrom) => {
+  const start = from ? new Date(from) : defaultFrom;
+  let end = to ? new Date(to) : new Date();
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new AppError('from and to must be valid dates');
+  }
+
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + DAY_MS);
+  }
+
+  if (start >= end) {
+    throw new AppError('from must be before to');
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  DAY_MS,
+  parseDateRange
+};
@@ -0,0 +1,96 @@
+// src/utils/documents.js
+const PDFDocument = require('pdfkit');
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Quoted when it contains separators, quotes or line breaks
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Spreadsheet apps run cells starting with these as formulas
+  const safeText = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+
+  return /[",\r\n]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+};
+
+/**
+ * Builds a CSV document
+ * @param {Array<Array<*>>} rows - Rows of cells, header included
+ * @returns {string} - CSV text with CRLF line endings
+ */
+const toCsv = (rows) => {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Renders a PDF document
+ * @param {Function} draw - Receives the PDFKit document and draws the content
+ * @returns {Promise<Buffer>} - The finished PDF
+ */
+const renderPdf = (draw) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Draws a simple table of text rows
+ * @param {PDFDocument} doc - Document to draw on
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Table rows
+ * @param {Array<number>} widths - Column widths in points
+ */
+const drawTable = (doc, headers, rows, widths) => {
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    // Start a new page before the row would run off the bottom
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    let x = left;
+    let height = 0;
+
+    doc.font(font).fontSize(9);
+
+    cells.forEach((cell, index) => {
+      const text = cell === undefined || cell === null ? '' : String(cell);
+
+      doc.text(text, x, top, { width: widths[index] - 6 });
+      height = Math.max(height, doc.y - top);
+      x += widths[index];
+    });
+
+    doc.x = left;
+    doc.y = top + height + 4;
+  };
+
+  drawRow(headers, 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+};
+
+module.exports = {
+  toCsv,
+  renderPdf,
+  drawTable
+};
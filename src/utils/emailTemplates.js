@@ -0,0 +1,152 @@
+// src/utils/emailTemplates.js
+const { formatAmount } = require('./money');
+
+/**
+ * Escapes a value for safe use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wraps paragraphs in the shared HTML layout
+ * @param {string[]} paragraphs - Already escaped HTML paragraphs
+ * @returns {string} - Complete HTML document
+ */
+const layout = (paragraphs) => {
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: Arial, sans-serif; color: #1a1a1a;">',
+    ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+    '<p style="color: #777; font-size: 12px;">TheBoost</p>',
+    '</body></html>'
+  ].join('\n');
+};
+
+const templates = {
+  resetPassword: (data) => ({
+    subject: 'Reset your password',
+    text: [
+      `Hi ${data.name},`,
+      `We received a request to reset your password. Use the link below within ${data.expiresInMinutes} minutes:`,
+      data.resetURL,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `We received a request to reset your password. Use the link below within ${escapeHtml(data.expiresInMinutes)} minutes:`,
+      `<a href="${escapeHtml(data.resetURL)}">Reset password</a>`,
+      'If you did not request this, you can ignore this email.'
+    ])
+  }),
+
+  depositConfirmed: (data) => ({
+    subject: 'Your deposit was confirmed',
+    text: [
+      `Hi ${data.name},`,
+      `Your deposit of ${formatAmount(data.amount, data.currency)} was confirmed and is now available in your wallet.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `Your deposit of <strong>${escapeHtml(formatAmount(data.amount, data.currency))}</strong> was confirmed and is now available in your wallet.`
+    ])
+  }),
+
+  dividendPaid: (data) => ({
+    subject: `You received a payout from ${data.propertyTitle}`,
+    text: [
+      `Hi ${data.name},`,
+      `A ${data.type.toLowerCase()} payout of ${formatAmount(data.amount)} from ${data.propertyTitle} was credited to your wallet.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `A ${escapeHtml(data.type.toLowerCase())} payout of <strong>${escapeHtml(formatAmount(data.amount))}</strong> from ${escapeHtml(data.propertyTitle)} was credited to your wallet.`
+    ])
+  }),
+
+  kycDecision: (data) => ({
+    subject: data.approved ? 'Your identity document was approved' : 'Your identity document was rejected',
+    text: [
+      `Hi ${data.name},`,
+      data.message
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      escapeHtml(data.message)
+    ])
+  }),
+
+  sellOrderFilled: (data) => ({
+    subject: data.remainingQuantity > 0 ?
+      `Your sell order for ${data.propertyTitle} was partially filled` :
+      `Your sell order for ${data.propertyTitle} was filled`,
+    text: [
+      `Hi ${data.name},`,
+      `You sold ${data.quantity} tokens of ${data.propertyTitle} at ${formatAmount(data.price)} each. ${formatAmount(data.amount)} was credited to your wallet.`,
+      data.remainingQuantity > 0 ?
+        `${data.remainingQuantity} tokens of this order are still for sale.` :
+        'Your order is now completely filled.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `You sold ${escapeHtml(data.quantity)} tokens of ${escapeHtml(data.propertyTitle)} at ${escapeHtml(formatAmount(data.price))} each. <strong>${escapeHtml(formatAmount(data.amount))}</strong> was credited to your wallet.`,
+      data.remainingQuantity > 0 ?
+        `${escapeHtml(data.remainingQuantity)} tokens of this order are still for sale.` :
+        'Your order is now completely filled.'
+    ])
+  }),
+
+  fundingClosed: (data) => ({
+    subject: `${data.propertyTitle} is fully funded`,
+    text: [
+      `Hi ${data.name},`,
+      `The funding round of ${data.propertyTitle} closed after raising ${formatAmount(data.amountRaised)}. Your investment is confirmed.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `The funding round of ${escapeHtml(data.propertyTitle)} closed after raising <strong>${escapeHtml(formatAmount(data.amountRaised))}</strong>. Your investment is confirmed.`
+    ])
+  }),
+
+  fundingRefunded: (data) => ({
+    subject: `${data.propertyTitle} did not reach its funding target`,
+    text: [
+      `Hi ${data.name},`,
+      `The funding round of ${data.propertyTitle} did not reach its target, so your investment was cancelled.`,
+      `${formatAmount(data.amount)} was returned to your wallet.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(data.name)},`,
+      `The funding round of ${escapeHtml(data.propertyTitle)} did not reach its target, so your investment was cancelled.`,
+      `<strong>${escapeHtml(formatAmount(data.amount))}</strong> was returned to your wallet.`
+    ])
+  })
+};
+
+/**
+ * Renders an email template
+ * @param {string} name - Template name
+ * @param {Object} data - Template variables
+ * @returns {{subject: string, text: string, html: string}} - Rendered email
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate,
+  templateNames: Object.keys(templates)
+};
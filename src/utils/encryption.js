@@ -0,0 +1,96 @@
+// src/utils/encryption.js
+const crypto = require('crypto');
+const env = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+class EncryptionService {
+  // Master key from config, used only to wrap per-secret data keys
+  static getMasterKey() {
+    if (!env.WALLET_MASTER_KEY) {
+      throw new Error('WALLET_MASTER_KEY is not configured');
+    }
+
+    const key = Buffer.from(env.WALLET_MASTER_KEY, 'hex');
+
+    if (key.length !== 32) {
+      throw new Error('WALLET_MASTER_KEY must be 32 bytes encoded as 64 hex characters');
+    }
+
+    return key;
+  }
+
+  // Short fingerprint identifying which master key wrapped a data key
+  static getMasterKeyId(masterKey = this.getMasterKey()) {
+    return crypto
+      .createHash('sha256')
+      .update(masterKey)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  static seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+      ciphertext: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  static open(key, sealed) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+  }
+
+  // Encrypt a secret with a fresh data key, and the data key with the master key
+  static encrypt(plaintext) {
+    const masterKey = this.getMasterKey();
+    const dataKey = crypto.randomBytes(32);
+
+    const secret = this.seal(dataKey, Buffer.from(plaintext, 'utf8'));
+    const wrappedKey = this.seal(masterKey, dataKey);
+
+    dataKey.fill(0);
+
+    return {
+      ...secret,
+      encryptedDataKey: wrappedKey.ciphertext,
+      dataKeyIv: wrappedKey.iv,
+      dataKeyAuthTag: wrappedKey.authTag,
+      masterKeyId: this.getMasterKeyId(masterKey)
+    };
+  }
+
+  // Decrypt a secret produced by encrypt
+  static decrypt(envelope) {
+    const masterKey = this.getMasterKey();
+
+    if (envelope.masterKeyId !== this.getMasterKeyId(masterKey)) {
+      throw new Error('Secret was encrypted with a different master key');
+    }
+
+    const dataKey = this.open(masterKey, {
+      ciphertext: envelope.encryptedDataKey,
+      iv: envelope.dataKeyIv,
+      authTag: envelope.dataKeyAuthTag
+    });
+
+    try {
+      return this.open(dataKey, envelope).toString('utf8');
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+}
+
+module.exports = EncryptionService;
@@ -4,42 +4,95 @@ const env = require('../config/env');
 
 class JWTService {
   // Create access token for authentication
-  static createAccessToken(user) {
+  static createAccessToken(user, session) {
     return jwt.sign(
       { 
         id: user._id,
         email: user.email,
-        role: user.role || 'user'
+        role: user.role || 'user',
+        sid: session ? session._id : undefined
       }, 
       env.JWT_SECRET,
       { 
-        expiresIn: env.JWT_EXPIRATION
+        expiresIn: env.JWT_EXPIRATION,
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_ACCESS_AUDIENCE
       }
     );
   }
 
-  // Create refresh token with longer expiration
-  static createRefreshToken(user) {
+  // Create refresh token with longer expiration, bound to a session
+  static createRefreshToken(user, session) {
     return jwt.sign(
       { 
         id: user._id,
+        sid: session._id,
         tokenVersion: user.tokenVersion || 0 
       }, 
-      env.JWT_SECRET,
+      env.JWT_REFRESH_SECRET,
       { 
-        expiresIn: '30d' // Refresh token lasts longer
+        expiresIn: env.JWT_REFRESH_EXPIRATION,
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_REFRESH_AUDIENCE,
+        jwtid: session.tokenId
       }
     );
   }
 
-  // Verify token and return decoded payload
-  static verifyToken(token) {
+  // Verify access token and return decoded payload
+  static verifyAccessToken(token) {
+    try {
+      return jwt.verify(token, env.JWT_SECRET, {
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_ACCESS_AUDIENCE
+      });
+    } catch {
+      return null;
+    }
+  }
+
+  // Verify refresh token and return decoded payload
+  static verifyRefreshToken(token) {
     try {
-      return jwt.verify(token, env.JWT_SECRET);
-    } catch (error) {
+      return jwt.verify(token, env.JWT_REFRESH_SECRET, {
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_REFRESH_AUDIENCE
+      });
+    } catch {
       return null;
     }
   }
+
+  // Create short-lived token proving the password step of a two-factor login
+  static createTwoFactorChallenge(user) {
+    return jwt.sign(
+      { id: user._id },
+      env.JWT_SECRET,
+      {
+        expiresIn: env.JWT_2FA_EXPIRATION,
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_2FA_AUDIENCE
+      }
+    );
+  }
+
+  // Verify two-factor challenge token and return decoded payload
+  static verifyTwoFactorChallenge(token) {
+    try {
+      return jwt.verify(token, env.JWT_SECRET, {
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_2FA_AUDIENCE
+      });
+    } catch {
+      return null;
+    }
+  }
+
+  // Get expiry date of a token without verifying it
+  static getExpiry(token) {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+  }
 }
 
-module.exports = JWTService;
\ No newline at end of file
+module.exports = JWTService;
@@ -0,0 +1,65 @@
+// src/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const env = require('../config/env');
+
+class Mailer {
+  // Messages delivered by the memory transport, newest last
+  static sentMessages = [];
+
+  // Create the nodemailer transport configured by EMAIL_TRANSPORT
+  static createTransport(type = env.EMAIL_TRANSPORT) {
+    switch (type) {
+      case 'smtp':
+        return nodemailer.createTransport({
+          host: env.EMAIL_HOST,
+          port: env.EMAIL_PORT,
+          secure: env.EMAIL_SECURE,
+          auth: env.EMAIL_USER ? { user: env.EMAIL_USER, pass: env.EMAIL_PASS } : undefined
+        });
+      case 'file':
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      case 'memory':
+        return nodemailer.createTransport({ jsonTransport: true });
+      default:
+        throw new Error(`Unknown email transport: ${type}`);
+    }
+  }
+
+  // Lazily created shared transport
+  static getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport();
+    }
+    return this.transport;
+  }
+
+  // Send a message and return its message ID
+  static async send(message) {
+    const info = await this.getTransport().sendMail({
+      from: env.EMAIL_FROM,
+      ...message
+    });
+
+    if (env.EMAIL_TRANSPORT === 'file') {
+      const directory = path.resolve(env.EMAIL_FILE_DIR);
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, fileName), info.message);
+    } else if (env.EMAIL_TRANSPORT === 'memory') {
+      this.sentMessages.push(JSON.parse(info.message));
+    }
+
+    return info.messageId;
+  }
+
+  // Forget messages kept by the memory transport
+  static clearSentMessages() {
+    this.sentMessages.length = 0;
+  }
+}
+
+module.exports = Mailer;
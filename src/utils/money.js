@@ -0,0 +1,95 @@
+// src/utils/money.js
+
+// Decimal places kept in the ledger for each supported currency
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  USDC: 6,
+  ETH: 8,
+  BTC: 8
+};
+
+const CURRENCIES = Object.keys(CURRENCY_DECIMALS);
+
+/**
+ * Converts a currency amount to integer cents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} - Amount in cents
+ */
+const toCents = (amount) => {
+  return Math.round(Number(amount) * 100);
+};
+
+/**
+ * Converts integer cents back to a currency amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} - Amount in currency units
+ */
+const fromCents = (cents) => {
+  return cents / 100;
+};
+
+/**
+ * Rounds a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} - Rounded amount
+ */
+const roundCurrency = (amount) => {
+  return fromCents(toCents(amount));
+};
+
+/**
+ * Converts an amount to integer minor units of its currency
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in minor units, e.g. cents or satoshis
+ */
+const toMinorUnits = (amount, currency = 'USD') => {
+  return Math.round(Number(amount) * 10 ** CURRENCY_DECIMALS[currency]);
+};
+
+/**
+ * Converts integer minor units back to an amount of the currency
+ * @param {number} units - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in currency units
+ */
+const fromMinorUnits = (units, currency = 'USD') => {
+  return units / 10 ** CURRENCY_DECIMALS[currency];
+};
+
+/**
+ * Rounds an amount to the precision of its currency
+ * @param {number} amount - Amount to round
+ * @param {string} currency - Currency code
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (amount, currency = 'USD') => {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+};
+
+/**
+ * Formats a currency amount for display
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount, e.g. $1,234.50
+ */
+const formatAmount = (amount, currency = 'USD') => {
+  // Crypto tickers are not ISO codes and need more than two decimals
+  if (!/^[A-Z]{3}$/.test(currency) || CURRENCY_DECIMALS[currency] > 2) {
+    return `${amount} ${currency}`;
+  }
+
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+};
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  CURRENCIES,
+  toCents,
+  fromCents,
+  roundCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount
+};
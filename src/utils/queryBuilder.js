@@ -0,0 +1,205 @@
+// src/utils/queryBuilder.js
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+// Query string parameters that control the listing rather than filter it
+const RESERVED_PARAMS = ['page', 'limit', 'sort', 'fields'];
+
+// Operators accepted as field[op]=value, by schema type
+const RANGE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+const OPERATORS = {
+  String: ['eq', 'ne', 'in', 'nin'],
+  ObjectId: ['eq', 'ne', 'in', 'nin'],
+  Boolean: ['eq', 'ne'],
+  Number: RANGE_OPERATORS,
+  Date: RANGE_OPERATORS
+};
+
+// Builds Mongo queries from query strings, accepting only the fields a listing allows.
+// A listing spec looks like:
+//   {
+//     filters: ['category', 'tokenPrice'],   // fields clients may filter on
+//     sorts: ['createdAt', 'tokenPrice'],     // fields clients may sort by
+//     fields: ['title', 'tokenPrice'],        // fields clients may select
+//     defaultSort: '-createdAt',
+//     defaultLimit: 20,
+//     maxLimit: 100
+//   }
+// Filters take the field's schema type: ?tokenPrice[gte]=10&category[in]=Commercial,Residential
+class QueryBuilder {
+  // Schema type of a whitelisted field
+  static getType(Model, field) {
+    const schemaType = Model.schema.path(field);
+
+    if (!schemaType) {
+      throw new Error(`${Model.modelName} has no field ${field}`);
+    }
+
+    return schemaType.instance === 'ObjectID' ? 'ObjectId' : schemaType.instance;
+  }
+
+  // Convert a query string value to the field's type
+  static coerce(value, type, field) {
+    if (typeof value !== 'string') {
+      throw new AppError(`Invalid value for ${field}`);
+    }
+
+    switch (type) {
+      case 'Number': {
+        const number = Number(value);
+
+        if (value.trim() === '' || Number.isNaN(number)) {
+          throw new AppError(`${field} must be a number`);
+        }
+
+        return number;
+      }
+      case 'Date': {
+        const date = new Date(value);
+
+        if (Number.isNaN(date.getTime())) {
+          throw new AppError(`${field} must be a date`);
+        }
+
+        return date;
+      }
+      case 'Boolean':
+        if (value !== 'true' && value !== 'false') {
+          throw new AppError(`${field} must be true or false`);
+        }
+
+        return value === 'true';
+      case 'ObjectId':
+        if (!mongoose.isValidObjectId(value)) {
+          throw new AppError(`${field} must be a valid ID`);
+        }
+
+        return new mongoose.Types.ObjectId(value);
+      default:
+        return value;
+    }
+  }
+
+  // Mongo filter for the whitelisted filters present in the query
+  static buildFilter(Model, query, spec) {
+    const filter = {};
+
+    for (const [field, raw] of Object.entries(query)) {
+      if (RESERVED_PARAMS.includes(field)) {
+        continue;
+      }
+
+      if (!spec.filters.includes(field)) {
+        throw new AppError(`Cannot filter by ${field}`);
+      }
+
+      const type = this.getType(Model, field);
+      const allowed = OPERATORS[type] || ['eq'];
+      const conditions = typeof raw === 'string' ? { eq: raw } : raw;
+
+      if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        throw new AppError(`Invalid value for ${field}`);
+      }
+
+      for (const [operator, value] of Object.entries(conditions)) {
+        if (!allowed.includes(operator)) {
+          throw new AppError(`Operator ${operator} is not supported for ${field}`);
+        }
+
+        if (operator === 'in' || operator === 'nin') {
+          if (typeof value !== 'string') {
+            throw new AppError(`Invalid value for ${field}`);
+          }
+
+          filter[field] = {
+            ...filter[field],
+            [`$${operator}`]: value.split(',').map(item => this.coerce(item, type, field))
+          };
+        } else {
+          filter[field] = { ...filter[field], [`$${operator}`]: this.coerce(value, type, field) };
+        }
+      }
+    }
+
+    return filter;
+  }
+
+  // Sort object from ?sort=-field,other; ties are broken by _id so pages stay stable
+  static buildSort(query, spec) {
+    const sortParam = typeof query.sort === 'string' && query.sort ? query.sort : spec.defaultSort;
+    const sort = {};
+
+    for (const key of sortParam.split(',')) {
+      const field = key.replace(/^-/, '');
+
+      if (!spec.sorts.includes(field)) {
+        throw new AppError(`Cannot sort by ${field}`);
+      }
+
+      sort[field] = key.startsWith('-') ? -1 : 1;
+    }
+
+    if (!sort._id) {
+      sort._id = Object.values(sort)[0] || 1;
+    }
+
+    return sort;
+  }
+
+  // Projection from ?fields=a,b, or everything but the version key
+  static buildSelect(query, spec) {
+    if (typeof query.fields !== 'string' || !query.fields) {
+      return '-__v';
+    }
+
+    const fields = query.fields.split(',');
+
+    for (const field of fields) {
+      if (!spec.fields.includes(field)) {
+        throw new AppError(`Cannot select ${field}`);
+      }
+    }
+
+    return fields.join(' ');
+  }
+
+  // Page and page size within the listing's limit
+  static buildPagination(query, spec) {
+    const maxLimit = spec.maxLimit || 100;
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || spec.defaultLimit || 20;
+
+    if (page < 1 || limit < 1 || limit > maxLimit) {
+      throw new AppError(`page must be at least 1 and limit between 1 and ${maxLimit}`);
+    }
+
+    return { page, limit, skip: (page - 1) * limit };
+  }
+
+  // Run a listing; baseFilter holds conditions clients cannot override, like the owner
+  static async list(Model, query, spec, baseFilter = {}) {
+    const filter = { ...this.buildFilter(Model, query, spec), ...baseFilter };
+    const { page, limit, skip } = this.buildPagination(query, spec);
+
+    const [documents, total] = await Promise.all([
+      Model.find(filter)
+        .sort(this.buildSort(query, spec))
+        .select(this.buildSelect(query, spec))
+        .skip(skip)
+        .limit(limit),
+      Model.countDocuments(filter)
+    ]);
+
+    return {
+      documents,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = QueryBuilder;
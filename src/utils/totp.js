@@ -0,0 +1,122 @@
+// src/utils/totp.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD = 30;
+
+class TOTPService {
+  // Encode bytes as unpadded base32
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  // Decode base32, ignoring padding, spaces and case
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Generate a new random shared secret
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Current 30-second time step
+  static currentStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD);
+  }
+
+  // Compute the code for a time step (RFC 4226 HOTP)
+  static generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac('sha1', this.base32Decode(secret))
+      .update(counter)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+  }
+
+  // Verify a code allowing clock drift; returns the matched time step or null
+  static verifyCode(secret, code, window = 1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const step = this.currentStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+      const expected = this.generateCode(secret, step + offset);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step + offset;
+      }
+    }
+
+    return null;
+  }
+
+  // Build the otpauth:// URI rendered as a QR code by authenticator apps
+  static provisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = TOTPService;
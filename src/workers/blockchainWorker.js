@@ -0,0 +1,114 @@
+// src/workers/blockchainWorker.js
+const env = require('../config/env');
+const ChainTrackerService = require('../services/chainTrackerService');
+const ReconciliationService = require('../services/reconciliationService');
+const InvestmentService = require('../services/investmentService');
+const CryptoDepositService = require('../services/cryptoDepositService');
+
+class BlockchainWorker {
+  // Detect deposits, track pending transactions, retry token settlements and periodically reconcile balances
+  static start() {
+    if (this.trackerTimer) return;
+
+    this.depositTimer = setInterval(() => this.scanDeposits(), env.BLOCKCHAIN_TRACKER_INTERVAL);
+    this.trackerTimer = setInterval(() => this.track(), env.BLOCKCHAIN_TRACKER_INTERVAL);
+    this.settlementTimer = setInterval(() => this.settle(), env.BLOCKCHAIN_TRACKER_INTERVAL);
+    this.reconcileTimer = setInterval(() => this.reconcile(), env.BLOCKCHAIN_RECONCILE_INTERVAL);
+
+    // Do not keep the process alive just for the worker
+    this.depositTimer.unref();
+    this.trackerTimer.unref();
+    this.settlementTimer.unref();
+    this.reconcileTimer.unref();
+  }
+
+  static stop() {
+    clearInterval(this.depositTimer);
+    clearInterval(this.trackerTimer);
+    clearInterval(this.settlementTimer);
+    clearInterval(this.reconcileTimer);
+    this.depositTimer = null;
+    this.trackerTimer = null;
+    this.settlementTimer = null;
+    this.reconcileTimer = null;
+  }
+
+  // Look for transfers to deposit addresses in new blocks
+  static async scanDeposits() {
+    if (this.scanning) return;
+
+    this.scanning = true;
+
+    try {
+      const { fromBlock, toBlock, detected } = await CryptoDepositService.scan();
+
+      if (detected > 0) {
+        console.log(`Deposit listener: ${detected} deposits in blocks ${fromBlock}-${toBlock}`);
+      }
+    } catch (error) {
+      console.error('Crypto deposit scan failed:', error.message);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  // Check pending transactions, skipping if the previous run is still going
+  static async track() {
+    if (this.tracking) return;
+
+    this.tracking = true;
+
+    try {
+      const { checked, confirmed, failed } = await ChainTrackerService.processPending();
+
+      if (confirmed > 0 || failed > 0) {
+        console.log(`Chain tracker: checked ${checked}, confirmed ${confirmed}, failed ${failed}`);
+      }
+    } catch (error) {
+      console.error('Chain transaction tracking failed:', error.message);
+    } finally {
+      this.tracking = false;
+    }
+  }
+
+  // Deliver tokens for investments whose settlement failed or never started
+  static async settle() {
+    if (this.settling) return;
+
+    this.settling = true;
+
+    try {
+      const { attempted, settled } = await InvestmentService.settlePendingInvestments();
+
+      if (attempted > 0) {
+        console.log(`Token settlement: attempted ${attempted}, broadcast ${settled}`);
+      }
+    } catch (error) {
+      console.error('Token settlement failed:', error.message);
+    } finally {
+      this.settling = false;
+    }
+  }
+
+  // Compare on-chain balances with investments
+  static async reconcile() {
+    if (this.reconciling) return;
+
+    this.reconciling = true;
+
+    try {
+      const reports = await ReconciliationService.reconcileAll();
+      const mismatched = reports.filter(report => report.status !== 'Matched');
+
+      mismatched.forEach(report => {
+        console.warn(`Token reconciliation ${report.status.toLowerCase()} for property ${report.property}`);
+      });
+    } catch (error) {
+      console.error('Token reconciliation failed:', error.message);
+    } finally {
+      this.reconciling = false;
+    }
+  }
+}
+
+module.exports = BlockchainWorker;
@@ -0,0 +1,41 @@
+// src/workers/emailWorker.js
+const env = require('../config/env');
+const EmailService = require('../services/emailService');
+
+class EmailWorker {
+  // Periodically retry pending outbox emails
+  static start(interval = env.EMAIL_WORKER_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), interval);
+
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Process the outbox once, skipping if the previous run is still going
+  static async run() {
+    if (this.running) return;
+
+    this.running = true;
+
+    try {
+      const { processed, sent } = await EmailService.processOutbox();
+
+      if (processed > 0) {
+        console.log(`Email outbox: sent ${sent} of ${processed} due emails`);
+      }
+    } catch (error) {
+      console.error('Email outbox processing failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = EmailWorker;
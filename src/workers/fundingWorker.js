@@ -0,0 +1,41 @@
+// src/workers/fundingWorker.js
+const env = require('../config/env');
+const FundingService = require('../services/fundingService');
+
+class FundingWorker {
+  // Periodically close ended funding rounds and refund the ones that missed their soft cap
+  static start(interval = env.FUNDING_WORKER_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), interval);
+
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Process due rounds once, skipping if the previous run is still going
+  static async run() {
+    if (this.running) return;
+
+    this.running = true;
+
+    try {
+      const { closed, failed, refunded } = await FundingService.processRounds();
+
+      if (closed > 0 || failed > 0 || refunded > 0) {
+        console.log(`Funding rounds: closed ${closed}, failed ${failed}, refunded ${refunded} purchases`);
+      }
+    } catch (error) {
+      console.error('Funding round processing failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = FundingWorker;